@@ -0,0 +1,161 @@
+/**
+ * G-code Exporter
+ * Prepares sliced G-code for a real printer: a metadata header with print time,
+ * filament use, layer count and slicer settings, plus PNG thumbnails of the scene.
+ * Keys and thumbnail blocks follow PrusaSlicer's format (with Cura-style ;TIME: and
+ * ;LAYER_COUNT: lines too), which OctoPrint, Klipper/Moonraker and printer screens read.
+ */
+class GCodeExporter {
+    /**
+     * @param {PrinterSimulator} simulator - Provides the motion planner, filament diameter and scene
+     */
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.thumbnailSizes = [[32, 32], [300, 300]]; // Small for printer screens and file lists, large for previews
+    }
+
+    /**
+     * Build the file to download: header and thumbnails, then the G-code
+     * @param {string} gcode - G-code from the slicer
+     * @param {Object} info - { settings, filamentType, printerName }
+     * @returns {Promise<string>}
+     */
+    async build(gcode, info) {
+        const stats = this.analyze(gcode);
+        const thumbnails = await this.renderThumbnails();
+
+        return [
+            `; generated by 3D Printer Simulator on ${new Date().toISOString().replace('T', ' at ').replace(/\.\d+Z$/, ' UTC')}`,
+            ';',
+            ...thumbnails,
+            ...this.buildHeader(stats, info),
+            '',
+            gcode
+        ].join('\n');
+    }
+
+    /**
+     * Measure the G-code the way the simulator plays it
+     * @returns {Object} { printTime (s), filamentLength (mm), filamentVolume (cm³), layerCount, firstLayerHeight, maxLayerZ }
+     */
+    analyze(gcode) {
+        const parser = new GCodeParser();
+        const commands = parser.parse(gcode);
+        const filamentLength = parser.getFilamentUsed();
+        const radius = this.simulator.filamentDiameter / 2;
+        const layerZ = Object.values(parser.layerPrintZ);
+
+        return {
+            printTime: this.simulator.motionPlanner.plan(commands).totalTime,
+            filamentLength,
+            filamentVolume: Math.PI * radius * radius * filamentLength / 1000,
+            layerCount: parser.getLayerCount(),
+            firstLayerHeight: parser.getLayerHeight(parser.layers[0]),
+            maxLayerZ: layerZ.length > 0 ? Math.max(...layerZ) : 0
+        };
+    }
+
+    /**
+     * Metadata comment lines
+     */
+    buildHeader(stats, info) {
+        const filamentType = (info.filamentType || 'pla').toLowerCase();
+        const density = GCodeExporter.FILAMENT_DENSITIES[filamentType] || GCodeExporter.FILAMENT_DENSITIES.pla;
+        const settings = info.settings || {};
+
+        const lines = [
+            `; estimated printing time (normal mode) = ${this.formatDuration(stats.printTime)}`,
+            `; filament used [mm] = ${stats.filamentLength.toFixed(2)}`,
+            `; filament used [cm3] = ${stats.filamentVolume.toFixed(2)}`,
+            `; filament used [g] = ${(stats.filamentVolume * density).toFixed(2)}`,
+            `; total layers count = ${stats.layerCount}`,
+            `; max_layer_z = ${stats.maxLayerZ.toFixed(3)}`,
+            `; filament_type = ${filamentType.toUpperCase()}`,
+            `; filament_density = ${density}`,
+            `; filament_diameter = ${this.simulator.filamentDiameter}`
+        ];
+        if (info.printerName) lines.push(`; printer_model = ${info.printerName}`);
+        if (stats.firstLayerHeight) lines.push(`; first_layer_height = ${stats.firstLayerHeight.toFixed(3)}`);
+
+        for (const [key, value] of this.flattenSettings(settings)) {
+            lines.push(`; ${key} = ${value}`);
+        }
+
+        lines.push(
+            `;TIME:${Math.round(stats.printTime)}`,
+            `;Filament used: ${(stats.filamentLength / 1000).toFixed(5)}m`,
+            `;LAYER_COUNT:${stats.layerCount}`
+        );
+        return lines;
+    }
+
+    /**
+     * Settings as [snake_case key, value] pairs; nested objects get their parent's key as prefix
+     */
+    flattenSettings(settings, prefix = '') {
+        const pairs = [];
+        for (const [key, value] of Object.entries(settings)) {
+            const name = prefix + key.replace(/[A-Z]/g, letter => '_' + letter.toLowerCase());
+            if (value === null || value === undefined) continue;
+            if (Array.isArray(value)) {
+                pairs.push([name, value.map(v => typeof v === 'object' ? JSON.stringify(v) : v).join(',')]);
+            } else if (typeof value === 'object') {
+                pairs.push(...this.flattenSettings(value, name + '_'));
+            } else {
+                pairs.push([name, value]);
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * Render each thumbnail size into a "; thumbnail begin WxH length" block
+     * A scene that can't be captured (e.g. no WebGL) just leaves the thumbnails out.
+     */
+    async renderThumbnails() {
+        const lines = [];
+        for (const [width, height] of this.thumbnailSizes) {
+            let png;
+            try {
+                png = await this.simulator.captureThumbnail(width, height);
+            } catch (error) {
+                console.warn('Could not render G-code thumbnail:', error.message);
+                return [];
+            }
+
+            lines.push(`; thumbnail begin ${width}x${height} ${png.length}`);
+            for (let i = 0; i < png.length; i += GCodeExporter.THUMBNAIL_LINE_LENGTH) {
+                lines.push('; ' + png.substring(i, i + GCodeExporter.THUMBNAIL_LINE_LENGTH));
+            }
+            lines.push('; thumbnail end', ';');
+        }
+        return lines;
+    }
+
+    /**
+     * Format seconds like PrusaSlicer: "1d 2h 3m 4s", leaving out leading zero units
+     */
+    formatDuration(seconds) {
+        let remaining = Math.round(seconds);
+        const parts = [];
+        for (const [unit, size] of [['d', 86400], ['h', 3600], ['m', 60]]) {
+            const count = Math.floor(remaining / size);
+            remaining -= count * size;
+            if (count > 0 || parts.length > 0) parts.push(`${count}${unit}`);
+        }
+        parts.push(`${remaining}s`);
+        return parts.join(' ');
+    }
+}
+
+// Base64 characters per thumbnail comment line (78 with the "; " prefix)
+GCodeExporter.THUMBNAIL_LINE_LENGTH = 76;
+
+// Filament densities in g/cm³, for the weight estimate
+GCodeExporter.FILAMENT_DENSITIES = {
+    pla: 1.24,
+    petg: 1.27,
+    abs: 1.04,
+    tpu: 1.21,
+    nylon: 1.14
+};
@@ -9,6 +9,7 @@ class GCodeGenerator {
         this.bedTemp = 60;
         this.extrusionCounter = 0;
         this.topBottomLayers = 3; // Number of solid layers at top and bottom
+        this.bedCenter = { x: 0, y: 0 }; // Machine XY of the bed center (non-zero on corner-origin printers)
     }
 
     /**
@@ -42,6 +43,7 @@ class GCodeGenerator {
             gcode.push(`G1 Z${z.toFixed(2)} F5000`);
 
             // Perimeter (outer and inner walls)
+            gcode.push(';TYPE:External perimeter');
             gcode = gcode.concat(this.generatePerimeter(size, z, center));
 
             // Determine if this is a bottom, top, or middle layer
@@ -51,11 +53,13 @@ class GCodeGenerator {
             if (isBottomLayer || isTopLayer) {
                 // Solid infill for top and bottom layers
                 gcode.push(`; Solid layer ${isBottomLayer ? '(bottom)' : '(top)'}`);
+                gcode.push(`;TYPE:${isBottomLayer ? 'Bottom surface' : 'Top surface'}`);
                 gcode = gcode.concat(this.generateSolidInfill(size, z, center));
             } else {
                 // Sparse infill for middle layers
                 if (infillDensity > 0) {
                     gcode.push(`; Sparse infill (${infillDensity}%)`);
+                    gcode.push(';TYPE:Internal infill');
                     gcode = gcode.concat(this.generateInfill(size, z, center, infillPattern, infillDensity));
                 }
             }
@@ -71,7 +75,7 @@ class GCodeGenerator {
         gcode.push('G28 X Y ; Home X and Y');
         gcode.push('M84 ; Disable steppers');
 
-        return gcode.join('\n');
+        return this.toMachineCoordinates(gcode).join('\n');
     }
 
     /**
@@ -333,6 +337,7 @@ class GCodeGenerator {
             gcode.push(`G1 Z${z.toFixed(2)} F5000`);
 
             // Circular perimeter (outer and inner walls)
+            gcode.push(';TYPE:External perimeter');
             gcode = gcode.concat(this.generateCircularPerimeter(radius, z));
 
             // Determine if this is a bottom, top, or middle layer
@@ -342,11 +347,13 @@ class GCodeGenerator {
             if (isBottomLayer || isTopLayer) {
                 // Solid infill for top and bottom layers
                 gcode.push(`; Solid layer ${isBottomLayer ? '(bottom)' : '(top)'}`);
+                gcode.push(`;TYPE:${isBottomLayer ? 'Bottom surface' : 'Top surface'}`);
                 gcode = gcode.concat(this.generateCircularSolidInfill(radius, z));
             } else {
                 // Sparse infill for middle layers
                 if (infillDensity > 0) {
                     gcode.push(`; Sparse infill (${infillDensity}%)`);
+                    gcode.push(';TYPE:Internal infill');
                     gcode = gcode.concat(this.generateCircularInfill(radius, z, infillPattern, infillDensity));
                 }
             }
@@ -362,7 +369,7 @@ class GCodeGenerator {
         gcode.push('G28 X Y ; Home X and Y');
         gcode.push('M84 ; Disable steppers');
 
-        return gcode.join('\n');
+        return this.toMachineCoordinates(gcode).join('\n');
     }
 
     /**
@@ -512,6 +519,7 @@ class GCodeGenerator {
             gcode.push(`G1 Z${z.toFixed(2)} F5000`);
 
             // Square perimeter (shrinking with each layer)
+            gcode.push(';TYPE:External perimeter');
             gcode = gcode.concat(this.generatePyramidPerimeter(currentSize, z));
 
             // Determine if this is a bottom layer or needs infill
@@ -520,11 +528,13 @@ class GCodeGenerator {
             if (isBottomLayer || currentSize < 5) {
                 // Solid infill for bottom layers and small layers near top
                 gcode.push(`; Solid layer ${isBottomLayer ? '(bottom)' : '(small)'}`);
+                gcode.push(`;TYPE:${isBottomLayer ? 'Bottom surface' : 'Solid infill'}`);
                 gcode = gcode.concat(this.generatePyramidSolidInfill(currentSize, z));
             } else {
                 // Sparse infill for middle layers
                 if (infillDensity > 0) {
                     gcode.push(`; Sparse infill (${infillDensity}%)`);
+                    gcode.push(';TYPE:Internal infill');
                     gcode = gcode.concat(this.generatePyramidInfill(currentSize, z, infillPattern, infillDensity));
                 }
             }
@@ -540,7 +550,7 @@ class GCodeGenerator {
         gcode.push('G28 X Y ; Home X and Y');
         gcode.push('M84 ; Disable steppers');
 
-        return gcode.join('\n');
+        return this.toMachineCoordinates(gcode).join('\n');
     }
 
     /**
@@ -616,4 +626,19 @@ class GCodeGenerator {
 
         return gcode;
     }
+
+    /**
+     * Shapes are generated around X0 Y0; shift G0/G1 moves so they print on the bed center
+     */
+    toMachineCoordinates(gcode) {
+        const { x: dx, y: dy } = this.bedCenter;
+        if (!dx && !dy) return gcode;
+
+        return gcode.map(line => {
+            if (!/^G[01]\s/.test(line)) return line;
+            return line
+                .replace(/X(-?[\d.]+)/, (m, v) => `X${(parseFloat(v) + dx).toFixed(2)}`)
+                .replace(/Y(-?[\d.]+)/, (m, v) => `Y${(parseFloat(v) + dy).toFixed(2)}`);
+        });
+    }
 }
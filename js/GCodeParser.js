@@ -9,6 +9,21 @@ class GCodeParser {
         this.currentTemp = 0;
         this.layerHeight = 0.2; // Default layer height
         this.layers = [];
+        this.layerPrintZ = {}; // Z of the first extrusion on each layer (layers may differ in height)
+        this.absolutePositioning = true; // G90 (absolute) / G91 (relative) for X/Y/Z
+        this.absoluteExtrusion = true;   // M82 (absolute) / M83 (relative) for E
+        this.filamentUsed = 0; // Cumulative filament pushed through the nozzle (survives G92 E rebases)
+        this.arcSegmentLength = 0.5; // Max chord length (mm) when tessellating G2/G3 arcs
+        this.firmwareRetraction = { ...GCodeParser.DEFAULT_FIRMWARE_RETRACTION }; // G10/G11 settings (M207/M208)
+    }
+
+    /**
+     * Whether E values are currently relative.
+     * Like Marlin and Klipper, G91 makes E relative too, while M83 keeps E
+     * relative even after a G90.
+     */
+    isExtrusionRelative() {
+        return !this.absolutePositioning || !this.absoluteExtrusion;
     }
 
     /**
@@ -17,21 +32,29 @@ class GCodeParser {
     parse(gcodeText) {
         this.commands = [];
         this.layers = [];
+        this.layerPrintZ = {};
         this.currentPosition = { x: 0, y: 0, z: 0, e: 0 };
+        this.absolutePositioning = true;
+        this.absoluteExtrusion = true;
+        this.filamentUsed = 0;
+        this.firmwareRetraction = { ...GCodeParser.DEFAULT_FIRMWARE_RETRACTION };
 
         const lines = gcodeText.split('\n');
         let currentLayer = 0;
         let lastZ = 0;
 
-        // First pass: check if G-code has layer comments
-        let hasLayerComments = false;
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (line.match(/;\s*layer[:\s]+\d+/i)) {
-                hasLayerComments = true;
-                break;
-            }
-        }
+        // Slicer annotations that apply to every command until they change
+        this.currentFeature = null;
+        this.currentWidth = null;
+        this.currentHeight = null;
+        this.layerInfo = {};
+
+        // First pass: find which layer marker style the file uses (only one style is
+        // honored, since some slicers emit several markers per layer change)
+        const markerStyle = this.detectLayerMarkerStyle(lines);
+        const hasLayerComments = markerStyle !== null;
+        let layerNumberOffset = null; // Shifts 0-based (Cura) or negative (raft) numbering to start at 1
+        let seenLayerMarker = false;
 
         // Second pass: parse commands
         lines.forEach((line, index) => {
@@ -39,12 +62,20 @@ class GCodeParser {
 
             // Skip empty lines and comments
             if (!line || line.startsWith(';')) {
-                // Check for layer comments (e.g., "; Layer 1 (Z=0.20)")
-                if (line.toLowerCase().includes('layer')) {
-                    const match = line.match(/layer[:\s]+(\d+)/i);
-                    if (match) {
-                        currentLayer = parseInt(match[1]);
+                // Check for layer comments (e.g., "; Layer 1 (Z=0.20)", ";LAYER:0", ";LAYER_CHANGE")
+                const marker = this.parseLayerMarker(line);
+                if (marker && marker.style === markerStyle) {
+                    if (marker.number !== undefined) {
+                        if (layerNumberOffset === null) {
+                            layerNumberOffset = marker.number < 1 ? 1 - marker.number : 0;
+                        }
+                        currentLayer = marker.number + layerNumberOffset;
+                    } else {
+                        currentLayer++;
                     }
+                    seenLayerMarker = true;
+                } else if (line.length > 1) {
+                    this.parseAnnotation(line.substring(1).trim(), currentLayer);
                 }
                 return;
             }
@@ -53,23 +84,32 @@ class GCodeParser {
             line = line.split(';')[0].trim();
             if (!line) return;
 
-            const command = this.parseLine(line, index, currentLayer);
-            if (command) {
+            const parsed = this.parseLine(line, index, currentLayer);
+            if (!parsed) return;
+
+            // Arcs expand into several move segments for a single source line
+            const commands = Array.isArray(parsed) ? parsed : [parsed];
+            for (const command of commands) {
                 // Only detect layer changes based on Z movement if no layer comments exist
                 // This prevents double-counting when G-code has explicit layer markers
-                if (!hasLayerComments && command.type === 'move' && command.z !== undefined && command.z !== lastZ) {
+                if (!hasLayerComments && GCodeParser.movesHead(command) && command.z !== undefined && command.z !== lastZ) {
                     currentLayer++;
                     lastZ = command.z;
                 }
 
                 command.layer = currentLayer;
+                command.feature = this.currentFeature;
+                command.width = this.currentWidth;
+                command.height = this.currentHeight;
                 this.commands.push(command);
 
-                // Track layers - but skip layer 0 when using layer comments
-                // (layer 0 is just setup commands before actual printing starts)
-                if (!this.layers.includes(currentLayer) && !(hasLayerComments && currentLayer === 0)) {
+                // Track layers - but skip setup commands before the first layer marker
+                if (!this.layers.includes(currentLayer) && !(hasLayerComments && !seenLayerMarker)) {
                     this.layers.push(currentLayer);
                 }
+                if (command.extruding && this.layerPrintZ[currentLayer] === undefined) {
+                    this.layerPrintZ[currentLayer] = command.to.z;
+                }
             }
         });
 
@@ -77,12 +117,141 @@ class GCodeParser {
         return this.commands;
     }
 
+    /**
+     * Find the layer marker style used by a file, or null if it has none.
+     * Numbered markers ("; Layer 3", ";LAYER:2") win over bare change markers.
+     */
+    detectLayerMarkerStyle(lines) {
+        let changeStyle = null;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line.startsWith(';')) continue;
+
+            const marker = this.parseLayerMarker(line);
+            if (!marker) continue;
+            if (marker.style === 'numbered') return 'numbered';
+            if (!changeStyle) changeStyle = marker.style;
+        }
+        return changeStyle;
+    }
+
+    /**
+     * Recognize a layer marker comment
+     * - "; Layer 3 (Z=0.60)" (this simulator) and ";LAYER:2" (Cura) -> numbered
+     * - ";LAYER_CHANGE" (PrusaSlicer, SuperSlicer, OrcaSlicer) -> change
+     * - "; CHANGE_LAYER" (Bambu Studio) -> change_layer
+     */
+    parseLayerMarker(line) {
+        const numbered = line.match(/^;\s*layer[:\s]+(-?\d+)/i);
+        if (numbered) {
+            return { style: 'numbered', number: parseInt(numbered[1]) };
+        }
+        if (/^;\s*LAYER_CHANGE\b/i.test(line)) {
+            return { style: 'change' };
+        }
+        if (/^;\s*CHANGE_LAYER\b/i.test(line)) {
+            return { style: 'change_layer' };
+        }
+        return null;
+    }
+
+    /**
+     * Parse slicer annotation comments (text after the ';')
+     * Feature type: ";TYPE:External perimeter", ";TYPE:WALL-OUTER", "; FEATURE: Outer wall"
+     * Width: ";WIDTH:0.45", "; LINE_WIDTH: 0.42"
+     * Layer height: ";HEIGHT:0.2", "; LAYER_HEIGHT: 0.2"
+     * Layer Z: ";Z:0.6", "; Z_HEIGHT: 0.6"
+     */
+    parseAnnotation(comment, currentLayer) {
+        const match = comment.match(/^([A-Z_]+)\s*:\s*(.*)$/i);
+        if (!match) return;
+
+        const key = match[1].toUpperCase();
+        const value = match[2].trim();
+
+        switch (key) {
+            case 'TYPE':
+            case 'FEATURE':
+                this.currentFeature = GCodeParser.normalizeFeatureType(value);
+                break;
+            case 'WIDTH':
+            case 'LINE_WIDTH':
+                if (!isNaN(parseFloat(value))) this.currentWidth = parseFloat(value);
+                break;
+            case 'HEIGHT':
+            case 'LAYER_HEIGHT':
+                if (!isNaN(parseFloat(value))) {
+                    this.currentHeight = parseFloat(value);
+                    this.layerInfo[currentLayer] = { ...this.layerInfo[currentLayer], height: this.currentHeight };
+                }
+                break;
+            case 'Z':
+            case 'Z_HEIGHT':
+                if (!isNaN(parseFloat(value))) {
+                    this.layerInfo[currentLayer] = { ...this.layerInfo[currentLayer], z: parseFloat(value) };
+                }
+                break;
+        }
+    }
+
+    /**
+     * Map a slicer-specific feature name to one of the keys in GCodeParser.FEATURE_TYPES
+     */
+    static normalizeFeatureType(name) {
+        const key = name.trim().toLowerCase();
+        return GCodeParser.FEATURE_ALIASES[key] || 'other';
+    }
+
+    /**
+     * Whether a parsed command is a retraction or unretraction (E-only move or G10/G11)
+     */
+    static isRetraction(command) {
+        return command.type === 'retract' || command.type === 'unretract';
+    }
+
+    /**
+     * Whether a parsed command moves the print head: every move, plus retractions made while travelling (wipes)
+     */
+    static movesHead(command) {
+        if (command.type === 'move') return true;
+        if (!GCodeParser.isRetraction(command)) return false;
+        const { from, to } = command;
+        return from.x !== to.x || from.y !== to.y || from.z !== to.z;
+    }
+
+    /**
+     * Get Z and height reported by the slicer for a layer (if annotated)
+     */
+    getLayerInfo(layerNum) {
+        return this.layerInfo[layerNum] || null;
+    }
+
+    /**
+     * Height of a layer: the slicer's ;HEIGHT: annotation, or else the Z step
+     * from the previous printed layer (null if unknown)
+     */
+    getLayerHeight(layerNum) {
+        const info = this.getLayerInfo(layerNum);
+        if (info && info.height) return info.height;
+
+        const z = this.layerPrintZ[layerNum];
+        if (z === undefined) return null;
+        let previousZ = 0;
+        for (const layer of this.layers) {
+            if (layer >= layerNum) continue;
+            const layerZ = this.layerPrintZ[layer];
+            if (layerZ !== undefined && layerZ < z) previousZ = Math.max(previousZ, layerZ);
+        }
+        return z - previousZ;
+    }
+
     /**
      * Parse a single G-code line
      */
     parseLine(line, lineNumber, currentLayer) {
         const parts = line.split(/\s+/);
-        const cmdCode = parts[0].toUpperCase();
+        // Normalize zero-padded codes (G01, G02, M082) to their short form
+        const cmdCode = parts[0].toUpperCase().replace(/^([GM])0+(\d)/, '$1$2');
 
         // Parse parameters
         const params = {};
@@ -101,9 +270,43 @@ class GCodeParser {
             case 'G1':  // Linear move (printing if E is present)
                 return this.parseMove(cmdCode, params, lineNumber);
 
+            case 'G2':  // Clockwise arc
+            case 'G3':  // Counter-clockwise arc
+                return this.parseArc(cmdCode, params, lineNumber);
+
+            case 'G10': // Firmware retract (G10 with P or L sets tool offsets instead)
+                if (params.P !== undefined || params.L !== undefined) return null;
+                return this.parseFirmwareRetraction(true, lineNumber);
+
+            case 'G11': // Firmware unretract
+                return this.parseFirmwareRetraction(false, lineNumber);
+
+            case 'M207': // Firmware retraction length (S) and feedrate (F)
+                if (params.S !== undefined) this.firmwareRetraction.length = params.S;
+                if (params.F !== undefined) this.firmwareRetraction.feedrate = params.F;
+                return null;
+
+            case 'M208': // Firmware unretract extra length (S) and feedrate (F)
+                if (params.S !== undefined) this.firmwareRetraction.extraLength = params.S;
+                if (params.F !== undefined) this.firmwareRetraction.recoverFeedrate = params.F;
+                return null;
+
             case 'G28': // Home axis
                 return { type: 'home', axes: params, line: lineNumber };
 
+            case 'G92': // Set position (most often "G92 E0" to rebase the extruder)
+                return this.parseSetPosition(params, lineNumber);
+
+            case 'G90': // Absolute positioning
+            case 'G91': // Relative positioning
+                this.absolutePositioning = cmdCode === 'G90';
+                return { type: 'positioning_mode', absolute: this.absolutePositioning, line: lineNumber };
+
+            case 'M82': // Absolute extrusion
+            case 'M83': // Relative extrusion
+                this.absoluteExtrusion = cmdCode === 'M82';
+                return { type: 'extrusion_mode', absolute: this.absoluteExtrusion, line: lineNumber };
+
             case 'M104': // Set extruder temperature
             case 'M109': // Set extruder temperature and wait
                 this.currentTemp = params.S || 0;
@@ -113,42 +316,203 @@ class GCodeParser {
             case 'M190': // Set bed temperature and wait
                 return { type: 'bed_temperature', temp: params.S || 0, line: lineNumber };
 
+            case 'M201': // Max acceleration per axis
+            case 'M203': // Max feedrate per axis
+            case 'M204': // Print/retract/travel acceleration
+            case 'M205': // Jerk, junction deviation and minimum feedrates
+                return { type: 'motion_limits', code: cmdCode, params: params, line: lineNumber };
+
+            case 'SET_VELOCITY_LIMIT': // Klipper: VELOCITY=, ACCEL=, SQUARE_CORNER_VELOCITY=
+                return { type: 'motion_limits', code: cmdCode, params: this.parseKeyValueParams(parts), line: lineNumber };
+
             default:
                 return null;
         }
     }
 
+    /**
+     * Parse Klipper-style KEY=VALUE parameters (numeric values only)
+     */
+    parseKeyValueParams(parts) {
+        const params = {};
+        for (let i = 1; i < parts.length; i++) {
+            const match = parts[i].match(/^([A-Z_]+)=(-?[\d.]+)$/i);
+            if (match) {
+                params[match[1].toUpperCase()] = parseFloat(match[2]);
+            }
+        }
+        return params;
+    }
+
     /**
      * Parse movement command (G0/G1)
+     * Resolves relative (G91/M83) values so from/to/e are always absolute
      */
     parseMove(cmdCode, params, lineNumber) {
-        const move = {
-            type: 'move',
+        const target = this.resolveTarget(params);
+        const move = this.createMove(target, params, lineNumber);
+
+        // Echo the axes given on the line (used for Z-based layer detection)
+        for (const axis of ['x', 'y', 'z', 'e']) {
+            if (params[axis.toUpperCase()] !== undefined) {
+                move[axis] = target[axis];
+            }
+        }
+
+        // Filament-only moves pull filament back before travel or push it back after.
+        // Pulling back while moving (a wipe) is a retraction too; it keeps its travel.
+        const stationary = move.from.x === move.to.x && move.from.y === move.to.y && move.from.z === move.to.z;
+        if (move.extrusion < 0 || (stationary && move.extrusion > 0)) {
+            move.type = move.extrusion < 0 ? 'retract' : 'unretract';
+            move.extruding = false;
+        }
+
+        return move;
+    }
+
+    /**
+     * Parse firmware retraction (G10) or unretraction (G11)
+     * The printer moves the filament by the M207/M208 amounts without changing
+     * the E position the file uses, so extrusion holds the filament movement
+     * while filament (the running total) stays put.
+     */
+    parseFirmwareRetraction(retract, lineNumber) {
+        const settings = this.firmwareRetraction;
+        const length = retract ? settings.length : settings.length + settings.extraLength;
+
+        return {
+            type: retract ? 'retract' : 'unretract',
+            firmware: true,
             line: lineNumber,
             from: { ...this.currentPosition },
-            to: { ...this.currentPosition }
+            to: { ...this.currentPosition },
+            extruding: false,
+            extrusion: retract ? -length : length,
+            filament: this.filamentUsed,
+            retractFeedrate: retract ? settings.feedrate : settings.recoverFeedrate
         };
+    }
+
+    /**
+     * Parse arc command (G2/G3) into straight move segments
+     * Supports the I/J center-offset form and the R radius form in the XY plane.
+     * Z and E are interpolated linearly across the arc, so helical arcs work too.
+     */
+    parseArc(cmdCode, params, lineNumber) {
+        const clockwise = cmdCode === 'G2';
+        const start = { ...this.currentPosition };
+        const target = this.resolveTarget(params);
 
-        // Update position based on parameters
-        if (params.X !== undefined) {
-            move.to.x = params.X;
-            move.x = params.X;
+        // Center offset from the start point
+        let offsetX = params.I || 0;
+        let offsetY = params.J || 0;
+
+        if (params.R !== undefined) {
+            // Radius form: find the center on the perpendicular bisector of start -> target.
+            // Negative R selects the arc longer than 180 degrees (same rule as Marlin)
+            const dx = target.x - start.x;
+            const dy = target.y - start.y;
+            const d = Math.hypot(dx, dy);
+            if (d === 0) {
+                // Full circle is undefined in R form - treat as a straight move
+                return this.parseMove(cmdCode, params, lineNumber);
+            }
+            const r = params.R;
+            const h = Math.sqrt(Math.max(0, r * r - (d / 2) * (d / 2)));
+            const side = (clockwise !== (r < 0)) ? -1 : 1;
+            const centerX = (start.x + target.x) / 2 + side * h * (-dy / d);
+            const centerY = (start.y + target.y) / 2 + side * h * (dx / d);
+            offsetX = centerX - start.x;
+            offsetY = centerY - start.y;
+        } else if (offsetX === 0 && offsetY === 0) {
+            // No center given - nothing to curve around
+            return this.parseMove(cmdCode, params, lineNumber);
         }
-        if (params.Y !== undefined) {
-            move.to.y = params.Y;
-            move.y = params.Y;
+
+        const centerX = start.x + offsetX;
+        const centerY = start.y + offsetY;
+        const radius = Math.hypot(offsetX, offsetY);
+
+        // Angle swept from start to target around the center
+        const startX = -offsetX, startY = -offsetY;
+        const endX = target.x - centerX, endY = target.y - centerY;
+        let sweep = Math.atan2(startX * endY - startY * endX, startX * endX + startY * endY);
+        if (sweep < 0) sweep += 2 * Math.PI;
+        if (clockwise) sweep -= 2 * Math.PI;
+        if (sweep === 0) sweep = 2 * Math.PI; // Start == target on G3 means a full circle
+
+        const arcLength = Math.hypot(Math.abs(sweep) * radius, target.z - start.z);
+        const numSegments = Math.max(1, Math.ceil(arcLength / this.arcSegmentLength));
+        const startAngle = Math.atan2(startY, startX);
+
+        const moves = [];
+        for (let i = 1; i <= numSegments; i++) {
+            const t = i / numSegments;
+            let point;
+            if (i === numSegments) {
+                // Land exactly on the target to avoid accumulating rounding error
+                point = { ...target };
+            } else {
+                const angle = startAngle + sweep * t;
+                point = {
+                    x: centerX + radius * Math.cos(angle),
+                    y: centerY + radius * Math.sin(angle),
+                    z: start.z + (target.z - start.z) * t,
+                    e: start.e + (target.e - start.e) * t
+                };
+            }
+
+            const move = this.createMove(point, params, lineNumber);
+            move.arc = { clockwise, center: { x: centerX, y: centerY }, radius };
+            moves.push(move);
         }
+
+        // Only the final segment carries the Z word, so Z-based layer detection counts the arc once
         if (params.Z !== undefined) {
-            move.to.z = params.Z;
-            move.z = params.Z;
+            moves[moves.length - 1].z = target.z;
+        }
+
+        return moves;
+    }
+
+    /**
+     * Resolve X/Y/Z/E parameters into an absolute target position
+     */
+    resolveTarget(params) {
+        const target = { ...this.currentPosition };
+
+        for (const axis of ['x', 'y', 'z']) {
+            const value = params[axis.toUpperCase()];
+            if (value !== undefined) {
+                target[axis] = this.absolutePositioning ? value : this.currentPosition[axis] + value;
+            }
         }
         if (params.E !== undefined) {
-            move.to.e = params.E;
-            move.e = params.E;
+            target.e = this.isExtrusionRelative() ? this.currentPosition.e + params.E : params.E;
         }
 
+        return target;
+    }
+
+    /**
+     * Create a move from the current position to an absolute target and advance the position
+     */
+    createMove(target, params, lineNumber) {
+        const move = {
+            type: 'move',
+            line: lineNumber,
+            from: { ...this.currentPosition },
+            to: { ...target }
+        };
+
         // Determine if this is an extrusion move
-        move.extruding = params.E !== undefined && params.E > this.currentPosition.e;
+        move.extruding = params.E !== undefined && move.to.e > this.currentPosition.e;
+
+        // Track filament across G92 rebases: to.e is the logical E the file uses,
+        // filament is the running total actually pushed (retractions subtract)
+        move.extrusion = move.to.e - this.currentPosition.e;
+        this.filamentUsed += move.extrusion;
+        move.filament = this.filamentUsed;
 
         // Store feedrate if present
         if (params.F !== undefined) {
@@ -160,6 +524,38 @@ class GCodeParser {
         return move;
     }
 
+    /**
+     * Parse set position command (G92)
+     * Only the logical position changes - nothing moves and no filament is used.
+     * A bare "G92" resets every axis to zero.
+     */
+    parseSetPosition(params, lineNumber) {
+        const hasAxes = ['X', 'Y', 'Z', 'E'].some(letter => params[letter] !== undefined);
+
+        for (const axis of ['x', 'y', 'z', 'e']) {
+            const value = params[axis.toUpperCase()];
+            if (value !== undefined) {
+                this.currentPosition[axis] = value;
+            } else if (!hasAxes) {
+                this.currentPosition[axis] = 0;
+            }
+        }
+
+        return {
+            type: 'set_position',
+            position: { ...this.currentPosition },
+            filament: this.filamentUsed,
+            line: lineNumber
+        };
+    }
+
+    /**
+     * Get total filament length used by the parsed file (mm)
+     */
+    getFilamentUsed() {
+        return this.filamentUsed;
+    }
+
     /**
      * Get total number of layers
      */
@@ -182,7 +578,7 @@ class GCodeParser {
         let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
 
         this.commands.forEach(cmd => {
-            if (cmd.type === 'move') {
+            if (GCodeParser.movesHead(cmd)) {
                 if (cmd.to.x < minX) minX = cmd.to.x;
                 if (cmd.to.y < minY) minY = cmd.to.y;
                 if (cmd.to.z < minZ) minZ = cmd.to.z;
@@ -203,3 +599,88 @@ class GCodeParser {
         };
     }
 }
+
+/**
+ * Firmware retraction used by G10/G11 until M207/M208 change it (Marlin defaults)
+ */
+GCodeParser.DEFAULT_FIRMWARE_RETRACTION = {
+    length: 3,              // mm (M207 S)
+    feedrate: 2700,         // mm/min (M207 F)
+    extraLength: 0,         // mm added on unretract (M208 S)
+    recoverFeedrate: 480    // mm/min (M208 F)
+};
+
+/**
+ * Canonical feature types with display labels
+ */
+GCodeParser.FEATURE_TYPES = {
+    'outer-wall': 'Outer wall',
+    'inner-wall': 'Inner wall',
+    'overhang-wall': 'Overhang wall',
+    'infill': 'Sparse infill',
+    'solid-infill': 'Solid infill',
+    'top-surface': 'Top surface',
+    'bottom-surface': 'Bottom surface',
+    'bridge': 'Bridge',
+    'gap-fill': 'Gap fill',
+    'skirt': 'Skirt',
+    'brim': 'Brim',
+    'raft': 'Raft',
+    'support': 'Support',
+    'support-interface': 'Support interface',
+    'prime-tower': 'Prime tower',
+    'ironing': 'Ironing',
+    'custom': 'Custom',
+    'other': 'Other'
+};
+
+/**
+ * Feature names as written by Cura, PrusaSlicer/SuperSlicer, OrcaSlicer and Bambu Studio (lowercased)
+ */
+GCodeParser.FEATURE_ALIASES = {
+    // Outer wall
+    'wall-outer': 'outer-wall',
+    'external perimeter': 'outer-wall',
+    'outer wall': 'outer-wall',
+    // Inner wall
+    'wall-inner': 'inner-wall',
+    'perimeter': 'inner-wall',
+    'inner wall': 'inner-wall',
+    // Overhangs
+    'overhang perimeter': 'overhang-wall',
+    'overhang wall': 'overhang-wall',
+    // Infill
+    'fill': 'infill',
+    'internal infill': 'infill',
+    'sparse infill': 'infill',
+    'skin': 'solid-infill',
+    'solid infill': 'solid-infill',
+    'internal solid infill': 'solid-infill',
+    'top solid infill': 'top-surface',
+    'top surface': 'top-surface',
+    'bottom surface': 'bottom-surface',
+    'bridge infill': 'bridge',
+    'internal bridge infill': 'bridge',
+    'bridge': 'bridge',
+    'internal bridge': 'bridge',
+    'gap fill': 'gap-fill',
+    'gap infill': 'gap-fill',
+    // Adhesion
+    'skirt': 'skirt',
+    'skirt/brim': 'skirt',
+    'brim': 'brim',
+    'raft': 'raft',
+    // Support
+    'support': 'support',
+    'support material': 'support',
+    'support transition': 'support',
+    'support-interface': 'support-interface',
+    'support interface': 'support-interface',
+    'support material interface': 'support-interface',
+    // Other
+    'prime-tower': 'prime-tower',
+    'prime tower': 'prime-tower',
+    'wipe tower': 'prime-tower',
+    'ironing': 'ironing',
+    'custom': 'custom'
+};
@@ -0,0 +1,403 @@
+/**
+ * Infill Generator for 3D Printer Simulator
+ * Sparse infill patterns for sliced models, beyond the straight lines the
+ * slicer draws itself: triangles, cubic, honeycomb, gyroid, concentric and
+ * lightning. Cubic and gyroid change from layer to layer to build a 3D
+ * structure, and lightning only grows branches under top surfaces. Every
+ * pattern is clipped to the infill region, holes included.
+ */
+class InfillGenerator {
+    /**
+     * @param {STLSlicer} slicer - Slicer providing the geometry helpers and line spacing
+     */
+    constructor(slicer) {
+        this.slicer = slicer;
+        this.lightningAngle = 45; // Lightning branches lean at most this far from vertical (degrees)
+        this.reset();
+    }
+
+    /**
+     * Forget the current layer and lightning branches (start of a new print)
+     */
+    reset() {
+        this.layerIndex = 0;
+        this.z = 0; // Z of the layer being written (the 3D patterns depend on it)
+        this.lightningLines = []; // Per layer: lightning branch polylines
+    }
+
+    /**
+     * Start writing a layer
+     */
+    setLayer(index, z) {
+        this.layerIndex = index;
+        this.z = z;
+    }
+
+    /**
+     * Is the pattern one of these (rather than the slicer's own lines)?
+     */
+    static isPattern(pattern) {
+        return InfillGenerator.PATTERNS.includes(pattern);
+    }
+
+    /**
+     * Infill polylines for one island of the current layer
+     * @param {String} pattern - One of InfillGenerator.PATTERNS
+     * @param {Number} density - Infill density percentage
+     * @param {Array} region - Oriented loops bounding the infill (outer contours and holes)
+     * @param {Number} angle - Pattern rotation in degrees
+     * @returns {Array} Polylines clipped to the region
+     */
+    generate(pattern, density, region, angle = 0) {
+        if (density <= 0 || region.length === 0) return [];
+
+        // Scaled so every pattern lays down about as much line per area as grid
+        const spacing = this.slicer.getInfillSpacing(density);
+
+        if (pattern === 'concentric') return this.generateConcentric(region, spacing / 2);
+        if (pattern === 'lightning') return this.clipPolylines(this.lightningLines[this.layerIndex] || [], region);
+
+        const bounds = this.getRotatedBounds(region, angle);
+        let polylines;
+        switch (pattern) {
+            case 'triangles':
+                polylines = [0, 60, 120].flatMap(a => this.lineFamily(bounds, spacing * 1.5, a, 0));
+                break;
+            case 'cubic': {
+                // Slicing a cube lattice stood on its corner: three line sets that slide with Z
+                const shift = this.z * Math.SQRT1_2;
+                polylines = [0, 120, 240].flatMap(a => this.lineFamily(bounds, spacing * 1.5, a, shift));
+                break;
+            }
+            case 'honeycomb':
+                polylines = this.honeycombWaves(bounds, spacing / Math.sqrt(3));
+                break;
+            case 'gyroid':
+                polylines = this.gyroidCurves(bounds, spacing * 1.2);
+                break;
+            default:
+                return [];
+        }
+
+        const rotated = polylines.map(polyline => polyline.map(p => this.slicer.rotatePoint(p, angle)));
+        return this.clipPolylines(rotated, region);
+    }
+
+    /**
+     * Bounding box of the region in the pattern's frame (rotated back by the angle)
+     */
+    getRotatedBounds(region, angle) {
+        const points = region.flat().map(p => this.slicer.rotatePoint(p, -angle));
+        return this.slicer.getLayerBoundingBox(points);
+    }
+
+    /**
+     * Parallel lines across the bounds
+     * @param {Number} spacing - Distance between lines
+     * @param {Number} angle - Line direction in degrees
+     * @param {Number} offset - Lines sit at offset + k × spacing along their normal
+     */
+    lineFamily(bounds, spacing, angle, offset) {
+        const a = angle * Math.PI / 180;
+        const dir = { x: Math.cos(a), y: Math.sin(a) };
+        const normal = { x: -dir.y, y: dir.x };
+        const corners = [
+            { x: bounds.minX, y: bounds.minY }, { x: bounds.maxX, y: bounds.minY },
+            { x: bounds.maxX, y: bounds.maxY }, { x: bounds.minX, y: bounds.maxY }
+        ];
+        const along = corners.map(p => p.x * dir.x + p.y * dir.y);
+        const across = corners.map(p => p.x * normal.x + p.y * normal.y);
+        const start = Math.min(...along), end = Math.max(...along);
+
+        const lines = [];
+        const first = Math.ceil((Math.min(...across) - offset) / spacing);
+        const last = Math.floor((Math.max(...across) - offset) / spacing);
+        for (let k = first; k <= last; k++) {
+            const c = offset + k * spacing;
+            lines.push([
+                { x: normal.x * c + dir.x * start, y: normal.y * c + dir.y * start },
+                { x: normal.x * c + dir.x * end, y: normal.y * c + dir.y * end }
+            ]);
+        }
+        return lines;
+    }
+
+    /**
+     * Honeycomb as waves along X: flat hexagon sides joined by slanted ones.
+     * Neighbouring waves are mirrored and share their flat sides, closing the hexagons;
+     * odd bands leave the shared flats to the even bands and add only their slanted sides.
+     * @param {Number} side - Hexagon side length
+     */
+    honeycombWaves(bounds, side) {
+        const half = side * Math.sqrt(3) / 2; // Half the hexagon height
+        const waves = [];
+        const firstBand = Math.floor(bounds.minY / half) - 1;
+        const lastBand = Math.ceil(bounds.maxY / half);
+        const firstCell = Math.floor(bounds.minX / (3 * side)) - 1;
+        const lastCell = Math.ceil(bounds.maxX / (3 * side));
+
+        for (let band = firstBand; band <= lastBand; band++) {
+            const low = band * half;
+            const even = band % 2 === 0;
+            const yA = even ? low + half : low;
+            const yB = even ? low : low + half;
+            if (!even) {
+                for (let cell = firstCell; cell <= lastCell; cell++) {
+                    const x = cell * 3 * side;
+                    waves.push([{ x: x + side / 2, y: yA }, { x: x + side, y: yB }],
+                        [{ x: x + 2 * side, y: yB }, { x: x + 5 * side / 2, y: yA }]);
+                }
+                continue;
+            }
+            const wave = [];
+            for (let cell = firstCell; cell <= lastCell; cell++) {
+                const x = cell * 3 * side;
+                wave.push({ x: x - side / 2, y: yA }, { x: x + side / 2, y: yA },
+                    { x: x + side, y: yB }, { x: x + 2 * side, y: yB });
+            }
+            waves.push(wave);
+        }
+        return waves;
+    }
+
+    /**
+     * Gyroid cut at the current Z: sin(x)cos(y) + sin(y)cos(z) + sin(z)cos(x) = 0.
+     * Each period holds two curves; they run along X while cos(z) dominates and
+     * along Y otherwise, so they never break up.
+     * @param {Number} period - Gyroid period (mm)
+     */
+    gyroidCurves(bounds, period) {
+        const k = 2 * Math.PI / period;
+        const sinZ = Math.sin(k * this.z), cosZ = Math.cos(k * this.z);
+        const alongX = Math.abs(cosZ) >= Math.abs(sinZ);
+        const step = period / 16;
+        const [from, to] = alongX ? [bounds.minX, bounds.maxX] : [bounds.minY, bounds.maxY];
+        const [crossFrom, crossTo] = alongX ? [bounds.minY, bounds.maxY] : [bounds.minX, bounds.maxX];
+        const first = Math.floor(crossFrom / period) - 1;
+        const last = Math.ceil(crossTo / period) + 1;
+        const curves = [];
+
+        for (const branch of [-1, 1]) {
+            for (let m = first; m <= last; m++) {
+                const curve = [];
+                for (let t = from; t <= to + step; t += step) {
+                    const u = k * t;
+                    let v;
+                    if (alongX) {
+                        // sin(u)·cos(v) + cos(z)·sin(v) = -sin(z)·cos(u)
+                        const a = Math.sin(u), b = cosZ;
+                        const r = Math.hypot(a, b);
+                        v = Math.atan2(b, a) + branch * Math.acos(Math.max(-1, Math.min(1, -sinZ * Math.cos(u) / r)));
+                    } else {
+                        // cos(u)·sin(v) + sin(z)·cos(v) = -sin(u)·cos(z)
+                        const a = Math.cos(u), b = sinZ;
+                        const r = Math.hypot(a, b);
+                        const s = Math.asin(Math.max(-1, Math.min(1, -Math.sin(u) * cosZ / r)));
+                        v = (branch > 0 ? s : Math.PI - s) - Math.atan2(b, a);
+                    }
+                    const c = v / k + m * period;
+                    curve.push(alongX ? { x: t, y: c } : { x: c, y: t });
+                }
+                curves.push(curve);
+            }
+        }
+        return curves;
+    }
+
+    /**
+     * Loops stepping inward from the region boundary
+     */
+    generateConcentric(region, spacing) {
+        const polylines = [];
+        let loops = region;
+        for (let i = 0; loops.length > 0 && i < 1000; i++) {
+            for (const loop of loops) polylines.push([...loop, loop[0]]);
+            loops = this.slicer.offsetPolygons(loops, spacing);
+        }
+        return polylines;
+    }
+
+    /**
+     * Grow lightning branches for every layer, from the top down.
+     * Points under each solid layer that sits on sparse infill need support. Going
+     * down, each point leans toward the nearest wall (at most lightningAngle per
+     * layer), merges with points it meets and stops once it reaches the wall.
+     * Each layer connects its points into trees rooted on the walls.
+     * @param {Array} layers - Layers from STLSlicer.sliceMesh()
+     * @param {Array} solid - Per layer: is it a solid (top or bottom) layer?
+     * @param {Number} density - Infill density percentage
+     */
+    prepareLightning(layers, solid, density) {
+        this.lightningLines = layers.map(() => []);
+        if (density <= 0) return;
+
+        const slicer = this.slicer;
+        const spacing = slicer.getInfillSpacing(density);
+        const width = slicer.getExtrusionWidth();
+        const savedHeight = slicer.currentLayerHeight;
+
+        // Infill region of every layer
+        const regions = layers.map(layer => {
+            slicer.currentLayerHeight = layer.height;
+            const paths = slicer.segmentsToPerimeter(layer.segments);
+            return paths.length > 0 ? slicer.generatePerimeters(paths).infillBoundary : [];
+        });
+        slicer.currentLayerHeight = savedHeight;
+
+        let points = [];
+        for (let i = layers.length - 1; i >= 0; i--) {
+            const region = regions[i];
+            if (solid[i] || region.length === 0) {
+                points = [];
+                continue;
+            }
+
+            // New points under a solid layer resting on this one
+            if (i + 1 < layers.length && solid[i + 1] && regions[i + 1].length > 0) {
+                points.push(...this.sampleRegion(regions[i + 1], spacing)
+                    .filter(p => slicer.isPointInSolidGeometry(p, region)));
+            }
+
+            // Drop points that left the region and merge points that met
+            points = points.filter(p => slicer.isPointInSolidGeometry(p, region));
+            points = this.mergePoints(points, width);
+            if (points.length === 0) continue;
+
+            const anchors = points.map(p => ({ point: p, wall: this.nearestBoundaryPoint(p, region) }));
+            this.lightningLines[i] = this.connectTrees(anchors);
+
+            // Lean toward the wall for the layer below; points at the wall are done
+            const reach = layers[i].height * Math.tan(this.lightningAngle * Math.PI / 180);
+            points = anchors.filter(a => a.wall.distance > reach).map(a => {
+                const t = reach / a.wall.distance;
+                return { x: a.point.x + (a.wall.x - a.point.x) * t, y: a.point.y + (a.wall.y - a.point.y) * t };
+            });
+        }
+    }
+
+    /**
+     * Branches for one layer: each point joins the nearest point closer to the wall,
+     * or the wall itself when that is nearer
+     * @param {Array} anchors - [{ point, wall: { x, y, distance } }]
+     */
+    connectTrees(anchors) {
+        const sorted = anchors.slice().sort((a, b) => a.wall.distance - b.wall.distance);
+        const lines = [];
+        sorted.forEach((anchor, i) => {
+            let target = anchor.wall;
+            let best = anchor.wall.distance;
+            for (let j = 0; j < i; j++) {
+                const d = Math.hypot(sorted[j].point.x - anchor.point.x, sorted[j].point.y - anchor.point.y);
+                if (d < best) {
+                    best = d;
+                    target = sorted[j].point;
+                }
+            }
+            lines.push([anchor.point, { x: target.x, y: target.y }]);
+        });
+        return lines;
+    }
+
+    /**
+     * Grid of points inside a region
+     */
+    sampleRegion(region, spacing) {
+        const bbox = this.slicer.getLayerBoundingBox(region.flat());
+        const points = [];
+        for (let x = bbox.minX + spacing / 2; x < bbox.maxX; x += spacing) {
+            for (let y = bbox.minY + spacing / 2; y < bbox.maxY; y += spacing) {
+                if (this.slicer.isPointInSolidGeometry({ x, y }, region)) points.push({ x, y });
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Replace points closer than the distance with one point
+     */
+    mergePoints(points, distance) {
+        const merged = [];
+        for (const p of points) {
+            if (!merged.some(q => Math.hypot(p.x - q.x, p.y - q.y) < distance)) merged.push(p);
+        }
+        return merged;
+    }
+
+    /**
+     * Closest point on any loop of the region
+     * @returns {Object} { x, y, distance }
+     */
+    nearestBoundaryPoint(point, region) {
+        let best = { x: point.x, y: point.y, distance: Infinity };
+        for (const loop of region) {
+            for (let i = 0; i < loop.length; i++) {
+                const a = loop[i], b = loop[(i + 1) % loop.length];
+                const dx = b.x - a.x, dy = b.y - a.y;
+                const lengthSq = dx * dx + dy * dy;
+                const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq)) : 0;
+                const x = a.x + t * dx, y = a.y + t * dy;
+                const distance = Math.hypot(point.x - x, point.y - y);
+                if (distance < best.distance) best = { x, y, distance };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Keep only the parts of polylines inside the region (even-odd, so holes stay empty)
+     * Each segment is split where it crosses a loop; pieces whose midpoint is inside are kept
+     * and joined back into polylines.
+     */
+    clipPolylines(polylines, region) {
+        const slicer = this.slicer;
+        const boxes = region.map(loop => slicer.getLayerBoundingBox(loop));
+        const result = [];
+
+        for (const polyline of polylines) {
+            let current = null;
+            for (let i = 1; i < polyline.length; i++) {
+                const a = polyline[i - 1], b = polyline[i];
+                const cuts = [0, 1];
+                region.forEach((loop, l) => {
+                    const box = boxes[l];
+                    if (Math.max(a.x, b.x) < box.minX || Math.min(a.x, b.x) > box.maxX ||
+                        Math.max(a.y, b.y) < box.minY || Math.min(a.y, b.y) > box.maxY) return;
+                    for (let j = 0; j < loop.length; j++) {
+                        const hit = slicer.getSegmentIntersection(a, b, loop[j], loop[(j + 1) % loop.length]);
+                        if (hit) cuts.push(hit.t);
+                    }
+                });
+                cuts.sort((s, t) => s - t);
+
+                for (let c = 1; c < cuts.length; c++) {
+                    const t0 = cuts[c - 1], t1 = cuts[c];
+                    if (t1 - t0 < 1e-9) continue;
+                    const at = t => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+                    if (slicer.isPointInSolidGeometry(at((t0 + t1) / 2), region)) {
+                        if (!current) {
+                            current = [at(t0)];
+                            result.push(current);
+                        }
+                        current.push(at(t1));
+                    } else {
+                        current = null;
+                    }
+                }
+            }
+        }
+
+        // Drop slivers too short to print
+        return result.filter(polyline => {
+            let length = 0;
+            for (let i = 1; i < polyline.length; i++) {
+                length += Math.hypot(polyline[i].x - polyline[i - 1].x, polyline[i].y - polyline[i - 1].y);
+            }
+            return length > 0.1;
+        });
+    }
+}
+
+/**
+ * Patterns drawn here; 'lines' and 'grid' use the slicer's straight lines
+ */
+InfillGenerator.PATTERNS = ['triangles', 'cubic', 'honeycomb', 'gyroid', 'concentric', 'lightning'];
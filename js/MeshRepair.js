@@ -0,0 +1,373 @@
+/**
+ * Mesh Validation and Repair
+ * Checks imported meshes for problems that break slicing (open edges, non-manifold
+ * edges, inverted facets, degenerate triangles) and repairs what it can: merges
+ * vertices, removes degenerates, makes facet winding consistent and fills simple holes.
+ */
+class MeshRepair {
+    constructor(slicer) {
+        this.slicer = slicer;
+        this.weldTolerance = 0.0001; // Vertices closer than this are merged (mm)
+        this.minArea = 1e-6; // Triangles smaller than this are degenerate (mm²)
+        this.maxHoleEdges = 100; // Larger boundary loops are left open
+    }
+
+    /**
+     * Analyze a mesh without changing it
+     * @returns {Object} { triangles, vertices, openEdges, nonManifoldEdges, invertedFacets,
+     *                     degenerateTriangles, duplicateTriangles, holes, shells }
+     */
+    analyze(mesh = this.slicer.mesh) {
+        return this.inspect(mesh).report;
+    }
+
+    /**
+     * Repair the slicer's mesh in place
+     * The mesh is only replaced when the analysis finds something to fix.
+     * @returns {Object} { before, after, removed, flipped, holesFilled } - after is null if nothing changed
+     */
+    repair() {
+        const inspection = this.inspect(this.slicer.mesh);
+        const before = inspection.report;
+        const result = { before, after: null, removed: 0, flipped: 0, holesFilled: 0 };
+
+        if (!MeshRepair.needsRepair(before)) return result;
+
+        const { positions, faces, flip, edges } = inspection;
+        const oriented = faces.map((face, i) => flip[i] ? [face[0], face[2], face[1]] : face);
+
+        let holesFilled = 0;
+        for (const loop of this.findBoundaryLoops(faces, flip, edges)) {
+            if (loop.length > this.maxHoleEdges) continue;
+            this.fillHole(loop, positions, oriented);
+            holesFilled++;
+        }
+
+        const repaired = oriented.map(([a, b, c]) => ({
+            v1: { ...positions[a] },
+            v2: { ...positions[b] },
+            v3: { ...positions[c] }
+        }));
+
+        this.slicer.mesh = repaired;
+        result.after = this.analyze(repaired);
+        result.removed = before.degenerateTriangles + before.duplicateTriangles;
+        result.flipped = before.invertedFacets;
+        result.holesFilled = holesFilled;
+
+        console.log(`Mesh repair: removed ${result.removed} triangles, flipped ${result.flipped}, ` +
+            `filled ${holesFilled} holes (${before.triangles} → ${repaired.length} triangles)`);
+        return result;
+    }
+
+    /**
+     * Weld, classify and orient a mesh
+     * @returns {Object} { positions, faces, edges, flip, report } - faces exclude degenerates and
+     *                   duplicates, flip marks the faces whose winding disagrees with their shell
+     */
+    inspect(mesh) {
+        const { positions, faces: welded } = this.weld(mesh);
+        const candidates = welded.filter(face => !this.isDegenerate(face, positions));
+        const degenerateTriangles = welded.length - candidates.length;
+
+        // Duplicates share every edge, so only the faces on their first edge need comparing
+        const candidateEdges = this.buildEdges(candidates, positions.length);
+        const sameCorners = (p, q) => q.includes(p[0]) && q.includes(p[1]) && q.includes(p[2]);
+        const faces = candidates.filter((face, f) =>
+            !candidateEdges.users[candidateEdges.ids[f * 3]].some(g => g < f && sameCorners(candidates[g], face)));
+        const duplicateTriangles = candidates.length - faces.length;
+
+        const edges = duplicateTriangles > 0 ? this.buildEdges(faces, positions.length) : candidateEdges;
+        let openEdges = 0;
+        let nonManifoldEdges = 0;
+        for (const users of edges.users) {
+            if (users.length === 1) openEdges++;
+            else if (users.length > 2) nonManifoldEdges++;
+        }
+
+        const { flip, shells } = this.orientShells(faces, edges, positions);
+
+        return {
+            positions,
+            faces,
+            edges,
+            flip,
+            report: {
+                triangles: mesh.length,
+                vertices: positions.length,
+                openEdges,
+                nonManifoldEdges,
+                invertedFacets: flip.reduce((sum, f) => sum + f, 0),
+                degenerateTriangles,
+                duplicateTriangles,
+                holes: this.findBoundaryLoops(faces, flip, edges).length,
+                shells
+            }
+        };
+    }
+
+    /**
+     * Merge vertices that round to the same weldTolerance grid point
+     * Uses an open-addressing hash table over the rounded coordinates, which is several
+     * times faster than a Map on meshes with hundreds of thousands of triangles.
+     * @returns {Object} { positions: [{x, y, z}], faces: [[a, b, c]] }
+     */
+    weld(mesh) {
+        const positions = [];
+        const cells = [];
+        const tolerance = this.weldTolerance;
+        let size = 1;
+        while (size < mesh.length * 6) size *= 2;
+        const table = new Int32Array(size).fill(-1);
+        const mask = size - 1;
+
+        const indexOf = (v) => {
+            const cx = Math.round(v.x / tolerance);
+            const cy = Math.round(v.y / tolerance);
+            const cz = Math.round(v.z / tolerance);
+            let slot = ((cx * 73856093) ^ (cy * 19349663) ^ (cz * 83492791)) & mask;
+
+            while (table[slot] !== -1) {
+                const index = table[slot];
+                const cell = cells[index];
+                if (cell[0] === cx && cell[1] === cy && cell[2] === cz) return index;
+                slot = (slot + 1) & mask;
+            }
+
+            const index = positions.length;
+            table[slot] = index;
+            cells.push([cx, cy, cz]);
+            positions.push({ x: v.x, y: v.y, z: v.z });
+            return index;
+        };
+
+        const faces = mesh.map(tri => [indexOf(tri.v1), indexOf(tri.v2), indexOf(tri.v3)]);
+        return { positions, faces };
+    }
+
+    /**
+     * A face is degenerate if two corners merged or it has (next to) no area
+     */
+    isDegenerate([a, b, c], positions) {
+        if (a === b || b === c || c === a) return true;
+
+        const p = positions[a], q = positions[b], r = positions[c];
+        const ux = q.x - p.x, uy = q.y - p.y, uz = q.z - p.z;
+        const vx = r.x - p.x, vy = r.y - p.y, vz = r.z - p.z;
+        const cx = uy * vz - uz * vy;
+        const cy = uz * vx - ux * vz;
+        const cz = ux * vy - uy * vx;
+        const area = Math.sqrt(cx * cx + cy * cy + cz * cz) / 2;
+
+        return !(area >= this.minArea); // Also catches NaN from unreadable vertices
+    }
+
+    /**
+     * Number the undirected edges and list the faces that use each one
+     * Edges are bucketed by their lower vertex index, so finding an edge's id only
+     * scans the few edges that start at the same vertex.
+     * @returns {Object} { ids: Int32Array - edge id of side k of face f at f * 3 + k, users: [[face index]] }
+     */
+    buildEdges(faces, vertexCount) {
+        const sides = faces.length * 3;
+        const corner = (side, offset) => faces[(side / 3) | 0][(side % 3 + offset) % 3];
+        const lower = side => Math.min(corner(side, 0), corner(side, 1));
+        const upper = side => Math.max(corner(side, 0), corner(side, 1));
+
+        const start = new Int32Array(vertexCount + 1);
+        for (let side = 0; side < sides; side++) start[lower(side) + 1]++;
+        for (let v = 0; v < vertexCount; v++) start[v + 1] += start[v];
+
+        const fill = start.slice(0, vertexCount);
+        const bucket = new Int32Array(sides);
+        for (let side = 0; side < sides; side++) bucket[fill[lower(side)]++] = side;
+
+        const ids = new Int32Array(sides);
+        const users = [];
+        for (let v = 0; v < vertexCount; v++) {
+            for (let i = start[v]; i < start[v + 1]; i++) {
+                const side = bucket[i];
+                const other = upper(side);
+                let id = -1;
+                for (let j = start[v]; j < i && id === -1; j++) {
+                    if (upper(bucket[j]) === other) id = ids[bucket[j]];
+                }
+                if (id === -1) {
+                    id = users.length;
+                    users.push([]);
+                }
+                ids[side] = id;
+                users[id].push((side / 3) | 0);
+            }
+        }
+
+        return { ids, users };
+    }
+
+    /**
+     * 1 if the face runs from u to v, -1 if from v to u
+     */
+    edgeDirection(face, u, v) {
+        for (let k = 0; k < 3; k++) {
+            if (face[k] === u && face[(k + 1) % 3] === v) return 1;
+        }
+        return -1;
+    }
+
+    /**
+     * Walk each shell across its manifold edges and work out which faces need flipping
+     * so that neighbours traverse shared edges in opposite directions. Closed shells are
+     * turned outward (positive volume); open ones keep the winding most faces already have.
+     * @returns {Object} { flip: Uint8Array, shells: number }
+     */
+    orientShells(faces, edges, positions) {
+        const flip = new Uint8Array(faces.length);
+        const visited = new Uint8Array(faces.length);
+        let shells = 0;
+
+        for (let seed = 0; seed < faces.length; seed++) {
+            if (visited[seed]) continue;
+            shells++;
+
+            const members = [seed];
+            let closed = true;
+            visited[seed] = 1;
+
+            for (let m = 0; m < members.length; m++) {
+                const f = members[m];
+                const face = faces[f];
+                const sign = flip[f] ? -1 : 1;
+
+                for (let k = 0; k < 3; k++) {
+                    const u = face[k], v = face[(k + 1) % 3];
+                    const users = edges.users[edges.ids[f * 3 + k]];
+                    if (users.length !== 2) {
+                        closed = false;
+                        continue;
+                    }
+
+                    const g = users[0] === f ? users[1] : users[0];
+                    if (visited[g]) continue;
+
+                    // The neighbour must cross the shared edge against this face's effective direction
+                    flip[g] = -sign * this.edgeDirection(faces[g], u, v) === -1 ? 1 : 0;
+                    visited[g] = 1;
+                    members.push(g);
+                }
+            }
+
+            let flipped = 0;
+            let volume = 0;
+            for (const f of members) {
+                flipped += flip[f];
+                volume += this.signedVolume(faces[f], positions) * (flip[f] ? -1 : 1);
+            }
+
+            const invert = closed ? volume < 0 : flipped * 2 > members.length;
+            if (invert) {
+                for (const f of members) flip[f] ^= 1;
+            }
+        }
+
+        return { flip, shells };
+    }
+
+    /**
+     * Signed volume of the tetrahedron from the origin to a face
+     */
+    signedVolume([a, b, c], positions) {
+        const p = positions[a], q = positions[b], r = positions[c];
+        return (p.x * (q.y * r.z - q.z * r.y) -
+                p.y * (q.x * r.z - q.z * r.x) +
+                p.z * (q.x * r.y - q.y * r.x)) / 6;
+    }
+
+    /**
+     * Chain the open edges of the oriented mesh into hole outlines
+     * Each outline runs opposite to the faces around it, the way a patch would.
+     * Loops through a vertex shared by two holes are not simple and are skipped.
+     * @returns {Array} [[vertex index]]
+     */
+    findBoundaryLoops(faces, flip, edges) {
+        const next = new Map();
+        const shared = new Set();
+
+        faces.forEach((face, f) => {
+            for (let k = 0; k < 3; k++) {
+                if (edges.users[edges.ids[f * 3 + k]].length !== 1) continue;
+                const u = face[k], v = face[(k + 1) % 3];
+                const [from, to] = flip[f] ? [u, v] : [v, u];
+                if (next.has(from)) shared.add(from);
+                next.set(from, to);
+            }
+        });
+
+        const loops = [];
+        const used = new Set();
+        for (const start of next.keys()) {
+            if (used.has(start)) continue;
+
+            const loop = [];
+            let vertex = start;
+            let simple = true;
+            while (vertex !== undefined && !used.has(vertex)) {
+                if (shared.has(vertex)) simple = false;
+                used.add(vertex);
+                loop.push(vertex);
+                vertex = next.get(vertex);
+            }
+
+            if (simple && vertex === start && loop.length >= 3) loops.push(loop);
+        }
+
+        return loops;
+    }
+
+    /**
+     * Close a hole with a fan of triangles around its centroid
+     */
+    fillHole(loop, positions, faces) {
+        if (loop.length === 3) {
+            faces.push([loop[0], loop[1], loop[2]]);
+            return;
+        }
+
+        const center = { x: 0, y: 0, z: 0 };
+        for (const index of loop) {
+            center.x += positions[index].x / loop.length;
+            center.y += positions[index].y / loop.length;
+            center.z += positions[index].z / loop.length;
+        }
+
+        const c = positions.length;
+        positions.push(center);
+        for (let i = 0; i < loop.length; i++) {
+            faces.push([loop[i], loop[(i + 1) % loop.length], c]);
+        }
+    }
+
+    /**
+     * Whether a report has anything the repair pass can fix
+     */
+    static needsRepair(report) {
+        return report.openEdges > 0 || report.nonManifoldEdges > 0 || report.invertedFacets > 0 ||
+            report.degenerateTriangles > 0 || report.duplicateTriangles > 0;
+    }
+
+    /**
+     * Human-readable list of the problems in a report
+     * Several shells are listed unless includeShells is false, as multi-part models are valid.
+     * @returns {Array} e.g. ['12 open edges', '3 inverted facets']
+     */
+    static describe(report, includeShells = true) {
+        const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+        const problems = [];
+        if (report.openEdges > 0) problems.push(plural(report.openEdges, 'open edge'));
+        if (report.nonManifoldEdges > 0) problems.push(plural(report.nonManifoldEdges, 'non-manifold edge'));
+        if (report.invertedFacets > 0) problems.push(plural(report.invertedFacets, 'inverted facet'));
+        if (report.degenerateTriangles > 0) problems.push(plural(report.degenerateTriangles, 'degenerate triangle'));
+        if (report.duplicateTriangles > 0) problems.push(plural(report.duplicateTriangles, 'duplicate triangle'));
+        if (includeShells && report.shells > 1) problems.push(plural(report.shells, 'disconnected shell'));
+        return problems;
+    }
+}
@@ -0,0 +1,367 @@
+/**
+ * Model File Loader
+ * Reads STL, 3MF and OBJ files into the slicer's triangle format ({v1, v2, v3} with
+ * {x, y, z} corners in mm). Files that hold several objects return one entry per object.
+ */
+class ModelLoader {
+    /**
+     * Load every object in a model file
+     * @param {File} file - STL, 3MF or OBJ file
+     * @returns {Promise<Array>} [{ name, mesh, zUp }] - zUp is true when the format fixes Z as up
+     */
+    async load(file) {
+        const buffer = await file.arrayBuffer();
+        const format = this.getFormat(file.name, buffer);
+
+        if (format === '3mf') {
+            return this.parse3MF(buffer, file.name);
+        }
+        if (format === 'obj') {
+            return this.parseOBJ(new TextDecoder().decode(buffer), file.name);
+        }
+
+        const slicer = new STLSlicer();
+        await slicer.parseSTL(file);
+        return [{ name: file.name, mesh: slicer.mesh, zUp: false }];
+    }
+
+    /**
+     * Work out the format from the file extension, falling back to sniffing zip containers
+     * @returns {string} 'stl', '3mf' or 'obj'
+     */
+    getFormat(name, buffer) {
+        const extension = name.toLowerCase().split('.').pop();
+        if (ModelLoader.FORMATS.includes(extension)) return extension;
+
+        const magic = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+        return magic[0] === 0x50 && magic[1] === 0x4b && magic[2] === 3 && magic[3] === 4 ? '3mf' : 'stl';
+    }
+
+    /**
+     * Parse a Wavefront OBJ file
+     * Faces with more than three corners are fanned into triangles. Each group or
+     * object (g / o lines) with faces becomes its own entry; OBJ has no units, so mm are assumed.
+     */
+    parseOBJ(text, fileName) {
+        const baseName = fileName.replace(/\.[^.]+$/, '');
+        const vertices = [];
+        const groups = new Map();
+        let current = null;
+
+        const selectGroup = (name) => {
+            current = groups.get(name);
+            if (!current) {
+                current = [];
+                groups.set(name, current);
+            }
+        };
+
+        // Indices are 1-based; negative ones count back from the latest vertex
+        const vertexAt = (token) => {
+            const index = parseInt(token.split('/')[0]);
+            return vertices[index < 0 ? vertices.length + index : index - 1];
+        };
+
+        for (const line of text.split('\n')) {
+            const parts = line.trim().split(/\s+/);
+            const keyword = parts[0];
+
+            if (keyword === 'v') {
+                vertices.push({ x: parseFloat(parts[1]), y: parseFloat(parts[2]), z: parseFloat(parts[3]) });
+            } else if (keyword === 'o' || keyword === 'g') {
+                selectGroup(parts.slice(1).join(' ') || baseName);
+            } else if (keyword === 'f' && parts.length >= 4) {
+                if (!current) selectGroup(baseName);
+                const corners = parts.slice(1).map(vertexAt);
+                if (corners.some(v => !v)) continue;
+                for (let i = 1; i < corners.length - 1; i++) {
+                    current.push({ v1: { ...corners[0] }, v2: { ...corners[i] }, v3: { ...corners[i + 1] } });
+                }
+            }
+        }
+
+        const objects = [...groups].filter(([, mesh]) => mesh.length > 0)
+            .map(([name, mesh]) => ({ name: groups.size > 1 ? name : fileName, mesh, zUp: false }));
+
+        if (objects.length === 0) throw new Error('No faces found in OBJ file');
+        console.log(`Parsed ${objects.length} object(s) from OBJ: ${objects.map(o => o.mesh.length).join(', ')} triangles`);
+        return objects;
+    }
+
+    /**
+     * Parse a 3MF package
+     * Every build item becomes an entry, with its components and transforms applied and
+     * coordinates converted to mm. Items that reference other model parts (as in
+     * production-extension files from Bambu Studio and PrusaSlicer) are followed.
+     */
+    async parse3MF(buffer, fileName) {
+        const entries = this.readZip(buffer);
+        const rels = entries.get('_rels/.rels');
+        let rootPath = '3D/3dmodel.model';
+        if (rels) {
+            for (const tag of this.scanXML(new TextDecoder().decode(await this.extractZipEntry(rels)))) {
+                if (tag.name === 'Relationship' && /\/3dmodel$/.test(tag.attributes.Type || '')) {
+                    rootPath = tag.attributes.Target.replace(/^\//, '');
+                }
+            }
+        }
+
+        const parts = new Map();
+        const loadPart = async (path) => {
+            if (!parts.has(path)) {
+                const entry = entries.get(path);
+                if (!entry) throw new Error(`3MF part not found: ${path}`);
+                parts.set(path, this.parse3MFModel(new TextDecoder().decode(await this.extractZipEntry(entry))));
+            }
+            return parts.get(path);
+        };
+
+        const root = await loadPart(rootPath);
+        const scale = ModelLoader.UNITS[root.unit] || 1;
+        const baseName = fileName.replace(/\.[^.]+$/, '');
+        const objects = [];
+
+        for (const item of root.items) {
+            const itemPath = item.path || rootPath;
+            const object = (await loadPart(itemPath)).objects.get(item.objectId);
+            if (!object || object.type === 'support') continue;
+
+            const mesh = [];
+            await this.collect3MFObject(itemPath, item.objectId, item.transform, loadPart, mesh);
+            if (mesh.length === 0) continue;
+
+            for (const tri of mesh) {
+                for (const v of [tri.v1, tri.v2, tri.v3]) {
+                    v.x *= scale;
+                    v.y *= scale;
+                    v.z *= scale;
+                }
+            }
+
+            const name = object.name || (root.items.length > 1 ? `${baseName} ${objects.length + 1}` : fileName);
+            objects.push({ name, mesh, zUp: true });
+        }
+
+        if (objects.length === 0) throw new Error('No printable objects found in 3MF file');
+        console.log(`Parsed ${objects.length} object(s) from 3MF: ${objects.map(o => o.mesh.length).join(', ')} triangles`);
+        return objects;
+    }
+
+    /**
+     * Append an object's triangles, and those of its components, transformed into build space
+     */
+    async collect3MFObject(path, objectId, transform, loadPart, mesh) {
+        const object = (await loadPart(path)).objects.get(objectId);
+        if (!object) throw new Error(`3MF object ${objectId} not found in ${path}`);
+
+        // A mirroring transform turns the facets inside out, so swap two corners back
+        const mirrored = this.getDeterminant(transform) < 0;
+        const { vertices, triangles } = object;
+        const point = (i) => this.apply3MFTransform(transform, vertices[i * 3], vertices[i * 3 + 1], vertices[i * 3 + 2]);
+
+        for (let t = 0; t < triangles.length; t += 3) {
+            const v1 = point(triangles[t]);
+            const v2 = point(triangles[t + 1]);
+            const v3 = point(triangles[t + 2]);
+            mesh.push(mirrored ? { v1, v2: v3, v3: v2 } : { v1, v2, v3 });
+        }
+
+        for (const component of object.components) {
+            await this.collect3MFObject(component.path || path, component.objectId,
+                this.multiply3MFTransforms(component.transform, transform), loadPart, mesh);
+        }
+    }
+
+    /**
+     * Read the objects and build items of one 3MF model part
+     * @returns {Object} { unit, objects: Map id → { name, type, vertices, triangles, components }, items }
+     */
+    parse3MFModel(xml) {
+        const model = { unit: 'millimeter', objects: new Map(), items: [] };
+        let object = null;
+
+        for (const tag of this.scanXML(xml)) {
+            const a = tag.attributes;
+            if (tag.closing) {
+                if (tag.name === 'object') object = null;
+                continue;
+            }
+
+            switch (tag.name) {
+                case 'model':
+                    if (a.unit) model.unit = a.unit;
+                    break;
+                case 'object':
+                    object = { name: a.name || '', type: a.type || 'model', vertices: [], triangles: [], components: [] };
+                    model.objects.set(a.id, object);
+                    break;
+                case 'vertex':
+                    if (object) object.vertices.push(parseFloat(a.x), parseFloat(a.y), parseFloat(a.z));
+                    break;
+                case 'triangle':
+                    if (object) object.triangles.push(parseInt(a.v1), parseInt(a.v2), parseInt(a.v3));
+                    break;
+                case 'component':
+                    if (object) {
+                        object.components.push({
+                            objectId: a.objectid,
+                            transform: this.parse3MFTransform(a.transform),
+                            path: a['p:path'] ? a['p:path'].replace(/^\//, '') : null
+                        });
+                    }
+                    break;
+                case 'item':
+                    model.items.push({
+                        objectId: a.objectid,
+                        transform: this.parse3MFTransform(a.transform),
+                        path: a['p:path'] ? a['p:path'].replace(/^\//, '') : null
+                    });
+                    break;
+            }
+        }
+
+        return model;
+    }
+
+    /**
+     * Parse a 3MF transform attribute ("m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32")
+     */
+    parse3MFTransform(text) {
+        const values = (text || '').trim().split(/\s+/).map(parseFloat);
+        return values.length === 12 && values.every(Number.isFinite) ? values : [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+    }
+
+    /**
+     * Transform a point by a 3MF matrix (row vector times matrix, translation in the last row)
+     */
+    apply3MFTransform(m, x, y, z) {
+        return {
+            x: x * m[0] + y * m[3] + z * m[6] + m[9],
+            y: x * m[1] + y * m[4] + z * m[7] + m[10],
+            z: x * m[2] + y * m[5] + z * m[8] + m[11]
+        };
+    }
+
+    /**
+     * Combine two 3MF matrices: the result applies first, then second
+     */
+    multiply3MFTransforms(first, second) {
+        const result = [];
+        for (let row = 0; row < 4; row++) {
+            for (let col = 0; col < 3; col++) {
+                let sum = row === 3 ? second[9 + col] : 0;
+                for (let k = 0; k < 3; k++) sum += first[row * 3 + k] * second[k * 3 + col];
+                result.push(sum);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Determinant of a 3MF matrix's linear part
+     */
+    getDeterminant(m) {
+        return m[0] * (m[4] * m[8] - m[5] * m[7]) -
+               m[1] * (m[3] * m[8] - m[5] * m[6]) +
+               m[2] * (m[3] * m[7] - m[4] * m[6]);
+    }
+
+    /**
+     * Iterate the tags of an XML document
+     * A minimal scanner rather than DOMParser: 3MF parts can hold millions of vertex
+     * elements, and only tag names and attributes are needed.
+     * @returns {Iterable} { name, attributes, closing }
+     */
+    *scanXML(xml) {
+        const tagPattern = /<(\/?)([\w:.-]+)([^>]*)>/g;
+        const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+
+        while ((match = tagPattern.exec(xml)) !== null) {
+            const attributes = {};
+            let attribute;
+            attributePattern.lastIndex = 0;
+            while ((attribute = attributePattern.exec(match[3])) !== null) {
+                attributes[attribute[1]] = this.decodeXMLEntities(attribute[2] ?? attribute[3]);
+            }
+            yield { name: match[2].replace(/^\w+:/, ''), attributes, closing: match[1] === '/' };
+        }
+    }
+
+    /**
+     * Replace the predefined XML entities in an attribute value
+     */
+    decodeXMLEntities(text) {
+        if (!text.includes('&')) return text;
+        return text.replace(/&(lt|gt|quot|apos|amp);/g, (entity, name) =>
+            ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name]);
+    }
+
+    /**
+     * List the entries of a zip archive from its central directory
+     * @returns {Map} path → { method, data: Uint8Array (still compressed) }
+     */
+    readZip(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        // The end-of-central-directory record sits in the last 64 KB (after an optional comment)
+        let end = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) throw new Error('Not a valid 3MF file (zip directory not found)');
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (count === 0xffff || offset === 0xffffffff) throw new Error('Zip64 3MF files are not supported');
+
+        const entries = new Map();
+        const decoder = new TextDecoder();
+        for (let i = 0; i < count; i++) {
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            // Local header name and extra lengths can differ from the central directory's
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            entries.set(name.replace(/^\//, ''), { method, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Decompress one zip entry (stored or deflated)
+     * @returns {Promise<Uint8Array>}
+     */
+    async extractZipEntry(entry) {
+        if (entry.method === 0) return entry.data;
+        if (entry.method !== 8) throw new Error(`Unsupported zip compression method ${entry.method}`);
+
+        const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+// Extensions load() understands
+ModelLoader.FORMATS = ['stl', '3mf', 'obj'];
+
+// 3MF model units in mm
+ModelLoader.UNITS = {
+    micron: 0.001,
+    millimeter: 1,
+    centimeter: 10,
+    inch: 25.4,
+    foot: 304.8,
+    meter: 1000
+};
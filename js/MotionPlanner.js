@@ -0,0 +1,301 @@
+/**
+ * Motion Planner for 3D Printer Simulator
+ * Estimates how long each move really takes on a printer by planning
+ * trapezoidal velocity profiles (accelerate, cruise, decelerate) with
+ * acceleration limits and cornering speed limits, like Marlin and Klipper.
+ */
+class MotionPlanner {
+    constructor(limits = {}) {
+        this.setLimits(limits);
+    }
+
+    /**
+     * Set machine limits (missing values fall back to MotionPlanner.DEFAULT_LIMITS)
+     */
+    setLimits(limits = {}) {
+        this.limits = MotionPlanner.mergeLimits(MotionPlanner.DEFAULT_LIMITS, limits);
+    }
+
+    /**
+     * Deep-merge a partial limits object over a base one
+     */
+    static mergeLimits(base, overrides = {}) {
+        const merged = {};
+        for (const key of Object.keys(base)) {
+            const value = base[key];
+            const override = overrides[key];
+            if (value && typeof value === 'object') {
+                merged[key] = { ...value, ...(override || {}) };
+            } else {
+                merged[key] = override !== undefined ? override : value;
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Plan parsed GCodeParser commands
+     * Limit overrides (M201/M203/M204/M205, SET_VELOCITY_LIMIT) found in the
+     * file apply to every move after them.
+     * @returns {Object} { totalTime, layerTimes: {layer: seconds}, times: seconds per command (same order as commands) }
+     */
+    plan(commands) {
+        const limits = MotionPlanner.mergeLimits(this.limits);
+        const times = new Array(commands.length).fill(0);
+        const blocks = [];
+        let feedrate = MotionPlanner.DEFAULT_FEEDRATE;
+        let previous = null;
+
+        for (let i = 0; i < commands.length; i++) {
+            const cmd = commands[i];
+
+            if (cmd.type === 'motion_limits') {
+                this.applyOverride(limits, cmd);
+                continue;
+            }
+            if (cmd.type !== 'move' && !GCodeParser.isRetraction(cmd)) continue;
+
+            if (cmd.feedrate) feedrate = cmd.feedrate;
+
+            // Firmware retractions (G10/G11) run at their own speed and leave F alone
+            const block = this.createBlock(cmd, i, cmd.retractFeedrate || feedrate, limits, previous);
+            if (!block) continue; // Zero-length move takes no time
+
+            blocks.push(block);
+            previous = block;
+        }
+
+        this.planSpeeds(blocks);
+
+        let totalTime = 0;
+        const layerTimes = {};
+        for (const block of blocks) {
+            block.duration = MotionPlanner.trapezoidTime(
+                block.length, block.entrySpeed, block.exitSpeed, block.nominalSpeed, block.acceleration
+            );
+            times[block.index] = block.duration;
+            totalTime += block.duration;
+
+            const layer = commands[block.index].layer || 0;
+            layerTimes[layer] = (layerTimes[layer] || 0) + block.duration;
+        }
+
+        return { totalTime: totalTime, layerTimes: layerTimes, times: times };
+    }
+
+    /**
+     * Apply a machine-limit command from the G-code to the working limits
+     */
+    applyOverride(limits, cmd) {
+        const p = cmd.params || {};
+        const axes = ['x', 'y', 'z', 'e'];
+
+        switch (cmd.code) {
+            case 'M201': // Max acceleration per axis (mm/s²)
+                axes.forEach(axis => {
+                    if (p[axis.toUpperCase()] !== undefined) limits.maxAcceleration[axis] = p[axis.toUpperCase()];
+                });
+                break;
+
+            case 'M203': // Max feedrate per axis (mm/s)
+                axes.forEach(axis => {
+                    if (p[axis.toUpperCase()] !== undefined) limits.maxFeedrate[axis] = p[axis.toUpperCase()];
+                });
+                break;
+
+            case 'M204': // Starting acceleration: P print, R retract, T travel, S print + travel
+                if (p.S !== undefined) {
+                    limits.printAcceleration = p.S;
+                    limits.travelAcceleration = p.S;
+                }
+                if (p.P !== undefined) limits.printAcceleration = p.P;
+                if (p.R !== undefined) limits.retractAcceleration = p.R;
+                if (p.T !== undefined) limits.travelAcceleration = p.T;
+                break;
+
+            case 'M205': // Jerk (X/Y/Z/E), junction deviation (J), min feedrates (S/T)
+                axes.forEach(axis => {
+                    if (p[axis.toUpperCase()] !== undefined) limits.jerk[axis] = p[axis.toUpperCase()];
+                });
+                if (p.J !== undefined) limits.junctionDeviation = p.J;
+                if (p.S !== undefined) limits.minFeedrate = p.S;
+                if (p.T !== undefined) limits.minTravelFeedrate = p.T;
+                break;
+
+            case 'SET_VELOCITY_LIMIT': // Klipper
+                if (p.VELOCITY !== undefined) {
+                    limits.maxFeedrate.x = p.VELOCITY;
+                    limits.maxFeedrate.y = p.VELOCITY;
+                }
+                if (p.ACCEL !== undefined) {
+                    limits.printAcceleration = p.ACCEL;
+                    limits.travelAcceleration = p.ACCEL;
+                    limits.retractAcceleration = p.ACCEL;
+                }
+                if (p.SQUARE_CORNER_VELOCITY !== undefined) limits.squareCornerVelocity = p.SQUARE_CORNER_VELOCITY;
+                break;
+        }
+    }
+
+    /**
+     * Build a planner block for one move: length, direction, nominal speed,
+     * acceleration and the fastest speed allowed at the junction with the previous move
+     */
+    createBlock(cmd, index, feedrate, limits, previous) {
+        const delta = {
+            x: cmd.to.x - cmd.from.x,
+            y: cmd.to.y - cmd.from.y,
+            z: cmd.to.z - cmd.from.z,
+            e: cmd.extrusion !== undefined ? cmd.extrusion : (cmd.to.e - cmd.from.e)
+        };
+
+        const xyzLength = Math.sqrt(delta.x * delta.x + delta.y * delta.y + delta.z * delta.z);
+        const eOnly = xyzLength < 1e-6;
+        const length = eOnly ? Math.abs(delta.e) : xyzLength;
+        if (length < 1e-6) return null;
+
+        // Unit vector of every axis relative to the move length
+        const unit = {
+            x: delta.x / length,
+            y: delta.y / length,
+            z: delta.z / length,
+            e: delta.e / length
+        };
+
+        // Nominal speed: requested feedrate capped by each axis' max feedrate
+        const minSpeed = cmd.extruding ? limits.minFeedrate : limits.minTravelFeedrate;
+        let nominalSpeed = Math.max(feedrate / 60, minSpeed);
+        let acceleration = eOnly ? limits.retractAcceleration
+            : (delta.e !== 0 ? limits.printAcceleration : limits.travelAcceleration);
+
+        for (const axis of ['x', 'y', 'z', 'e']) {
+            const fraction = Math.abs(unit[axis]);
+            if (fraction < 1e-9) continue;
+            nominalSpeed = Math.min(nominalSpeed, limits.maxFeedrate[axis] / fraction);
+            acceleration = Math.min(acceleration, limits.maxAcceleration[axis] / fraction);
+        }
+
+        const block = {
+            index: index,
+            length: length,
+            unit: unit,
+            eOnly: eOnly,
+            nominalSpeed: nominalSpeed,
+            acceleration: acceleration,
+            maxEntrySpeed: 0,
+            entrySpeed: 0,
+            exitSpeed: 0
+        };
+
+        // Moves start from rest after a retraction or at the start of the file
+        if (previous && !previous.eOnly && !eOnly) {
+            block.maxEntrySpeed = Math.min(
+                this.junctionSpeed(previous, block, limits),
+                previous.nominalSpeed,
+                nominalSpeed
+            );
+        }
+
+        return block;
+    }
+
+    /**
+     * Fastest speed the printer takes a corner between two blocks
+     */
+    junctionSpeed(previous, block, limits) {
+        if (limits.cornering === 'jerk') {
+            // Marlin classic jerk: the instantaneous speed change on any axis may not exceed its jerk limit
+            let speed = Math.min(previous.nominalSpeed, block.nominalSpeed);
+            for (const axis of ['x', 'y', 'z', 'e']) {
+                const jump = Math.abs(block.unit[axis] - previous.unit[axis]) * speed;
+                if (jump > limits.jerk[axis]) {
+                    speed *= limits.jerk[axis] / jump;
+                }
+            }
+            return speed;
+        }
+
+        // Junction deviation (Marlin) / square corner velocity (Klipper, expressed as a deviation)
+        const deviation = limits.cornering === 'klipper'
+            ? limits.squareCornerVelocity * limits.squareCornerVelocity * (Math.SQRT2 - 1) / block.acceleration
+            : limits.junctionDeviation;
+
+        const cosTheta = -(previous.unit.x * block.unit.x + previous.unit.y * block.unit.y + previous.unit.z * block.unit.z);
+        if (cosTheta > 0.999999) return 0; // Full reversal
+        if (cosTheta < -0.999999) return Infinity; // Straight line
+
+        const sinHalfTheta = Math.sqrt(0.5 * (1 - cosTheta));
+        return Math.sqrt(block.acceleration * deviation * sinHalfTheta / (1 - sinHalfTheta));
+    }
+
+    /**
+     * Backward then forward pass so every block can reach its exit speed
+     * within its length (the printer must be able to stop at the end)
+     */
+    planSpeeds(blocks) {
+        // Backward pass: limit entry speeds so each block can decelerate into the next
+        let nextEntry = 0;
+        for (let i = blocks.length - 1; i >= 0; i--) {
+            const block = blocks[i];
+            const reachable = Math.sqrt(nextEntry * nextEntry + 2 * block.acceleration * block.length);
+            block.entrySpeed = Math.min(block.maxEntrySpeed, reachable);
+            nextEntry = block.entrySpeed;
+        }
+
+        // Forward pass: limit exit speeds to what acceleration can reach
+        for (let i = 0; i < blocks.length; i++) {
+            const block = blocks[i];
+            const next = blocks[i + 1];
+            const reachable = Math.sqrt(block.entrySpeed * block.entrySpeed + 2 * block.acceleration * block.length);
+
+            block.exitSpeed = next ? Math.min(next.entrySpeed, reachable) : 0;
+            if (next) next.entrySpeed = block.exitSpeed;
+        }
+    }
+
+    /**
+     * Time to cover a distance starting at entry speed, ending at exit speed,
+     * cruising at no more than nominal speed with constant acceleration
+     */
+    static trapezoidTime(length, entrySpeed, exitSpeed, nominalSpeed, acceleration) {
+        if (length <= 0) return 0;
+        if (!(acceleration > 0) || !isFinite(acceleration)) return length / nominalSpeed;
+
+        const accelDistance = (nominalSpeed * nominalSpeed - entrySpeed * entrySpeed) / (2 * acceleration);
+        const decelDistance = (nominalSpeed * nominalSpeed - exitSpeed * exitSpeed) / (2 * acceleration);
+
+        if (accelDistance + decelDistance <= length) {
+            // Full trapezoid: accelerate, cruise, decelerate
+            const cruiseDistance = length - accelDistance - decelDistance;
+            return (nominalSpeed - entrySpeed) / acceleration +
+                cruiseDistance / nominalSpeed +
+                (nominalSpeed - exitSpeed) / acceleration;
+        }
+
+        // Triangle: never reaches nominal speed
+        const peakSpeed = Math.sqrt((2 * acceleration * length + entrySpeed * entrySpeed + exitSpeed * exitSpeed) / 2);
+        return (peakSpeed - entrySpeed) / acceleration + (peakSpeed - exitSpeed) / acceleration;
+    }
+}
+
+/**
+ * Feedrate (mm/min) used until the file sets one
+ */
+MotionPlanner.DEFAULT_FEEDRATE = 1500;
+
+/**
+ * Default machine limits (typical Marlin bed-slinger)
+ */
+MotionPlanner.DEFAULT_LIMITS = {
+    maxAcceleration: { x: 1000, y: 1000, z: 100, e: 5000 }, // mm/s² (M201)
+    maxFeedrate: { x: 300, y: 300, z: 10, e: 60 },          // mm/s (M203)
+    printAcceleration: 1000,   // mm/s² (M204 P)
+    retractAcceleration: 1000, // mm/s² (M204 R)
+    travelAcceleration: 1000,  // mm/s² (M204 T)
+    cornering: 'junction',     // 'junction' (Marlin), 'jerk' (Marlin classic jerk) or 'klipper'
+    junctionDeviation: 0.013,  // mm (M205 J)
+    jerk: { x: 8, y: 8, z: 0.4, e: 5 }, // mm/s (M205 X/Y/Z/E)
+    squareCornerVelocity: 5,   // mm/s (Klipper)
+    minFeedrate: 0,            // mm/s (M205 S)
+    minTravelFeedrate: 0       // mm/s (M205 T)
+};
@@ -12,6 +12,13 @@ class PrinterSimulator {
         this.camera = null;
         this.printHead = null;
         this.buildPlate = null;
+        this.printBed = null; // Bed node: build plate, grid and everything printed on it
+        this.printerFrame = null; // Frame, gantry/towers and print head
+        this.xGantry = null;
+        this.deltaParts = null; // Delta towers, carriages and arms
+        this.printerProfileId = 'generic';
+        this.printerProfile = PrinterSimulator.PRINTER_PROFILES.generic;
+        this.originOffset = { x: 0, y: 0 }; // G-code XY of the bed center (corner-origin machines)
         this.printedGeometry = [];
         this.pathLines = [];
         this.commands = [];
@@ -35,11 +42,27 @@ class PrinterSimulator {
         this.filamentColor = new BABYLON.Color3(1, 0.42, 0.21); // Default orange
         this.lockedPrintColor = null; // Color locked at start of print to prevent mid-print changes
         this.rainbowMode = false; // Rainbow layers for learning
+        this.colorScheme = 'filament'; // 'filament', 'feature', 'feedrate', 'flow', 'layerTime' or 'temperature'
+        this.colorSteps = 10; // Number of gradient bands for numeric color schemes
+        this.colorRanges = {}; // Min/max value per numeric color scheme for the loaded G-code
+        this.layerTimes = {}; // Estimated print time (seconds) per layer
+        this.featuresPresent = []; // Feature types that extrude in the loaded G-code
+        this.filamentDiameter = 1.75; // Used to convert E length into volumetric flow
+        this.currentSegmentColorKey = null; // Color key shared by every point in currentSegment
         this.printMaterial = null; // Reusable material for print mesh
         this.activeMaterial = null; // Cached material for active tube mesh
         this.frozenMaterial = null; // Shared material for all frozen geometry (non-rainbow)
-        this.frameAccumulator = 0; // For handling fractional speeds
+        this.frameAccumulator = 0; // Simulated seconds not yet spent on commands (fast mode)
         this.lastFrameTime = 0;
+        this.maxFrameDelta = 0.1; // Clamp frame time (s) so a backgrounded tab doesn't jump ahead
+        this.maxCommandsPerFrame = 5000; // Upper bound on commands executed in one frame
+        this.totalPrintTime = 0; // Estimated print time (s) of the loaded G-code at 1x
+        this.motionPlanner = new MotionPlanner(); // Acceleration/cornering-aware move timing
+        this.retractionMarkers = null; // Thin-instanced spheres marking retraction points
+        this.showRetractions = true; // Show retraction markers
+        this.seamMarkers = null; // Thin-instanced spheres marking where outer walls start
+        this.showSeams = false; // Show seam markers
+        this.printingOuterWall = false; // Last command extruded outer wall (the next one isn't a seam)
         this.printHeadPosition = new BABYLON.Vector3(0, 20, 0); // Current smooth position
         this.printHeadTargetPosition = new BABYLON.Vector3(0, 20, 0); // Target position
         this.printHeadLerpSpeed = 10; // Interpolation speed
@@ -119,19 +142,126 @@ class PrinterSimulator {
             detailLevel: 0.5  // Higher = more layer detail visible (emissive = 1 - detailLevel)
         };
 
-        // Build Plate
-        this.createBuildPlate(200, 200);
+        // Build plate, frame and print head from the printer profile
+        this.buildPrinter();
+    }
+
+    /**
+     * Switch printer profile (id from PrinterSimulator.PRINTER_PROFILES or a profile object)
+     * Rebuilds the bed, frame and print head. Clears any printed geometry.
+     */
+    setPrinterProfile(profile) {
+        const resolved = typeof profile === 'string' ? PrinterSimulator.PRINTER_PROFILES[profile] : profile;
+        if (!resolved) {
+            console.warn(`Unknown printer profile: ${profile}`);
+            return;
+        }
+
+        this.printerProfileId = typeof profile === 'string' ? profile : (profile.id || 'custom');
+        this.printerProfile = resolved;
+
+        if (this.scene) {
+            this.clearPrint();
+            this.buildPrinter();
+        }
+    }
+
+    /**
+     * Get a copy of the active printer profile (for saving with the project)
+     */
+    getPrinterProfile() {
+        return JSON.parse(JSON.stringify({ id: this.printerProfileId, ...this.printerProfile }));
+    }
+
+    /**
+     * Get bed footprint in mm (circular beds use their diameter)
+     */
+    getBedSize() {
+        const bed = this.printerProfile.bed;
+        if (bed.shape === 'circular') {
+            return { width: bed.diameter, depth: bed.diameter };
+        }
+        return { width: bed.width, depth: bed.depth };
+    }
 
-        // Print Head
+    /**
+     * (Re)build bed, frame and print head for the active profile
+     */
+    buildPrinter() {
+        const profile = this.printerProfile;
+
+        // Dispose the previous printer (materials included)
+        if (this.printerFrame) {
+            this.printerFrame.dispose(false, true);
+            this.printerFrame = null;
+        }
+        if (this.printBed) {
+            this.printBed.dispose(false, true);
+            this.printBed = null;
+        }
+
+        // Scene X/Z are centered on the bed; corner-origin machines put G-code (0,0) at the front-left corner
+        const bedSize = this.getBedSize();
+        this.originOffset = profile.origin === 'corner'
+            ? { x: bedSize.width / 2, y: bedSize.depth / 2 }
+            : { x: 0, y: 0 };
+
+        this.nozzleDiameter = profile.nozzleDiameter;
+        this.motionPlanner.setLimits(profile.limits || {});
+
+        this.createBuildPlate(profile);
         this.createPrintHead();
+        this.moveHeadTo(BABYLON.Vector3.Zero());
+
+        // Frame the whole machine
+        this.camera.radius = Math.max(bedSize.width, bedSize.depth) * 0.75;
+        this.camera.upperRadiusLimit = Math.max(500, profile.maxHeight * 3);
+    }
+
+    /**
+     * Create build plate mesh and grid on a movable bed node
+     */
+    createBuildPlate(profile) {
+        const bedSize = this.getBedSize();
+
+        // Everything printed is parented to the bed, so it moves with it
+        this.printBed = new BABYLON.TransformNode("printBed", this.scene);
+
+        if (profile.bed.shape === 'circular') {
+            this.buildPlate = BABYLON.MeshBuilder.CreateCylinder("buildPlate", {
+                diameter: profile.bed.diameter,
+                height: 2,
+                tessellation: 64
+            }, this.scene);
+        } else {
+            this.buildPlate = BABYLON.MeshBuilder.CreateBox("buildPlate", {
+                width: bedSize.width,
+                height: 2,
+                depth: bedSize.depth
+            }, this.scene);
+        }
+        this.buildPlate.position.y = -1;
+        this.buildPlate.parent = this.printBed;
+        this.buildPlate.isPickable = false; // Don't allow selecting build plate
+
+        const material = new BABYLON.StandardMaterial("buildPlateMaterial", this.scene);
+        material.diffuseColor = new BABYLON.Color3(0.3, 0.3, 0.35);
+        material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+        this.buildPlate.material = material;
 
         // Grid helper
-        const grid = BABYLON.MeshBuilder.CreateGround("grid", {
-            width: 220,
-            height: 220,
-            subdivisions: 22
-        }, this.scene);
+        const grid = profile.bed.shape === 'circular'
+            ? BABYLON.MeshBuilder.CreateDisc("grid", { radius: profile.bed.diameter / 2, tessellation: 64 }, this.scene)
+            : BABYLON.MeshBuilder.CreateGround("grid", {
+                width: bedSize.width + 20,
+                height: bedSize.depth + 20,
+                subdivisions: 22
+            }, this.scene);
+        if (profile.bed.shape === 'circular') {
+            grid.rotation.x = Math.PI / 2; // Discs are built facing -Z; lay it flat
+        }
         grid.position.y = -0.1;
+        grid.parent = this.printBed;
         grid.isPickable = false; // Don't allow selecting grid
         const gridMaterial = new BABYLON.GridMaterial("gridMaterial", this.scene);
         gridMaterial.majorUnitFrequency = 10;
@@ -144,30 +274,12 @@ class PrinterSimulator {
         grid.material = gridMaterial;
     }
 
-    /**
-     * Create build plate mesh
-     */
-    createBuildPlate(width, depth) {
-        this.buildPlate = BABYLON.MeshBuilder.CreateBox("buildPlate", {
-            width: width,
-            height: 2,
-            depth: depth
-        }, this.scene);
-        this.buildPlate.position.y = -1;
-        this.buildPlate.isPickable = false; // Don't allow selecting build plate
-
-        const material = new BABYLON.StandardMaterial("buildPlateMaterial", this.scene);
-        material.diffuseColor = new BABYLON.Color3(0.3, 0.3, 0.35);
-        material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
-        this.buildPlate.material = material;
-    }
-
     /**
      * Create print head mesh with realistic printer frame
      */
     createPrintHead() {
         // Main printer frame assembly
-        const printerFrame = new BABYLON.TransformNode("printerFrame", this.scene);
+        this.printerFrame = new BABYLON.TransformNode("printerFrame", this.scene);
 
         // Materials
         const frameMaterial = new BABYLON.StandardMaterial("frameMaterial", this.scene);
@@ -184,131 +296,18 @@ class PrinterSimulator {
         const motorMaterial = new BABYLON.StandardMaterial("motorMaterial", this.scene);
         motorMaterial.diffuseColor = new BABYLON.Color3(0.15, 0.15, 0.16); // Dark stepper motor
 
-        // Frame dimensions (matching build plate size)
-        const frameHeight = 250;
-        const frameWidth = 220;
-        const frameDepth = 220;
-        const postSize = 2;
-
-        // Create 4 vertical corner posts
-        const posts = [
-            { x: -frameWidth/2, z: -frameDepth/2 },
-            { x: frameWidth/2, z: -frameDepth/2 },
-            { x: -frameWidth/2, z: frameDepth/2 },
-            { x: frameWidth/2, z: frameDepth/2 }
-        ];
-
-        posts.forEach((pos, i) => {
-            const post = BABYLON.MeshBuilder.CreateBox(`post${i}`, {
-                width: postSize,
-                height: frameHeight,
-                depth: postSize
-            }, this.scene);
-            post.position = new BABYLON.Vector3(pos.x, frameHeight/2, pos.z);
-            post.material = frameMaterial;
-            post.parent = printerFrame;
-            post.isPickable = false;
-        });
-
-        // Top horizontal frame bars
-        const topBar1 = BABYLON.MeshBuilder.CreateBox("topBar1", {
-            width: frameWidth,
-            height: postSize,
-            depth: postSize
-        }, this.scene);
-        topBar1.position = new BABYLON.Vector3(0, frameHeight, -frameDepth/2);
-        topBar1.material = frameMaterial;
-        topBar1.parent = printerFrame;
-        topBar1.isPickable = false;
-
-        const topBar2 = BABYLON.MeshBuilder.CreateBox("topBar2", {
-            width: frameWidth,
-            height: postSize,
-            depth: postSize
-        }, this.scene);
-        topBar2.position = new BABYLON.Vector3(0, frameHeight, frameDepth/2);
-        topBar2.material = frameMaterial;
-        topBar2.parent = printerFrame;
-        topBar2.isPickable = false;
-
-        // Moving gantry assembly (this whole thing moves up/down for Z-axis)
-        this.xGantry = new BABYLON.TransformNode("xGantry", this.scene);
-        this.xGantry.parent = printerFrame;
+        const materials = { frame: frameMaterial, rail: railMaterial, belt: beltMaterial, motor: motorMaterial };
 
-        // Y-axis support arms (vertical rails on each side - extend UP from the rail)
-        const yArmLeft = BABYLON.MeshBuilder.CreateBox("yArmLeft", {
-            width: 2,
-            height: 10,
-            depth: 2
-        }, this.scene);
-        yArmLeft.position = new BABYLON.Vector3(-frameWidth/2 + 5, 5, 0); // Positioned above rail
-        yArmLeft.material = railMaterial;
-        yArmLeft.parent = this.xGantry;
-        yArmLeft.isPickable = false;
-        yArmLeft.renderingGroupId = 2; // Render on top of print
-
-        const yArmRight = BABYLON.MeshBuilder.CreateBox("yArmRight", {
-            width: 2,
-            height: 10,
-            depth: 2
-        }, this.scene);
-        yArmRight.position = new BABYLON.Vector3(frameWidth/2 - 5, 5, 0); // Positioned above rail
-        yArmRight.material = railMaterial;
-        yArmRight.parent = this.xGantry;
-        yArmRight.isPickable = false;
-        yArmRight.renderingGroupId = 2; // Render on top of print
-
-        // X-axis rail (horizontal, mounted on the Y-arms)
-        const xRail = BABYLON.MeshBuilder.CreateBox("xRail", {
-            width: frameWidth - 10,
-            height: 1.5,
-            depth: 1.5
-        }, this.scene);
-        xRail.position = new BABYLON.Vector3(0, 0, 0);
-        xRail.material = railMaterial;
-        xRail.parent = this.xGantry;
-        xRail.isPickable = false;
-        xRail.renderingGroupId = 2; // Render on top of print
-
-        // X-axis belt
-        const xBelt = BABYLON.MeshBuilder.CreateBox("xBelt", {
-            width: frameWidth - 10,
-            height: 0.5,
-            depth: 0.5
-        }, this.scene);
-        xBelt.position = new BABYLON.Vector3(0, 0, -2);
-        xBelt.material = beltMaterial;
-        xBelt.parent = this.xGantry;
-        xBelt.isPickable = false;
-        xBelt.renderingGroupId = 2; // Render on top of print
-
-        // X-axis stepper motors
-        const motorSize = 3;
-        const xMotor1 = BABYLON.MeshBuilder.CreateBox("xMotor1", {
-            width: motorSize,
-            height: motorSize,
-            depth: motorSize
-        }, this.scene);
-        xMotor1.position = new BABYLON.Vector3(-frameWidth/2 + 5, 0, 0);
-        xMotor1.material = motorMaterial;
-        xMotor1.parent = this.xGantry;
-        xMotor1.isPickable = false;
-        xMotor1.renderingGroupId = 2; // Render on top of print
-
-        const xMotor2 = BABYLON.MeshBuilder.CreateBox("xMotor2", {
-            width: motorSize,
-            height: motorSize,
-            depth: motorSize
-        }, this.scene);
-        xMotor2.position = new BABYLON.Vector3(frameWidth/2 - 5, 0, 0);
-        xMotor2.material = motorMaterial;
-        xMotor2.parent = this.xGantry;
-        xMotor2.isPickable = false;
-        xMotor2.renderingGroupId = 2; // Render on top of print
-
-        // Print head carriage (moves along X-axis rail)
+        // Print head carriage (moves along X-axis rail, or hangs from delta arms)
         const headGroup = new BABYLON.TransformNode("printHead", this.scene);
-        headGroup.parent = this.xGantry;
+
+        if (this.printerProfile.kinematics === 'delta') {
+            this.createDeltaFrame(materials);
+            headGroup.parent = this.printerFrame;
+        } else {
+            this.createCartesianFrame(materials);
+            headGroup.parent = this.xGantry;
+        }
 
         // Carriage block (sits ON TOP of the rail)
         const carriage = BABYLON.MeshBuilder.CreateBox("carriage", {
@@ -346,7 +345,7 @@ class PrinterSimulator {
         const nozzle = BABYLON.MeshBuilder.CreateCylinder("nozzle", {
             height: 1,
             diameterTop: 1,
-            diameterBottom: 0.2
+            diameterBottom: Math.max(0.2, this.printerProfile.nozzleDiameter / 2)
         }, this.scene);
         nozzle.position.y = -8.5; // Nozzle tip
         nozzle.parent = headGroup;
@@ -394,16 +393,334 @@ class PrinterSimulator {
 
         // Start position - nozzle at build plate level
         headGroup.position = new BABYLON.Vector3(0, 0, 0);
-        this.xGantry.position = new BABYLON.Vector3(0, 8.5, 0); // Nozzle is 8.5 units below rail, so gantry at 8.5 puts nozzle at Y=0
         this.printHead = headGroup;
         this.isRetracted = false;
     }
 
+    /**
+     * Frame and X gantry for cartesian printers (bed-slinger and CoreXY)
+     * Bed-slinger: an upright frame over the middle of the bed; the gantry rides up
+     * it for Z while the bed slides along Y rails. CoreXY: gantry stays at the top
+     * and the bed drops for Z, so the frame extends below the bed.
+     */
+    createCartesianFrame(materials) {
+        const isCoreXY = this.printerProfile.kinematics === 'corexy';
+        const bedSize = this.getBedSize();
+
+        // Frame dimensions (matching build plate size)
+        const frameHeight = this.printerProfile.maxHeight;
+        const frameWidth = bedSize.width + 20;
+        const frameDepth = bedSize.depth + 20;
+        const postSize = 2;
+
+        // CoreXY: nozzle stays at Y=0, so the frame hangs below it; top sits just above the gantry
+        const frameTop = isCoreXY ? 20 : frameHeight;
+        const frameBottom = isCoreXY ? -frameHeight - 10 : 0;
+        const postHeight = frameTop - frameBottom;
+
+        // CoreXY: 4 vertical corner posts. Bed-slinger: 2 upright posts the gantry rides on
+        const posts = isCoreXY ? [
+            { x: -frameWidth/2, z: -frameDepth/2 },
+            { x: frameWidth/2, z: -frameDepth/2 },
+            { x: -frameWidth/2, z: frameDepth/2 },
+            { x: frameWidth/2, z: frameDepth/2 }
+        ] : [
+            { x: -frameWidth/2, z: 0 },
+            { x: frameWidth/2, z: 0 }
+        ];
+
+        posts.forEach((pos, i) => {
+            const post = BABYLON.MeshBuilder.CreateBox(`post${i}`, {
+                width: postSize,
+                height: postHeight,
+                depth: postSize
+            }, this.scene);
+            post.position = new BABYLON.Vector3(pos.x, frameBottom + postHeight/2, pos.z);
+            post.material = materials.frame;
+            post.parent = this.printerFrame;
+            post.isPickable = false;
+        });
+
+        // Top horizontal frame bars (front and back, or across the upright frame)
+        (isCoreXY ? [-frameDepth/2, frameDepth/2] : [0]).forEach((z, i) => {
+            const topBar = BABYLON.MeshBuilder.CreateBox(`topBar${i + 1}`, {
+                width: frameWidth,
+                height: postSize,
+                depth: postSize
+            }, this.scene);
+            topBar.position = new BABYLON.Vector3(0, frameTop, z);
+            topBar.material = materials.frame;
+            topBar.parent = this.printerFrame;
+            topBar.isPickable = false;
+        });
+
+        if (!isCoreXY) {
+            // Bed Y rails on the base, long enough for the bed to travel its full depth
+            [-bedSize.width / 4, bedSize.width / 4].forEach((x, i) => {
+                const bedRail = BABYLON.MeshBuilder.CreateBox(`bedRail${i}`, {
+                    width: 1.5,
+                    height: 1.5,
+                    depth: bedSize.depth * 2 + 20
+                }, this.scene);
+                bedRail.position = new BABYLON.Vector3(x, -8, 0);
+                bedRail.material = materials.rail;
+                bedRail.parent = this.printerFrame;
+                bedRail.isPickable = false;
+            });
+        } else {
+            // Y rails along both sides at gantry height; the X gantry slides on them
+            [-frameWidth/2 + 5, frameWidth/2 - 5].forEach((x, i) => {
+                const yRail = BABYLON.MeshBuilder.CreateBox(`yRail${i}`, {
+                    width: 1.5,
+                    height: 1.5,
+                    depth: frameDepth
+                }, this.scene);
+                yRail.position = new BABYLON.Vector3(x, 8.5, 0);
+                yRail.material = materials.rail;
+                yRail.parent = this.printerFrame;
+                yRail.isPickable = false;
+                yRail.renderingGroupId = 2; // Render on top of print
+            });
+        }
+
+        // Moving gantry assembly (up/down for Z on a bed-slinger, forward/back for Y on CoreXY)
+        this.xGantry = new BABYLON.TransformNode("xGantry", this.scene);
+        this.xGantry.parent = this.printerFrame;
+
+        // Y-axis support arms (vertical rails on each side - extend UP from the rail)
+        [-frameWidth/2 + 5, frameWidth/2 - 5].forEach((x, i) => {
+            const yArm = BABYLON.MeshBuilder.CreateBox(i === 0 ? "yArmLeft" : "yArmRight", {
+                width: 2,
+                height: 10,
+                depth: 2
+            }, this.scene);
+            yArm.position = new BABYLON.Vector3(x, 5, 0); // Positioned above rail
+            yArm.material = materials.rail;
+            yArm.parent = this.xGantry;
+            yArm.isPickable = false;
+            yArm.renderingGroupId = 2; // Render on top of print
+        });
+
+        // X-axis rail (horizontal, mounted on the Y-arms)
+        const xRail = BABYLON.MeshBuilder.CreateBox("xRail", {
+            width: frameWidth - 10,
+            height: 1.5,
+            depth: 1.5
+        }, this.scene);
+        xRail.position = new BABYLON.Vector3(0, 0, 0);
+        xRail.material = materials.rail;
+        xRail.parent = this.xGantry;
+        xRail.isPickable = false;
+        xRail.renderingGroupId = 2; // Render on top of print
+
+        // X-axis belt
+        const xBelt = BABYLON.MeshBuilder.CreateBox("xBelt", {
+            width: frameWidth - 10,
+            height: 0.5,
+            depth: 0.5
+        }, this.scene);
+        xBelt.position = new BABYLON.Vector3(0, 0, -2);
+        xBelt.material = materials.belt;
+        xBelt.parent = this.xGantry;
+        xBelt.isPickable = false;
+        xBelt.renderingGroupId = 2; // Render on top of print
+
+        // X-axis stepper motors (CoreXY motors sit on the frame, but keep the gantry ends visible)
+        const motorSize = 3;
+        [-frameWidth/2 + 5, frameWidth/2 - 5].forEach((x, i) => {
+            const xMotor = BABYLON.MeshBuilder.CreateBox(`xMotor${i + 1}`, {
+                width: motorSize,
+                height: motorSize,
+                depth: motorSize
+            }, this.scene);
+            xMotor.position = new BABYLON.Vector3(x, 0, 0);
+            xMotor.material = materials.motor;
+            xMotor.parent = this.xGantry;
+            xMotor.isPickable = false;
+            xMotor.renderingGroupId = 2; // Render on top of print
+        });
+
+        this.deltaParts = null;
+    }
+
+    /**
+     * Frame for delta printers: three towers with carriages, arms down to the effector
+     */
+    createDeltaFrame(materials) {
+        const delta = this.printerProfile.delta;
+        const towerHeight = this.printerProfile.maxHeight + delta.armLength + 20;
+        const towers = [];
+
+        this.xGantry = null;
+
+        // Towers at 210° (front-left), 330° (front-right) and 90° (back), like Marlin's A/B/C
+        [210, 330, 90].forEach((angle, i) => {
+            const rad = angle * Math.PI / 180;
+            const x = Math.cos(rad) * delta.towerRadius;
+            const z = Math.sin(rad) * delta.towerRadius;
+
+            const tower = BABYLON.MeshBuilder.CreateBox(`tower${i}`, {
+                width: 4,
+                height: towerHeight,
+                depth: 4
+            }, this.scene);
+            tower.position = new BABYLON.Vector3(x, towerHeight / 2, z);
+            tower.rotation.y = -rad;
+            tower.material = materials.frame;
+            tower.parent = this.printerFrame;
+            tower.isPickable = false;
+
+            const carriage = BABYLON.MeshBuilder.CreateBox(`deltaCarriage${i}`, {
+                width: 6,
+                height: 8,
+                depth: 10
+            }, this.scene);
+            carriage.position = new BABYLON.Vector3(x * 0.97, 0, z * 0.97);
+            carriage.rotation.y = -rad;
+            carriage.material = materials.motor;
+            carriage.parent = this.printerFrame;
+            carriage.isPickable = false;
+            carriage.renderingGroupId = 2; // Render on top of print
+
+            // Two parallel arms per tower (updated in moveHeadTo)
+            const arms = [0, 1].map(j => {
+                const arm = BABYLON.MeshBuilder.CreateLines(`deltaArm${i}_${j}`, {
+                    points: [BABYLON.Vector3.Zero(), BABYLON.Vector3.Zero()],
+                    updatable: true
+                }, this.scene);
+                arm.color = new BABYLON.Color3(0.6, 0.6, 0.62);
+                arm.parent = this.printerFrame;
+                arm.isPickable = false;
+                arm.renderingGroupId = 2; // Render on top of print
+                return arm;
+            });
+
+            towers.push({ x: x, z: z, angle: rad, carriage: carriage, arms: arms });
+        });
+
+        // Top and bottom triangles joining the towers
+        [0, towerHeight].forEach((y, level) => {
+            towers.forEach((tower, i) => {
+                const next = towers[(i + 1) % towers.length];
+                const start = new BABYLON.Vector3(tower.x, y, tower.z);
+                const end = new BABYLON.Vector3(next.x, y, next.z);
+                const bar = BABYLON.MeshBuilder.CreateBox(`deltaBar${level}_${i}`, {
+                    width: BABYLON.Vector3.Distance(start, end),
+                    height: 4,
+                    depth: 4
+                }, this.scene);
+                bar.position = BABYLON.Vector3.Center(start, end);
+                bar.rotation.y = -Math.atan2(end.z - start.z, end.x - start.x);
+                bar.material = materials.frame;
+                bar.parent = this.printerFrame;
+                bar.isPickable = false;
+            });
+        });
+
+        this.deltaParts = { towers: towers, armLength: delta.armLength };
+    }
+
+    /**
+     * Convert a G-code position to bed-space Babylon coordinates
+     * G-code: X=right, Y=back, Z=up. Babylon: X=right, Y=up, Z=back.
+     * Corner-origin machines are shifted so the bed stays centered in the scene.
+     */
+    toScenePosition(p) {
+        return new BABYLON.Vector3(p.x - this.originOffset.x, p.z, p.y - this.originOffset.y);
+    }
+
+    /**
+     * Does the bed move while printing? (Bed-slingers move it for Y, CoreXY lowers it for Z)
+     */
+    bedMoves() {
+        return this.printerProfile.kinematics !== 'delta';
+    }
+
+    /**
+     * Parent print geometry to the bed so it moves with it.
+     * Merging meshes that are already on the bed gives world-space vertices; pass inWorldSpace to move them back.
+     */
+    attachToBed(mesh, inWorldSpace = false) {
+        if (!mesh || !this.printBed) return;
+
+        if (inWorldSpace) {
+            mesh.bakeTransformIntoVertices(BABYLON.Matrix.Invert(this.printBed.computeWorldMatrix(true)));
+        }
+        mesh.parent = this.printBed;
+
+        // Optimize - geometry on a static bed never moves
+        if (!this.bedMoves()) {
+            mesh.freezeWorldMatrix();
+        }
+    }
+
+    /**
+     * Move the machine so the nozzle tip sits at a bed-space position
+     */
+    moveHeadTo(pos) {
+        if (!this.printHead) return;
+
+        switch (this.printerProfile.kinematics) {
+            case 'delta': {
+                // Effector moves freely; each carriage rides its tower at the height the arm length allows
+                const effectorY = pos.y + 8.5;
+                this.printHead.position.set(pos.x, effectorY, pos.z);
+
+                const armLength = this.deltaParts.armLength;
+                for (const tower of this.deltaParts.towers) {
+                    const dx = tower.x - pos.x;
+                    const dz = tower.z - pos.z;
+                    const reach = Math.sqrt(Math.max(0, armLength * armLength - (dx * dx + dz * dz)));
+                    const carriageY = effectorY + reach;
+                    tower.carriage.position.y = carriageY;
+
+                    // Arm pairs are spread along the tower's tangent
+                    const tx = -Math.sin(tower.angle) * 4;
+                    const tz = Math.cos(tower.angle) * 4;
+                    tower.arms.forEach((arm, j) => {
+                        const side = j === 0 ? -1 : 1;
+                        BABYLON.MeshBuilder.CreateLines(null, {
+                            points: [
+                                new BABYLON.Vector3(pos.x + tx * side, effectorY, pos.z + tz * side),
+                                new BABYLON.Vector3(tower.carriage.position.x + tx * side, carriageY, tower.carriage.position.z + tz * side)
+                            ],
+                            instance: arm
+                        });
+                    });
+                }
+                break;
+            }
+
+            case 'corexy':
+                // X: head moves along the gantry. Y: gantry moves forward/back at a fixed height.
+                // Z: bed (and everything printed on it) drops away from the nozzle
+                this.printHead.position.x = pos.x;
+                this.xGantry.position.z = pos.z;
+                this.xGantry.position.y = 8.5;
+                this.printBed.position.y = -pos.y;
+                break;
+
+            default:
+                // X-axis: Print head carriage moves left/right along the X-rail
+                this.printHead.position.x = pos.x;
+
+                // Y-axis: Bed (and everything printed on it) slides under the fixed gantry
+                this.xGantry.position.z = 0;
+                this.printBed.position.z = -pos.z;
+
+                // Z-axis: Entire gantry assembly moves up/down
+                // Nozzle is 8.5 units below the gantry rail, so add 8.5 to keep nozzle at correct height
+                this.xGantry.position.y = pos.y + 8.5;
+                break;
+        }
+    }
+
     /**
      * Load G-code commands
      */
     loadCommands(commands) {
-        this.commands = commands.filter(cmd => cmd.type === 'move');
+        this.analyzeCommands(commands);
+        this.commands = commands.filter(cmd => cmd.type === 'move' || GCodeParser.isRetraction(cmd));
         this.currentCommandIndex = 0;
         this.clearPrint();
 
@@ -411,21 +728,15 @@ class PrinterSimulator {
         this.lockedPrintColor = this.filamentColor.clone();
 
         // Move print head to starting position of first EXTRUDING move
-        if (this.commands.length > 0 && this.printHead && this.xGantry) {
+        if (this.commands.length > 0 && this.printHead) {
             // Find first extruding command (skip initial travel moves)
             const firstExtrudingCmd = this.commands.find(cmd => cmd.extruding);
             const firstCmd = firstExtrudingCmd || this.commands[0];
 
-            const startPos = new BABYLON.Vector3(
-                firstCmd.from.x,
-                firstCmd.from.z,
-                firstCmd.from.y
-            );
+            const startPos = this.toScenePosition(firstCmd.from);
 
             // Position print head at starting location
-            this.printHead.position.x = startPos.x;
-            this.xGantry.position.z = startPos.z;
-            this.xGantry.position.y = startPos.y + 8.5;
+            this.moveHeadTo(startPos);
         }
 
         // Center camera on print
@@ -433,11 +744,15 @@ class PrinterSimulator {
             const parser = new GCodeParser();
             parser.commands = commands;
             const bbox = parser.getBoundingBox();
-            const center = new BABYLON.Vector3(
-                (bbox.min.x + bbox.max.x) / 2,
-                (bbox.min.z + bbox.max.z) / 2,
-                (bbox.min.y + bbox.max.y) / 2
-            );
+            const center = this.toScenePosition({
+                x: (bbox.min.x + bbox.max.x) / 2,
+                y: (bbox.min.y + bbox.max.y) / 2,
+                z: (bbox.min.z + bbox.max.z) / 2
+            });
+            // CoreXY lowers the bed as it prints - aim where the finished print will be
+            if (this.printerProfile.kinematics === 'corexy') {
+                center.y -= bbox.max.z;
+            }
             this.camera.target = center;
         }
     }
@@ -508,9 +823,12 @@ class PrinterSimulator {
         this.pathSegments = [];
         this.allPathSegments = []; // Clear permanent segment storage too
         this.currentSegment = [];
+        this.currentSegmentColorKey = null;
         this.updateCounter = 0;
         this.totalPointCount = 0; // Reset running counter
         this.lockedPrintColor = null; // Unlock color when clearing
+        this.clearRetractionMarkers();
+        this.clearSeamMarkers();
 
         // Don't reset print head position here - it will be set correctly in loadCommands() or play()
     }
@@ -524,21 +842,15 @@ class PrinterSimulator {
         this.frameAccumulator = 0;
 
         // Move print head to starting position of first EXTRUDING command
-        if (this.commands.length > 0 && this.printHead && this.xGantry) {
+        if (this.commands.length > 0 && this.printHead) {
             // Find first extruding command (skip initial travel moves)
             const firstExtrudingCmd = this.commands.find(cmd => cmd.extruding);
             const firstCmd = firstExtrudingCmd || this.commands[0];
 
-            const startPos = new BABYLON.Vector3(
-                firstCmd.from.x,
-                firstCmd.from.z,
-                firstCmd.from.y
-            );
+            const startPos = this.toScenePosition(firstCmd.from);
 
             // Position print head at starting location
-            this.printHead.position.x = startPos.x;
-            this.xGantry.position.z = startPos.z;
-            this.xGantry.position.y = startPos.y + 8.5;
+            this.moveHeadTo(startPos);
         }
 
         this.animate();
@@ -562,6 +874,9 @@ class PrinterSimulator {
         this.lastFrameTime = 0;
         this.clearPrint();
         this.resetTemperature();
+
+        // Home the machine so a lowered bed (CoreXY) lines up with the model previews again
+        this.moveHeadTo(BABYLON.Vector3.Zero());
     }
 
     /**
@@ -573,7 +888,7 @@ class PrinterSimulator {
                 this.isPlaying = false;
                 // Freeze final segment before finishing
                 if (this.currentSegment.length > 1) {
-                    const segmentCopy = [...this.currentSegment];
+                    const segmentCopy = this.snapshotCurrentSegment();
                     this.allPathSegments.push(segmentCopy);
                     this.freezeSegment(segmentCopy);
                     this.currentSegment = [];
@@ -615,107 +930,68 @@ class PrinterSimulator {
             if (newInterpolationMode && this.currentCommandIndex < this.commands.length) {
                 // Get current command's starting position for clean interpolation start
                 const cmd = this.commands[this.currentCommandIndex];
-                if (cmd && cmd.type === 'move') {
-                    this.lastInterpolatedPosition = new BABYLON.Vector3(
-                        cmd.from.x,
-                        cmd.from.z,
-                        cmd.from.y
-                    );
+                if (cmd && GCodeParser.movesHead(cmd)) {
+                    this.lastInterpolatedPosition = this.toScenePosition(cmd.from);
                 }
             }
         }
         this.useInterpolation = newInterpolationMode;
 
-        if (this.useInterpolation && this.currentCommandIndex < this.commands.length) {
-            // INTERPOLATION MODE: Smooth movement through commands
-            const command = this.commands[this.currentCommandIndex];
-
-            // Progress through current command based on speed
-            const progressPerSecond = 10 * this.speed; // Commands per second
-            const progressIncrement = progressPerSecond * deltaTime;
-
-            this.commandProgress += progressIncrement;
-
-            if (this.commandProgress >= 1.0) {
-                // Command complete - execute it normally and move to next
-                this.executeCommand(command);
-
-                if (command.type === 'move') {
-                    const to = new BABYLON.Vector3(
-                        command.to.x,
-                        command.to.z,
-                        command.to.y
-                    );
-
-                    // Complete the final segment if we were extruding
-                    if (command.extruding && this.lastInterpolatedPosition) {
-                        const distance = BABYLON.Vector3.Distance(this.lastInterpolatedPosition, to);
-                        if (distance > 0.001) {
-                            // Add final segment to exact end point
-                            if (this.currentSegment.length === 0) {
-                                this.currentSegment.push(this.lastInterpolatedPosition.clone());
-                            }
-                            this.currentSegment.push(to.clone());
-                            this.updateLineMesh();
-                        }
-                    }
-
-                    // Ensure print head is at final position
-                    if (this.printHead && this.xGantry) {
-                        this.printHead.position.x = to.x;
-                        this.xGantry.position.z = to.z;
-                        this.xGantry.position.y = to.y + 8.5;
-                    }
-
-                    // Freeze completed segment on travel moves
-                    if (!command.extruding && this.currentSegment.length > 1) {
-                        const segmentCopy = [...this.currentSegment];
-                        this.allPathSegments.push(segmentCopy);
-                        this.freezeSegment(segmentCopy);
-                        this.currentSegment = [];
-                        this.lastSegmentCount = 0;
+        // Advance the simulated print clock. setSpeed() is a time multiplier:
+        // at 1x each move takes as long as it would on the printer.
+        let simTime = Math.min(deltaTime, this.maxFrameDelta) * this.speed;
+        let commandsThisFrame = 0;
+
+        if (this.useInterpolation) {
+            // INTERPOLATION MODE: Smooth movement through commands, carrying
+            // leftover time into the next command so short moves don't stall
+            while (simTime > 0 && this.currentCommandIndex < this.commands.length &&
+                   commandsThisFrame < this.maxCommandsPerFrame) {
+                const command = this.commands[this.currentCommandIndex];
+                const duration = this.getCommandDuration(command);
+                const timeLeft = (1 - this.commandProgress) * duration;
+
+                if (simTime >= timeLeft) {
+                    // Enough time left this frame to finish the command
+                    simTime -= timeLeft;
+                    this.completeInterpolatedCommand(command);
+                    commandsThisFrame++;
+                } else {
+                    // Partially execute - move print head and show partial extrusion
+                    this.commandProgress += simTime / duration;
+                    simTime = 0;
+                    if (GCodeParser.movesHead(command)) {
+                        this.executeCommandPartial(command, this.commandProgress);
                     }
                 }
-
-                this.currentCommandIndex++;
-                this.commandProgress = 0;
-                this.lastInterpolatedPosition = null; // Reset for next command
-
-                // Merge layers periodically for performance
-                const currentLayer = command?.layer || 0;
-                if (currentLayer > 0 && currentLayer % this.layerMergeInterval === 0) {
-                    this.mergeLayers(currentLayer - this.layerMergeInterval, currentLayer);
-                }
-            } else if (command.type === 'move') {
-                // Partially execute - move print head and show partial extrusion
-                this.executeCommandPartial(command, this.commandProgress);
             }
         } else {
             // FAST MODE: Batch command execution
-            // Accumulate progress based on speed and delta time
-            const commandsPerSecond = 10 * this.speed;
-            this.frameAccumulator += commandsPerSecond * deltaTime;
-
-            // Cap the accumulator to prevent huge backlogs
-            const maxAccumulator = 1000;
-            if (this.frameAccumulator > maxAccumulator) {
-                this.frameAccumulator = maxAccumulator;
-            }
+            // Accumulate simulated seconds and run every command that fits
+            this.frameAccumulator += simTime;
 
-            // Process accumulated commands
-            let commandsToProcess = Math.floor(this.frameAccumulator);
-            this.frameAccumulator -= commandsToProcess;
+            while (this.currentCommandIndex < this.commands.length &&
+                   commandsThisFrame < this.maxCommandsPerFrame) {
+                const command = this.commands[this.currentCommandIndex];
+                const duration = this.getCommandDuration(command);
+                if (duration > this.frameAccumulator) break;
 
-            for (let i = 0; i < commandsToProcess && this.currentCommandIndex < this.commands.length; i++) {
-                this.executeCommand(this.commands[this.currentCommandIndex]);
+                this.frameAccumulator -= duration;
+                this.executeCommand(command);
                 this.currentCommandIndex++;
+                commandsThisFrame++;
 
                 // Merge layers periodically for performance
-                const currentLayer = this.commands[this.currentCommandIndex - 1]?.layer || 0;
+                const currentLayer = command?.layer || 0;
                 if (currentLayer > 0 && currentLayer % this.layerMergeInterval === 0) {
                     this.mergeLayers(currentLayer - this.layerMergeInterval, currentLayer);
                 }
             }
+
+            // Drop backlog we couldn't render this frame rather than letting it pile up
+            if (commandsThisFrame >= this.maxCommandsPerFrame) {
+                this.frameAccumulator = 0;
+            }
         }
 
         // Simulate temperature fluctuation during printing (realistic PID controller behavior)
@@ -732,7 +1008,10 @@ class PrinterSimulator {
                 layer: cmd.layer || 0,
                 position: cmd.to || { x: 0, y: 0, z: 0 },
                 extruding: cmd.extruding || false,
-                retracting: this.isRetracted || false
+                retracting: this.isRetracted || false,
+                feature: cmd.feature || null,
+                elapsedTime: this.getElapsedPrintTime(),
+                totalTime: this.totalPrintTime
             });
         }
 
@@ -740,42 +1019,68 @@ class PrinterSimulator {
         requestAnimationFrame(() => this.animate());
     }
 
+    /**
+     * Finish a command in interpolation mode: execute it fully, close off
+     * the partial extrusion and advance to the next command
+     */
+    completeInterpolatedCommand(command) {
+        // Command complete - execute it normally and move to next
+        this.executeCommand(command);
+
+        if (GCodeParser.movesHead(command)) {
+            const to = this.toScenePosition(command.to);
+
+            // Complete the final segment if we were extruding
+            if (command.extruding && this.lastInterpolatedPosition) {
+                const distance = BABYLON.Vector3.Distance(this.lastInterpolatedPosition, to);
+                if (distance > 0.001) {
+                    // Add final segment to exact end point
+                    if (this.currentSegment.length === 0) {
+                        this.currentSegment.push(this.lastInterpolatedPosition.clone());
+                    }
+                    this.currentSegment.push(to.clone());
+                    this.updateLineMesh();
+                }
+            }
+
+            // Ensure print head is at final position
+            this.moveHeadTo(to);
+
+            // Freeze completed segment on travel moves
+            if (!command.extruding && this.currentSegment.length > 1) {
+                this.commitCurrentSegment();
+            }
+        }
+
+        this.currentCommandIndex++;
+        this.commandProgress = 0;
+        this.lastInterpolatedPosition = null; // Reset for next command
+
+        // Merge layers periodically for performance
+        const currentLayer = command?.layer || 0;
+        if (currentLayer > 0 && currentLayer % this.layerMergeInterval === 0) {
+            this.mergeLayers(currentLayer - this.layerMergeInterval, currentLayer);
+        }
+    }
+
     /**
      * Execute a command partially (for smooth interpolation at slow speeds)
      */
     executeCommandPartial(command, progress) {
-        if (command.type !== 'move') return;
+        if (!GCodeParser.movesHead(command)) return;
 
         // Convert G-code coordinates to Babylon.js coordinates
-        const from = new BABYLON.Vector3(
-            command.from.x,
-            command.from.z,
-            command.from.y
-        );
-        const to = new BABYLON.Vector3(
-            command.to.x,
-            command.to.z,
-            command.to.y
-        );
+        const from = this.toScenePosition(command.from);
+        const to = this.toScenePosition(command.to);
 
         // Interpolate position
         const currentPos = BABYLON.Vector3.Lerp(from, to, progress);
 
         // Move print head smoothly
-        if (this.printHead && this.xGantry) {
-            this.printHead.position.x = currentPos.x;
-            this.xGantry.position.z = currentPos.z;
-            this.xGantry.position.y = currentPos.y + 8.5;
-        }
+        this.moveHeadTo(currentPos);
 
         // Show partial extrusion if extruding
         if (command.extruding) {
-            // Update retraction indicator
-            if (this.printHeadMaterial && this.isRetracted) {
-                this.printHeadMaterial.emissiveColor = new BABYLON.Color3(0.2, 0.1, 0.1);
-                this.isRetracted = false;
-            }
-
             // Add incremental line segment (only the new portion since last update)
             if (this.useLineRendering && progress > 0.01) { // Start showing at 1% progress
                 // Use last position or start of command
@@ -786,6 +1091,9 @@ class PrinterSimulator {
                 const distance = BABYLON.Vector3.Distance(segmentFrom, segmentTo);
 
                 if (distance > 0.005) { // Very small threshold for smooth appearance
+                    // Start a new segment if this command's color differs from the current one
+                    this.ensureSegmentColor(this.getColorKey(command));
+
                     // If starting a new segment, add the starting point
                     if (this.currentSegment.length === 0) {
                         this.currentSegment.push(segmentFrom.clone());
@@ -803,11 +1111,6 @@ class PrinterSimulator {
                 }
             }
         } else {
-            // Travel move - show retraction indicator
-            if (this.printHeadMaterial && !this.isRetracted) {
-                this.printHeadMaterial.emissiveColor = new BABYLON.Color3(0.2, 0.5, 1.0);
-                this.isRetracted = true;
-            }
             // Reset interpolation position for travel moves
             this.lastInterpolatedPosition = null;
         }
@@ -817,75 +1120,200 @@ class PrinterSimulator {
      * Execute a single G-code command
      */
     executeCommand(command) {
-        if (command.type !== 'move') return;
+        if (GCodeParser.isRetraction(command)) {
+            // A wipe retracts where its travel starts
+            this.setRetracted(command.type === 'retract', GCodeParser.movesHead(command) ? command.from : command.to);
+        }
+        if (!GCodeParser.movesHead(command)) return;
 
         // Convert G-code coordinates to Babylon.js coordinates
         // G-code: X=right, Y=back, Z=up
         // Babylon: X=right, Y=up, Z=back
-        const from = new BABYLON.Vector3(
-            command.from.x,
-            command.from.z,
-            command.from.y
-        );
-        const to = new BABYLON.Vector3(
-            command.to.x,
-            command.to.z,
-            command.to.y
-        );
+        const from = this.toScenePosition(command.from);
+        const to = this.toScenePosition(command.to);
 
-        // Move gantry and print head to simulate real printer mechanics
-        if (this.printHead && this.xGantry) {
-            // X-axis: Print head carriage moves left/right along the X-rail
-            this.printHead.position.x = to.x;
-
-            // Y-axis: Entire gantry assembly moves forward/back
-            this.xGantry.position.z = to.z;
+        // Move gantry, print head and bed to simulate real printer mechanics
+        // (bulk replays only place the machine once, when they finish)
+        if (!this.isQuickPrinting) {
+            this.moveHeadTo(to);
+        }
 
-            // Z-axis: Entire gantry assembly moves up/down
-            // Nozzle is 8.5 units below the gantry rail, so add 8.5 to keep nozzle at correct height
-            this.xGantry.position.y = to.y + 8.5;
+        // An outer wall starting after anything else is the Z seam
+        const outerWall = command.extruding && command.feature === 'outer-wall';
+        if (outerWall && !this.printingOuterWall) {
+            this.addSeamMarker(from);
         }
+        this.printingOuterWall = outerWall;
 
         // Only create geometry when extruding
         if (command.extruding) {
-            // Extruding - show normal print head color
-            if (this.printHeadMaterial && this.isRetracted) {
-                this.printHeadMaterial.emissiveColor = new BABYLON.Color3(0.2, 0.1, 0.1); // Normal red glow
-                this.isRetracted = false;
-            }
+            // Extruding pushes the filament back into the nozzle
+            this.setRetracted(false);
 
+            const colorKey = this.getColorKey(command);
             if (this.useLineRendering) {
                 // For line rendering, add to current segment
-                this.addLineSegment(from, to, command.layer, true);
+                this.addLineSegment(from, to, command.layer, colorKey);
             } else {
                 // For cylinder rendering
-                this.createExtrusionGeometry(from, to, command.layer);
+                this.createExtrusionGeometry(from, to, command.layer, colorKey);
             }
         } else {
-            // Travel move - retract and show visual indicator
-            if (this.printHeadMaterial && !this.isRetracted) {
-                this.printHeadMaterial.emissiveColor = new BABYLON.Color3(0.2, 0.5, 1.0); // Blue glow for retraction
-                this.isRetracted = true;
-            }
-
             // Freeze the completed segment immediately as static 3D tube
             if (this.useLineRendering && this.currentSegment.length > 1) {
-                const segmentCopy = [...this.currentSegment];
-                this.allPathSegments.push(segmentCopy); // Keep permanent copy for final render
-                // During quickPrint, skip per-segment freezing — geometry is built in bulk at the end
-                if (!this.isQuickPrinting) {
-                    this.freezeSegment(segmentCopy);
-                }
+                this.commitCurrentSegment();
+            }
+        }
+    }
+
+    /**
+     * Track whether the filament is retracted: the nozzle glows blue while it is,
+     * and each new retraction is marked where it happened
+     * @param {Boolean} retracted - New retraction state
+     * @param {Object} position - G-code position of the retraction (for the marker)
+     */
+    setRetracted(retracted, position) {
+        if (retracted === this.isRetracted) return;
+        this.isRetracted = retracted;
+
+        if (this.printHeadMaterial) {
+            this.printHeadMaterial.emissiveColor = retracted
+                ? new BABYLON.Color3(0.2, 0.5, 1.0) // Blue glow for retraction
+                : new BABYLON.Color3(0.2, 0.1, 0.1); // Normal red glow
+        }
+
+        if (retracted && position) {
+            this.addRetractionMarker(this.toScenePosition(position));
+        }
+    }
+
+    /**
+     * Mark a retraction point with a small sphere
+     * All markers are thin instances of one mesh, so thousands stay cheap.
+     */
+    addRetractionMarker(position) {
+        if (!this.retractionMarkers) {
+            this.retractionMarkers = this.createMarkerMesh("retractionMarkers", new BABYLON.Color3(0.2, 0.5, 1.0), this.showRetractions);
+        }
+
+        // Bulk replays upload the instance buffer once at the end (refreshRetractionMarkers)
+        this.retractionMarkers.thinInstanceAdd(
+            BABYLON.Matrix.Translation(position.x, position.y, position.z),
+            !this.isQuickPrinting
+        );
+    }
+
+    /**
+     * Mark the start of an outer wall loop (the Z seam) with a small sphere
+     */
+    addSeamMarker(position) {
+        if (!this.seamMarkers) {
+            this.seamMarkers = this.createMarkerMesh("seamMarkers", new BABYLON.Color3(1.0, 0.85, 0.1), this.showSeams);
+        }
+
+        this.seamMarkers.thinInstanceAdd(
+            BABYLON.Matrix.Translation(position.x, position.y, position.z),
+            !this.isQuickPrinting
+        );
+    }
+
+    /**
+     * Base sphere for a set of thin-instanced markers, attached to the bed
+     * @param {String} name - Mesh name
+     * @param {BABYLON.Color3} color - Marker color
+     * @param {Boolean} visible - Initial visibility
+     */
+    createMarkerMesh(name, color, visible) {
+        const marker = BABYLON.MeshBuilder.CreateSphere(name, { diameter: 0.8, segments: 4 }, this.scene);
+        const material = new BABYLON.StandardMaterial(name + "Material", this.scene);
+        material.diffuseColor = color;
+        material.emissiveColor = color.scale(0.5);
+        marker.material = material;
+        marker.isPickable = false;
+        marker.alwaysSelectAsActiveMesh = true; // Instances spread far beyond the base sphere's bounds
+        marker.setEnabled(visible);
+        this.attachToBed(marker);
+        return marker;
+    }
+
+    /**
+     * Upload retraction and seam markers added during a bulk replay
+     */
+    refreshRetractionMarkers() {
+        if (this.retractionMarkers) {
+            this.retractionMarkers.thinInstanceBufferUpdated("matrix");
+        }
+        if (this.seamMarkers) {
+            this.seamMarkers.thinInstanceBufferUpdated("matrix");
+        }
+    }
+
+    /**
+     * Remove all retraction markers
+     */
+    clearRetractionMarkers() {
+        if (this.retractionMarkers) {
+            this.retractionMarkers.material.dispose();
+            this.retractionMarkers.dispose();
+            this.retractionMarkers = null;
+        }
+        this.setRetracted(false);
+    }
+
+    /**
+     * Remove all seam markers
+     */
+    clearSeamMarkers() {
+        if (this.seamMarkers) {
+            this.seamMarkers.material.dispose();
+            this.seamMarkers.dispose();
+            this.seamMarkers = null;
+        }
+        this.printingOuterWall = false;
+    }
+
+    /**
+     * Copy the current segment, tagged with its color key
+     */
+    snapshotCurrentSegment() {
+        const segmentCopy = [...this.currentSegment];
+        segmentCopy.colorKey = this.currentSegmentColorKey;
+        return segmentCopy;
+    }
+
+    /**
+     * Move the current segment into permanent storage and freeze it
+     */
+    commitCurrentSegment() {
+        const segmentCopy = this.snapshotCurrentSegment();
+        this.allPathSegments.push(segmentCopy); // Keep permanent copy for final render
+        // During quickPrint, skip per-segment freezing — geometry is built in bulk at the end
+        if (!this.isQuickPrinting) {
+            this.freezeSegment(segmentCopy);
+        }
+        this.currentSegment = [];
+        this.lastSegmentCount = 0; // Reset so next updateLineMesh knows to rebuild
+    }
+
+    /**
+     * Break the current segment when the color key changes, so each
+     * segment (and its tube) carries a single color
+     */
+    ensureSegmentColor(colorKey) {
+        if (this.currentSegment.length > 0 && colorKey !== this.currentSegmentColorKey) {
+            if (this.currentSegment.length > 1) {
+                this.commitCurrentSegment();
+            } else {
                 this.currentSegment = [];
-                this.lastSegmentCount = 0; // Reset so next updateLineMesh knows to rebuild
             }
         }
+        this.currentSegmentColorKey = colorKey;
     }
 
     /**
      * Create geometry for extruded filament
      */
-    createExtrusionGeometry(from, to, layer, isExtruding = true) {
+    createExtrusionGeometry(from, to, layer, colorKey = null) {
         const distance = BABYLON.Vector3.Distance(from, to);
         if (distance < 0.01) return; // Skip tiny movements
 
@@ -896,10 +1324,10 @@ class PrinterSimulator {
 
         if (this.useLineRendering) {
             // FAST: Use line rendering (batched)
-            this.addLineSegment(from, to, layer, isExtruding);
+            this.addLineSegment(from, to, layer, colorKey);
         } else {
             // SLOW: Use cylinder meshes (original method)
-            this.createCylinderGeometry(from, to, layer);
+            this.createCylinderGeometry(from, to, layer, colorKey);
         }
     }
 
@@ -907,7 +1335,10 @@ class PrinterSimulator {
      * Add line segment (ULTRA FAST - single mesh approach)
      * Only called when extruding
      */
-    addLineSegment(from, to, layer) {
+    addLineSegment(from, to, layer, colorKey = null) {
+        // Start a new segment if the color changes (feature, speed band, etc.)
+        this.ensureSegmentColor(colorKey);
+
         // If starting a new segment (after travel move), add the starting point
         if (this.currentSegment.length === 0) {
             this.currentSegment.push(from.clone());
@@ -1019,7 +1450,7 @@ class PrinterSimulator {
             if (frozenMesh) {
                 frozenMesh.renderingGroupId = 1;
                 frozenMesh.isPickable = false; // Don't allow selecting printed geometry
-                frozenMesh.freezeWorldMatrix(); // Optimize - this geometry won't move
+                this.attachToBed(frozenMesh); // Moves with the bed (frozen if the bed is static)
 
                 // OPTIMIZATION: If we have too many frozen meshes, merge them together
                 this.frozenMeshes.push(frozenMesh);
@@ -1041,11 +1472,11 @@ class PrinterSimulator {
         if (!segment || segment.length < 2) return;
 
         const radius = this.lineThickness / 2;
-        const colorToUse = this.lockedPrintColor || this.filamentColor;
+        const colorToUse = this.getPrintBaseColor();
         const emissiveStrength = 1 - this.lightingSettings.detailLevel;
 
         // Create or reuse the shared frozen material (non-rainbow mode)
-        if (this.rainbowMode) {
+        if (this.rainbowMode && this.colorScheme === 'filament') {
             // Rainbow: each segment gets its own color based on progress
             const currentLayer = Math.floor(this.currentCommandIndex / 100);
             const layerColor = this.getLayerColor(currentLayer);
@@ -1086,9 +1517,10 @@ class PrinterSimulator {
                 updatable: false
             }, this.scene);
             tube.material = this._currentFreezeMaterial;
+            this.applySegmentColor(tube, segment.colorKey);
             tube.renderingGroupId = 1;
             tube.isPickable = false;
-            tube.freezeWorldMatrix();
+            this.attachToBed(tube);
 
             this.frozenMeshes.push(tube);
 
@@ -1123,7 +1555,7 @@ class PrinterSimulator {
             superMesh.material = this.frozenMaterial || superMesh.material;
             superMesh.renderingGroupId = 1;
             superMesh.isPickable = false;
-            superMesh.freezeWorldMatrix();
+            this.attachToBed(superMesh, true); // Sources were on the bed, merge output is world space
 
             // Replace all frozen meshes with the single merged one
             this.frozenMeshes = [superMesh];
@@ -1147,7 +1579,7 @@ class PrinterSimulator {
         this.engine.stopRenderLoop();
 
         const radius = this.lineThickness / 2;
-        const colorToUse = this.lockedPrintColor || this.filamentColor;
+        const colorToUse = this.getPrintBaseColor();
         const emissiveStrength = 1 - this.lightingSettings.detailLevel;
 
         // Create shared material for all bulk geometry
@@ -1174,7 +1606,7 @@ class PrinterSimulator {
                 let mat = this.frozenMaterial;
 
                 // Rainbow mode: per-segment color
-                if (this.rainbowMode) {
+                if (this.rainbowMode && this.colorScheme === 'filament') {
                     const layer = Math.floor(i * 100 / segments.length);
                     const layerColor = this.getLayerColor(layer);
                     mat = new BABYLON.StandardMaterial(`bulkRainbow_${i}`, this.scene);
@@ -1197,6 +1629,7 @@ class PrinterSimulator {
                     updatable: false
                 }, this.scene);
                 tube.material = mat;
+                this.applySegmentColor(tube, segment.colorKey);
                 tube.renderingGroupId = 1;
                 tube.isPickable = false;
                 tube.freezeWorldMatrix();
@@ -1220,7 +1653,7 @@ class PrinterSimulator {
                 merged.material = this.frozenMaterial || merged.material;
                 merged.renderingGroupId = 1;
                 merged.isPickable = false;
-                merged.freezeWorldMatrix();
+                this.attachToBed(merged);
                 this.frozenMeshes.push(merged);
             }
         }
@@ -1261,7 +1694,7 @@ class PrinterSimulator {
         }
 
         const radius = this.lineThickness / 2;
-        const colorToUse = this.lockedPrintColor || this.filamentColor;
+        const colorToUse = this.getPrintBaseColor();
         const emissiveStrength = 1 - this.lightingSettings.detailLevel;
 
         // Create or reuse the active material (one allocation for entire print)
@@ -1272,7 +1705,7 @@ class PrinterSimulator {
         }
 
         // Update color on the cached material
-        if (this.rainbowMode) {
+        if (this.rainbowMode && this.colorScheme === 'filament') {
             const currentLayer = Math.floor(this.currentCommandIndex / 100);
             const layerColor = this.getLayerColor(currentLayer);
             this.activeMaterial.diffuseColor = layerColor;
@@ -1300,8 +1733,10 @@ class PrinterSimulator {
                 updatable: false
             }, this.scene);
             this.lineMesh.material = this.activeMaterial;
+            this.applySegmentColor(this.lineMesh, this.currentSegmentColorKey);
             this.lineMesh.renderingGroupId = 1;
             this.lineMesh.isPickable = false;
+            this.attachToBed(this.lineMesh);
         } catch (e) {
             // Invalid path (e.g., duplicate points) — skip
             this.lineMesh = null;
@@ -1318,7 +1753,7 @@ class PrinterSimulator {
         const allSegments = [...this.allPathSegments];
         // Also add current segment if it has points
         if (this.currentSegment.length > 1) {
-            allSegments.push([...this.currentSegment]);
+            allSegments.push(this.snapshotCurrentSegment());
         }
 
         if (allSegments.length === 0) return;
@@ -1351,8 +1786,8 @@ class PrinterSimulator {
             this.activeMaterial = null;
         }
 
-        // Use locked color or current filament color
-        const colorToUse = this.lockedPrintColor || this.filamentColor;
+        // Use locked color or current filament color (white base when a color scheme tints vertices)
+        const colorToUse = this.getPrintBaseColor();
         const radius = this.lineThickness / 2;
 
         // Calculate emissive from lighting settings
@@ -1384,6 +1819,7 @@ class PrinterSimulator {
                     updatable: false
                 }, this.scene);
                 tube.material = finalMaterial;
+                this.applySegmentColor(tube, segment.colorKey);
                 tubeMeshes.push(tube);
             } catch (e) {
                 // Skip invalid segments
@@ -1411,6 +1847,7 @@ class PrinterSimulator {
             if (this.lineMesh) {
                 this.lineMesh.renderingGroupId = 1;
                 this.lineMesh.isPickable = false;
+                this.attachToBed(this.lineMesh);
             }
         }
     }
@@ -1424,10 +1861,255 @@ class PrinterSimulator {
         return new BABYLON.Color3(rgb.r, rgb.g, rgb.b);
     }
 
+    /**
+     * Compute per-command duration, speed, flow and temperature plus
+     * per-layer time, used for real-time playback and the color schemes.
+     * Durations come from the motion planner (acceleration and cornering).
+     * Runs on the full command list so temperature changes and machine
+     * limits (M201-M205) between moves are seen.
+     */
+    analyzeCommands(commands) {
+        const filamentArea = Math.PI * Math.pow(this.filamentDiameter / 2, 2);
+        const ranges = {};
+        const extend = (scheme, value) => {
+            const range = ranges[scheme] || (ranges[scheme] = { min: Infinity, max: -Infinity });
+            if (value < range.min) range.min = value;
+            if (value > range.max) range.max = value;
+        };
+
+        const plan = this.motionPlanner.plan(commands);
+        let feedrate = MotionPlanner.DEFAULT_FEEDRATE; // mm/min until the first F word
+        let temperature = this.targetHotendTemp;
+        let printTime = 0;
+        const features = new Set();
+
+        for (let i = 0; i < commands.length; i++) {
+            const cmd = commands[i];
+            if (cmd.type === 'temperature') {
+                temperature = cmd.temp;
+                continue;
+            }
+            if (cmd.type !== 'move' && !GCodeParser.isRetraction(cmd)) continue;
+
+            if (cmd.feedrate) feedrate = cmd.feedrate;
+
+            const duration = plan.times[i];
+            const flow = cmd.extruding && duration > 0 ? (cmd.extrusion || 0) * filamentArea / duration : 0;
+
+            cmd.metrics = {
+                feedrate: feedrate,
+                flow: flow,
+                temperature: temperature,
+                duration: duration,
+                startTime: printTime
+            };
+            printTime += duration;
+
+            if (cmd.extruding) {
+                features.add(cmd.feature || 'other');
+                extend('feedrate', feedrate / 60);
+                extend('flow', flow);
+                extend('temperature', temperature);
+            }
+        }
+
+        for (const cmd of commands) {
+            if (cmd.type === 'move' && cmd.extruding) {
+                extend('layerTime', plan.layerTimes[cmd.layer || 0]);
+            }
+        }
+
+        this.colorRanges = ranges;
+        this.layerTimes = plan.layerTimes;
+        this.totalPrintTime = plan.totalTime;
+
+        // Keep legend order stable (same order as GCodeParser.FEATURE_TYPES)
+        const featureOrder = Object.keys(GCodeParser.FEATURE_TYPES);
+        this.featuresPresent = [...features].sort((a, b) => featureOrder.indexOf(a) - featureOrder.indexOf(b));
+    }
+
+    /**
+     * Get the value a numeric color scheme shows for a command
+     */
+    getColorValue(command, scheme) {
+        const metrics = command.metrics;
+        if (!metrics) return null;
+
+        switch (scheme) {
+            case 'feedrate':
+                return metrics.feedrate / 60; // mm/s
+            case 'flow':
+                return metrics.flow;
+            case 'layerTime':
+                return this.layerTimes[command.layer || 0] || 0;
+            case 'temperature':
+                return metrics.temperature;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Get the color key for a command under the active color scheme.
+     * Feature scheme keys are feature types; numeric schemes use a band index.
+     * Returns null for the plain filament color.
+     */
+    getColorKey(command) {
+        const scheme = this.colorScheme;
+        if (scheme === 'filament') return null;
+        if (scheme === 'feature') return command.feature || 'other';
+
+        const range = this.colorRanges[scheme];
+        const value = this.getColorValue(command, scheme);
+        if (!range || value === null || range.max <= range.min) return 0;
+
+        const band = Math.floor((value - range.min) / (range.max - range.min) * this.colorSteps);
+        return Math.max(0, Math.min(this.colorSteps - 1, band));
+    }
+
+    /**
+     * Get the display color for a color key
+     */
+    getColorForKey(key) {
+        if (this.colorScheme === 'feature') {
+            const hex = PrinterSimulator.FEATURE_COLORS[key] || PrinterSimulator.FEATURE_COLORS.other;
+            return BABYLON.Color3.FromHexString(hex);
+        }
+        return this.getGradientColor(this.colorSteps > 1 ? key / (this.colorSteps - 1) : 0);
+    }
+
+    /**
+     * Blue (low) through green and yellow to red (high)
+     */
+    getGradientColor(t) {
+        return this.hslToRgb((1 - t) * 240, 85, 55);
+    }
+
+    /**
+     * Base material color for print geometry. Color schemes use a white
+     * material and tint each tube with vertex colors, so merged meshes
+     * keep their per-segment colors.
+     */
+    getPrintBaseColor() {
+        if (this.colorScheme !== 'filament') {
+            return new BABYLON.Color3(1, 1, 1);
+        }
+        return this.lockedPrintColor || this.filamentColor;
+    }
+
+    /**
+     * Tint a tube mesh with the color for a segment's color key
+     */
+    applySegmentColor(mesh, colorKey) {
+        if (this.colorScheme === 'filament' || colorKey === null || colorKey === undefined) return;
+
+        const color = this.getColorForKey(colorKey);
+        const vertexCount = mesh.getTotalVertices();
+        const colors = new Float32Array(vertexCount * 4);
+        for (let i = 0; i < vertexCount; i++) {
+            colors[i * 4] = color.r;
+            colors[i * 4 + 1] = color.g;
+            colors[i * 4 + 2] = color.b;
+            colors[i * 4 + 3] = 1;
+        }
+        mesh.setVerticesData(BABYLON.VertexBuffer.ColorKind, colors, false);
+    }
+
+    /**
+     * Change the color scheme and recolor anything already printed
+     */
+    setColorScheme(scheme) {
+        if (!PrinterSimulator.COLOR_SCHEMES[scheme] || scheme === this.colorScheme) return;
+        this.colorScheme = scheme;
+        this.rebuildPrintedGeometry();
+    }
+
+    /**
+     * Rebuild printed geometry up to the current command with the active
+     * color scheme. Segments are split by color key while printing, so a
+     * scheme change needs the commands replayed rather than just recolored.
+     */
+    rebuildPrintedGeometry() {
+        const targetIndex = this.currentCommandIndex;
+        if (!this.commands || this.commands.length === 0 || targetIndex === 0) return;
+
+        const printComplete = targetIndex >= this.commands.length;
+
+        this.clearPrint();
+        this.lockedPrintColor = this.filamentColor.clone();
+
+        // Collect points only, then build everything in one pass
+        this.isQuickPrinting = true;
+        for (let i = 0; i < targetIndex; i++) {
+            this.executeCommand(this.commands[i]);
+        }
+        this.isQuickPrinting = false;
+        this.refreshRetractionMarkers();
+        this.currentCommandIndex = targetIndex;
+        this.moveHeadTo(this.toScenePosition(this.commands[targetIndex - 1].to));
+        this.commandProgress = 0;
+        this.lastInterpolatedPosition = null;
+
+        if (printComplete && this.currentSegment.length > 1) {
+            this.allPathSegments.push(this.snapshotCurrentSegment());
+            this.currentSegment = [];
+        }
+
+        this._bulkBuildGeometry(() => {
+            if (printComplete) {
+                this.enablePrintInteraction();
+            } else {
+                this.lastSegmentCount = 0;
+                this.updateLineMesh();
+            }
+        });
+    }
+
+    /**
+     * Get legend entries for the active color scheme
+     * @returns {Object|null} { title, unit, entries: [{ color, label }] } or null for filament color
+     */
+    getColorLegend() {
+        const scheme = PrinterSimulator.COLOR_SCHEMES[this.colorScheme];
+        if (!scheme || this.colorScheme === 'filament') return null;
+
+        const entries = [];
+
+        if (this.colorScheme === 'feature') {
+            for (const feature of this.featuresPresent) {
+                entries.push({
+                    color: PrinterSimulator.FEATURE_COLORS[feature] || PrinterSimulator.FEATURE_COLORS.other,
+                    label: GCodeParser.FEATURE_TYPES[feature] || feature
+                });
+            }
+        } else {
+            const range = this.colorRanges[this.colorScheme];
+            if (range && range.max > range.min) {
+                // Highest band first, like a heat-map scale
+                const bandSize = (range.max - range.min) / this.colorSteps;
+                for (let i = this.colorSteps - 1; i >= 0; i--) {
+                    const low = range.min + bandSize * i;
+                    const high = low + bandSize;
+                    entries.push({
+                        color: this.getColorForKey(i).toHexString(),
+                        label: `${low.toFixed(scheme.decimals)} - ${high.toFixed(scheme.decimals)}`
+                    });
+                }
+            } else if (range) {
+                entries.push({
+                    color: this.getColorForKey(0).toHexString(),
+                    label: range.min.toFixed(scheme.decimals)
+                });
+            }
+        }
+
+        return { title: scheme.title, unit: scheme.unit, entries: entries };
+    }
+
     /**
      * Create cylinder geometry (SLOW but looks better)
      */
-    createCylinderGeometry(from, to, layer) {
+    createCylinderGeometry(from, to, layer, colorKey = null) {
         // Force merge if too much geometry
         if (this.printedGeometry.length > this.maxGeometryCount) {
             this.mergeLayers(Math.max(0, layer - 10), layer);
@@ -1453,8 +2135,10 @@ class PrinterSimulator {
 
         const material = new BABYLON.StandardMaterial("extrusionMat", this.scene);
 
-        // Apply color based on rainbow mode
-        if (this.rainbowMode) {
+        // Apply color based on color scheme or rainbow mode
+        if (this.colorScheme !== 'filament' && colorKey !== null) {
+            material.diffuseColor = this.getColorForKey(colorKey);
+        } else if (this.rainbowMode) {
             const hue = (layer * 20) % 360;
             material.diffuseColor = this.hslToRgb(hue, 70, 60);
         } else {
@@ -1464,6 +2148,7 @@ class PrinterSimulator {
         material.specularColor = new BABYLON.Color3(0.2, 0.2, 0.2);
         cylinder.material = material;
         cylinder.isPickable = false; // Don't allow selecting printed geometry
+        this.attachToBed(cylinder);
 
         cylinder.metadata = { layer: layer };
         this.printedGeometry.push(cylinder);
@@ -1493,6 +2178,7 @@ class PrinterSimulator {
         if (merged) {
             merged.name = `merged_layers_${startLayer}_${endLayer}`;
             merged.isPickable = false; // Don't allow selecting printed geometry
+            this.attachToBed(merged, true);
             this.mergedMeshes.push(merged);
 
             // Remove original meshes from tracking
@@ -1549,6 +2235,20 @@ class PrinterSimulator {
         }
     }
 
+    toggleRetractionMarkers(visible) {
+        this.showRetractions = visible;
+        if (this.retractionMarkers) {
+            this.retractionMarkers.setEnabled(visible);
+        }
+    }
+
+    toggleSeamMarkers(visible) {
+        this.showSeams = visible;
+        if (this.seamMarkers) {
+            this.seamMarkers.setEnabled(visible);
+        }
+    }
+
     /**
      * Start render loop
      * OPTIMIZED: Adaptive frame rate based on complexity
@@ -1570,12 +2270,32 @@ class PrinterSimulator {
      * Set playback speed
      */
     setSpeed(speed) {
-        this.speed = speed;
+        this.speed = speed; // Time multiplier: 1 = real printer time, 10 = ten times faster
         // Reset accumulator when speed changes to prevent lag
         // This ensures speed changes are immediate
         this.frameAccumulator = 0;
     }
 
+    /**
+     * Get the time (seconds at 1x) a command takes on the printer
+     */
+    getCommandDuration(command) {
+        return command && command.metrics ? command.metrics.duration : 0;
+    }
+
+    /**
+     * Get simulated print time (seconds) elapsed at the current playback position
+     */
+    getElapsedPrintTime() {
+        if (this.currentCommandIndex >= this.commands.length) return this.totalPrintTime;
+
+        const command = this.commands[this.currentCommandIndex];
+        if (!command || !command.metrics) return 0;
+
+        const partial = this.useInterpolation ? this.commandProgress * command.metrics.duration : 0;
+        return command.metrics.startTime + partial;
+    }
+
     /**
      * Set simplification level for geometry
      */
@@ -1656,7 +2376,10 @@ class PrinterSimulator {
                     totalCommands: totalCommands,
                     layer: currentCommand?.layer || 0,
                     position: currentCommand?.position || { x: 0, y: 0, z: 0 },
-                    extruding: false
+                    extruding: false,
+                    feature: currentCommand?.feature || null,
+                    elapsedTime: this.getElapsedPrintTime(),
+                    totalTime: this.totalPrintTime
                 });
             }
 
@@ -1664,10 +2387,14 @@ class PrinterSimulator {
             if (processedCount >= totalCommands) {
                 // Re-enable mesh updates
                 this.isQuickPrinting = false;
+                this.refreshRetractionMarkers();
+
+                // Park the machine (and bed) where the last move ended
+                this.moveHeadTo(this.toScenePosition(this.commands[totalCommands - 1].to));
 
                 // Save final segment
                 if (this.currentSegment.length > 1) {
-                    const segmentCopy = [...this.currentSegment];
+                    const segmentCopy = this.snapshotCurrentSegment();
                     this.allPathSegments.push(segmentCopy);
                     this.currentSegment = [];
                 }
@@ -1690,7 +2417,10 @@ class PrinterSimulator {
                             totalCommands: totalCommands,
                             layer: lastCommand?.layer || 0,
                             position: lastCommand?.position || { x: 0, y: 0, z: 0 },
-                            extruding: false
+                            extruding: false,
+                            feature: lastCommand?.feature || null,
+                            elapsedTime: this.totalPrintTime,
+                            totalTime: this.totalPrintTime
                         });
                     }
 
@@ -1987,6 +2717,27 @@ class PrinterSimulator {
         return stlString;
     }
 
+    /**
+     * Render the scene from the current camera into a PNG (for G-code thumbnails)
+     * Model previews are shown for the render even if they are hidden during the print.
+     * @returns {Promise<string>} Base64 PNG data without the data URL prefix
+     */
+    async captureThumbnail(width, height) {
+        const previews = (typeof loadedModels === 'undefined' ? [] : loadedModels)
+            .map(model => model.previewMesh)
+            .filter(mesh => mesh && !mesh.isEnabled());
+        previews.forEach(mesh => mesh.setEnabled(true));
+
+        try {
+            const dataUrl = await BABYLON.Tools.CreateScreenshotUsingRenderTargetAsync(
+                this.engine, this.camera, { width, height }, 'image/png'
+            );
+            return dataUrl.substring(dataUrl.indexOf(',') + 1);
+        } finally {
+            previews.forEach(mesh => mesh.setEnabled(false));
+        }
+    }
+
     /**
      * Export the printed model as glTF file
      */
@@ -2401,16 +3152,14 @@ class PrinterSimulator {
         this.currentSegment = [];
         this.totalPointCount = 0;
         this.lockedPrintColor = null;
+        this.clearRetractionMarkers();
+        this.clearSeamMarkers();
 
         // Re-show print head at home position
         if (this.printHead) {
             this.printHead.setEnabled(true);
-            this.printHead.position.x = 0;
-        }
-        if (this.xGantry) {
-            this.xGantry.position.y = 8.5;
-            this.xGantry.position.z = 0;
         }
+        this.moveHeadTo(BABYLON.Vector3.Zero());
 
         // Notify via callback if available
         if (this.onPrintRemoved) {
@@ -2446,3 +3195,124 @@ class PrinterSimulator {
         });
     }
 }
+
+/**
+ * Color schemes for printed geometry (see setColorScheme)
+ */
+PrinterSimulator.COLOR_SCHEMES = {
+    'filament': { title: 'Filament Color', unit: '', decimals: 0 },
+    'feature': { title: 'Feature Type', unit: '', decimals: 0 },
+    'feedrate': { title: 'Speed', unit: 'mm/s', decimals: 0 },
+    'flow': { title: 'Volumetric Flow', unit: 'mm\u00B3/s', decimals: 1 },
+    'layerTime': { title: 'Layer Time', unit: 's', decimals: 1 },
+    'temperature': { title: 'Hotend Temperature', unit: '\u00B0C', decimals: 0 }
+};
+
+/**
+ * Colors for the feature-type scheme (keys match GCodeParser.FEATURE_TYPES)
+ */
+PrinterSimulator.FEATURE_COLORS = {
+    'outer-wall': '#FF7D38',
+    'inner-wall': '#FFE54D',
+    'overhang-wall': '#2E3BF2',
+    'infill': '#B03029',
+    'solid-infill': '#9654CC',
+    'top-surface': '#F04040',
+    'bottom-surface': '#66B27A',
+    'bridge': '#4D80BA',
+    'gap-fill': '#FFFFFF',
+    'skirt': '#00876E',
+    'brim': '#00876E',
+    'raft': '#7A7A7A',
+    'support': '#00FF00',
+    'support-interface': '#00C000',
+    'prime-tower': '#B3E3AB',
+    'ironing': '#FF8C69',
+    'custom': '#5ED194',
+    'other': '#A0A0A0'
+};
+
+/**
+ * Printer profiles: build volume, frame, kinematics and motion limits
+ * - origin: 'center' (X0 Y0 is the bed center) or 'corner' (front-left corner)
+ * - kinematics: 'bedslinger' (gantry Z, bed Y), 'corexy' (bed Z) or 'delta'
+ * - limits: MotionPlanner overrides (see MotionPlanner.DEFAULT_LIMITS)
+ */
+PrinterSimulator.PRINTER_PROFILES = {
+    'generic': {
+        name: 'Generic 200mm',
+        bed: { shape: 'rectangular', width: 200, depth: 200 },
+        maxHeight: 250,
+        origin: 'center',
+        nozzleDiameter: 0.4,
+        kinematics: 'bedslinger',
+        limits: {}
+    },
+    'ender3': {
+        name: 'Creality Ender-3',
+        bed: { shape: 'rectangular', width: 220, depth: 220 },
+        maxHeight: 250,
+        origin: 'corner',
+        nozzleDiameter: 0.4,
+        kinematics: 'bedslinger',
+        limits: {
+            maxAcceleration: { x: 500, y: 500, z: 100, e: 5000 },
+            maxFeedrate: { x: 500, y: 500, z: 5, e: 25 },
+            printAcceleration: 500,
+            retractAcceleration: 500,
+            travelAcceleration: 500,
+            cornering: 'jerk',
+            jerk: { x: 10, y: 10, z: 0.3, e: 5 }
+        }
+    },
+    'mk4': {
+        name: 'Prusa MK4',
+        bed: { shape: 'rectangular', width: 250, depth: 210 },
+        maxHeight: 220,
+        origin: 'corner',
+        nozzleDiameter: 0.4,
+        kinematics: 'bedslinger',
+        limits: {
+            maxAcceleration: { x: 4000, y: 4000, z: 200, e: 2500 },
+            maxFeedrate: { x: 300, y: 300, z: 40, e: 100 },
+            printAcceleration: 4000,
+            retractAcceleration: 1200,
+            travelAcceleration: 4000,
+            cornering: 'jerk',
+            jerk: { x: 8, y: 8, z: 2, e: 10 }
+        }
+    },
+    'voron24': {
+        name: 'Voron 2.4 (350)',
+        bed: { shape: 'rectangular', width: 350, depth: 350 },
+        maxHeight: 340,
+        origin: 'corner',
+        nozzleDiameter: 0.4,
+        kinematics: 'corexy',
+        limits: {
+            maxAcceleration: { x: 3000, y: 3000, z: 350, e: 5000 },
+            maxFeedrate: { x: 300, y: 300, z: 15, e: 120 },
+            printAcceleration: 3000,
+            retractAcceleration: 3000,
+            travelAcceleration: 3000,
+            cornering: 'klipper',
+            squareCornerVelocity: 5
+        }
+    },
+    'kossel': {
+        name: 'Delta (Kossel)',
+        bed: { shape: 'circular', diameter: 230 },
+        maxHeight: 300,
+        origin: 'center',
+        nozzleDiameter: 0.4,
+        kinematics: 'delta',
+        delta: { towerRadius: 145, armLength: 270 },
+        limits: {
+            maxAcceleration: { x: 3000, y: 3000, z: 3000, e: 5000 },
+            maxFeedrate: { x: 300, y: 300, z: 300, e: 60 },
+            printAcceleration: 2000,
+            retractAcceleration: 3000,
+            travelAcceleration: 3000
+        }
+    }
+};
@@ -0,0 +1,266 @@
+/**
+ * 3MF Project Archive
+ * Saves the build plate as a 3MF file that stands on its own: each model's mesh and
+ * placement go in the core 3MF model (so other slicers open it too), and the slicer
+ * settings, printer profile, model transforms and optionally the sliced G-code go under
+ * Metadata/ so the simulator can restore the whole plate from the file alone.
+ */
+class ProjectArchive {
+    constructor() {
+        this.loader = new ModelLoader(); // Reads the zip and model parts back
+    }
+
+    /**
+     * Build the 3MF file
+     * @param {Object} contents - { project: serialized project data (its models list the entries
+     *   to save), models: [{ name, mesh, transform }] in the same order, gcode, thumbnail (base64 PNG) }
+     * @returns {Promise<Blob>}
+     */
+    async write({ project, models, gcode = null, thumbnail = null }) {
+        const files = [
+            { path: '[Content_Types].xml', data: this.buildContentTypes() },
+            { path: '_rels/.rels', data: this.buildRelationships(!!thumbnail) },
+            { path: ProjectArchive.MODEL_PATH, data: this.buildModel(models) },
+            { path: ProjectArchive.PROJECT_PATH, data: JSON.stringify({
+                ...project,
+                format: ProjectArchive.FORMAT,
+                models: project.models.map((entry, i) => ({ ...entry, objectId: i + 1 })),
+                printState: { ...project.printState, gcode: null, gcodeIncluded: !!gcode }
+            }, null, 2) }
+        ];
+        if (gcode) files.push({ path: ProjectArchive.GCODE_PATH, data: gcode });
+        if (thumbnail) {
+            files.push({ path: ProjectArchive.THUMBNAIL_PATH, data: Uint8Array.from(atob(thumbnail), c => c.charCodeAt(0)), store: true });
+        }
+
+        return this.writeZip(files);
+    }
+
+    /**
+     * Read a project written by write()
+     * @param {ArrayBuffer} buffer - 3MF file contents
+     * @returns {Promise<Object|null>} { project, models: [{ entry, mesh }], gcode }, or null for a
+     *   3MF without simulator project data (a plain model file)
+     */
+    async read(buffer) {
+        const entries = this.loader.readZip(buffer);
+        const projectEntry = entries.get(ProjectArchive.PROJECT_PATH);
+        if (!projectEntry) return null;
+
+        const text = async (path) => {
+            const entry = entries.get(path);
+            return entry ? new TextDecoder().decode(await this.loader.extractZipEntry(entry)) : null;
+        };
+        const project = JSON.parse(await text(ProjectArchive.PROJECT_PATH));
+        if (project.format !== ProjectArchive.FORMAT) return null;
+
+        const modelXML = await text(ProjectArchive.MODEL_PATH);
+        if (!modelXML) throw new Error(`3MF project is missing ${ProjectArchive.MODEL_PATH}`);
+        const part = this.loader.parse3MFModel(modelXML);
+        const loadPart = async () => part;
+
+        // Meshes come back in the models' own coordinates; the saved transforms place them
+        const identity = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+        const models = [];
+        for (const entry of project.models || []) {
+            const mesh = [];
+            await this.loader.collect3MFObject(ProjectArchive.MODEL_PATH, String(entry.objectId), identity, loadPart, mesh);
+            if (mesh.length > 0) models.push({ entry, mesh });
+        }
+
+        return { project, models, gcode: await text(ProjectArchive.GCODE_PATH) };
+    }
+
+    /**
+     * [Content_Types].xml: the MIME type of each part extension
+     */
+    buildContentTypes() {
+        const types = Object.entries(ProjectArchive.CONTENT_TYPES)
+            .map(([extension, type]) => `  <Default Extension="${extension}" ContentType="${type}"/>`);
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+            ...types,
+            '</Types>'
+        ].join('\n');
+    }
+
+    /**
+     * _rels/.rels: points readers at the 3D model and the thumbnail
+     */
+    buildRelationships(hasThumbnail) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+            `  <Relationship Target="/${ProjectArchive.MODEL_PATH}" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>`
+        ];
+        if (hasThumbnail) {
+            lines.push(`  <Relationship Target="/${ProjectArchive.THUMBNAIL_PATH}" Id="rel1" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/thumbnail"/>`);
+        }
+        lines.push('</Relationships>');
+        return lines.join('\n');
+    }
+
+    /**
+     * 3D/3dmodel.model: one object per model, placed on the build plate by its build item
+     * @param {Array} models - [{ name, mesh, transform }], transform being the 12 values of a 3MF matrix
+     */
+    buildModel(models) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">',
+            '  <metadata name="Application">3D Printer Simulator</metadata>',
+            `  <metadata name="CreationDate">${new Date().toISOString().substring(0, 10)}</metadata>`,
+            '  <resources>'
+        ];
+
+        models.forEach((model, i) => {
+            // Shared corners are listed once; 3MF doesn't allow a triangle to reuse a vertex
+            const { positions, faces } = new MeshRepair().weld(model.mesh);
+            lines.push(`    <object id="${i + 1}" type="model" name="${this.escapeXML(model.name)}">`, '      <mesh>', '        <vertices>');
+            for (const p of positions) {
+                lines.push(`          <vertex x="${this.formatNumber(p.x)}" y="${this.formatNumber(p.y)}" z="${this.formatNumber(p.z)}"/>`);
+            }
+            lines.push('        </vertices>', '        <triangles>');
+            for (const [a, b, c] of faces) {
+                if (a === b || b === c || c === a) continue;
+                lines.push(`          <triangle v1="${a}" v2="${b}" v3="${c}"/>`);
+            }
+            lines.push('        </triangles>', '      </mesh>', '    </object>');
+        });
+
+        lines.push('  </resources>', '  <build>');
+        models.forEach((model, i) => {
+            lines.push(`    <item objectid="${i + 1}" transform="${model.transform.map(v => this.formatNumber(v)).join(' ')}"/>`);
+        });
+        lines.push('  </build>', '</model>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Shortest decimal for a coordinate, to the micron's hundredth
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 1e5) / 1e5);
+    }
+
+    /**
+     * Escape text for an XML attribute value
+     */
+    escapeXML(text) {
+        return String(text).replace(/[<>&"']/g, c =>
+            ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+    }
+
+    /**
+     * Pack files into a zip archive, deflating them unless marked store (e.g. already compressed PNG)
+     * @param {Array} files - [{ path, data: string | Uint8Array, store }]
+     * @returns {Promise<Blob>}
+     */
+    async writeZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const chunks = [];
+        const directory = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const name = encoder.encode(file.path);
+            const compressed = file.store ? data : await this.deflate(data);
+            const method = file.store ? 0 : 8;
+            const crc = this.crc32(data);
+
+            // Fields shared by the local header (from offset 4) and the central directory entry (from offset 6)
+            const common = new DataView(new ArrayBuffer(26));
+            common.setUint16(0, 20, true);           // Version needed to extract
+            common.setUint16(2, 0x0800, true);       // UTF-8 file names
+            common.setUint16(4, method, true);
+            common.setUint16(6, time, true);
+            common.setUint16(8, date, true);
+            common.setUint32(10, crc, true);
+            common.setUint32(14, compressed.length, true);
+            common.setUint32(18, data.length, true);
+            common.setUint16(22, name.length, true);
+            common.setUint16(24, 0, true);           // Extra field length
+
+            const local = new Uint8Array(30);
+            new DataView(local.buffer).setUint32(0, 0x04034b50, true);
+            local.set(new Uint8Array(common.buffer), 4);
+            chunks.push(local, name, compressed);
+
+            const central = new Uint8Array(46);
+            const centralView = new DataView(central.buffer);
+            centralView.setUint32(0, 0x02014b50, true);
+            centralView.setUint16(4, 20, true);      // Version made by
+            central.set(new Uint8Array(common.buffer), 6);
+            centralView.setUint32(42, offset, true); // Local header offset
+            directory.push(central, name);
+
+            offset += local.length + name.length + compressed.length;
+        }
+
+        const directorySize = directory.reduce((size, chunk) => size + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...directory, end.buffer], { type: 'model/3mf' });
+    }
+
+    /**
+     * Raw deflate, as zip entries store it
+     * @returns {Promise<Uint8Array>}
+     */
+    async deflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * CRC-32 checksum of a zip entry's uncompressed data
+     */
+    crc32(data) {
+        if (!ProjectArchive.CRC_TABLE) {
+            ProjectArchive.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                ProjectArchive.CRC_TABLE[n] = c;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = ProjectArchive.CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+// Marks the project data as ours, so other tools' Metadata files are left alone
+ProjectArchive.FORMAT = '3d-printer-simulator-project';
+
+// Part paths inside the 3MF package
+ProjectArchive.MODEL_PATH = '3D/3dmodel.model';
+ProjectArchive.PROJECT_PATH = 'Metadata/printer_simulator_project.json';
+ProjectArchive.GCODE_PATH = 'Metadata/plate_1.gcode';
+ProjectArchive.THUMBNAIL_PATH = 'Metadata/thumbnail.png';
+
+// Part extension → content type, for [Content_Types].xml
+ProjectArchive.CONTENT_TYPES = {
+    rels: 'application/vnd.openxmlformats-package.relationships+xml',
+    model: 'application/vnd.ms-package.3dmanufacturing-3dmodel+xml',
+    png: 'image/png',
+    json: 'application/json',
+    gcode: 'text/x.gcode'
+};
+
+// CRC-32 lookup table, built on first use
+ProjectArchive.CRC_TABLE = null;
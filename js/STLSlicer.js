@@ -6,13 +6,97 @@ class STLSlicer {
     constructor() {
         this.mesh = null;
         this.layerHeight = 0.2;
+        this.adaptiveLayers = false; // Vary layer height with the surface slope
+        this.minLayerHeight = 0.08; // Adaptive and painted layer heights stay within these bounds (mm)
+        this.maxLayerHeight = 0.32;
+        this.adaptiveQuality = 0.5; // 0 = fastest, 1 = finest steps on sloped surfaces
+        this.layerHeightProfile = null; // Painted profile: [{ z, height }] by Z, overrides adaptive
+        this.currentLayerHeight = this.layerHeight; // Height of the layer being written
         this.infillPattern = 'grid';
         this.infillDensity = 20;
+        this.infillAngles = [45, -45]; // Sparse infill angle per layer, cycling (degrees)
+        this.skinAngles = [45, -45]; // Solid top/bottom line angle per layer, cycling (degrees)
         this.nozzleTemp = 200;
         this.bedTemp = 60;
         this.wallThickness = 0.8; // 2 perimeters
         this.topBottomLayers = 3; // Number of solid layers at top and bottom
         this.nozzleDiameter = 0.4; // Nozzle size in mm (default 0.4mm - standard size)
+        this.extrusionWidth = null; // Line width in mm (null = nozzle diameter)
+        this.filamentDiameter = 1.75; // Filament diameter in mm
+        this.extrusionMultiplier = 1.0; // Flow multiplier applied to every extrusion
+        this.relativeExtrusion = false; // Relative E (M83) instead of absolute E (M82)
+        this.extrusionPosition = 0; // Current E position in absolute mode
+        this.support = { ...SupportGenerator.DEFAULT_SETTINGS }; // Support style ('none', 'grid', 'tree') and settings
+        this.adhesionType = 'none'; // Bed adhesion: 'none', 'skirt', 'brim' or 'raft'
+        this.skirtDistance = 3; // Gap between skirt and model (mm)
+        this.skirtLoops = 2; // Number of skirt loops
+        this.brimWidth = 5; // Brim width (mm)
+        this.raftBaseLayers = 1; // Thick, sparse layers on the bed
+        this.raftInterfaceLayers = 1; // Medium layers across the base
+        this.raftSurfaceLayers = 2; // Solid layers the model sits on
+        this.raftAirGap = 0.2; // Gap between raft and model so they separate (mm)
+        this.raftMargin = 3; // How far the raft extends past the model (mm)
+        this.retractLength = 0.8; // Filament pulled back before long travels (mm, 0 = off)
+        this.retractSpeed = 35; // Retract and unretract speed (mm/s)
+        this.retractMinTravel = 1.5; // Shorter travels don't retract (mm)
+        this.travelSpeed = 5000 / 60; // Retracted travel and Z-hop speed (mm/s), as for layer changes
+        this.zHop = 0; // Lift the nozzle while travelling retracted (mm)
+        this.wipeDistance = 0; // Move back over the last line while retracting (mm)
+        this.firmwareRetraction = false; // Emit G10/G11 and let the firmware retract (set with M207)
+        this.travel = new TravelOptimizer(this); // Print order, loop start points and combing
+        this.infill = new InfillGenerator(this); // Triangles, cubic, honeycomb, gyroid, concentric and lightning infill
+        this.seamPosition = 'aligned'; // Perimeter start: 'aligned', 'nearest', 'random', 'rear' or 'sharpest'
+        this.onProgress = null; // Called with (stage, done, total) as layers are sliced and written
+    }
+
+    /**
+     * Copy plain settings onto the slicer (support and travel settings merge into theirs)
+     * Lets a Web Worker set up its own slicer from settings posted by the page.
+     */
+    applySettings(settings) {
+        const { support, travel, ...rest } = settings;
+        Object.assign(this, rest);
+        if (support) Object.assign(this.support, support);
+        if (travel) Object.assign(this.travel, travel);
+    }
+
+    /**
+     * Report progress to onProgress, if set
+     */
+    reportProgress(stage, done, total) {
+        if (this.onProgress) this.onProgress(stage, done, total);
+    }
+
+    /**
+     * Pack triangles into a flat array (9 coordinates each) that can be transferred to a worker
+     * @returns {Float64Array}
+     */
+    static packTriangles(mesh) {
+        const array = new Float64Array(mesh.length * 9);
+        mesh.forEach((tri, i) => {
+            let offset = i * 9;
+            for (const v of [tri.v1, tri.v2, tri.v3]) {
+                array[offset++] = v.x;
+                array[offset++] = v.y;
+                array[offset++] = v.z;
+            }
+        });
+        return array;
+    }
+
+    /**
+     * Rebuild triangles from packTriangles() output
+     */
+    static unpackTriangles(array) {
+        const mesh = [];
+        for (let i = 0; i < array.length; i += 9) {
+            mesh.push({
+                v1: { x: array[i], y: array[i + 1], z: array[i + 2] },
+                v2: { x: array[i + 3], y: array[i + 4], z: array[i + 5] },
+                v3: { x: array[i + 6], y: array[i + 7], z: array[i + 8] }
+            });
+        }
+        return mesh;
     }
 
     /**
@@ -146,24 +230,47 @@ class STLSlicer {
 
     /**
      * Slice mesh into layers
+     * Sweeps the layer planes upward through a Z-interval index, so each plane only
+     * visits the triangles that span it.
+     * @param {Array} layerTops - Z of each layer's top (defaults to getLayerTops()), so
+     *   several meshes can be sliced at the same heights
      */
-    sliceMesh() {
+    sliceMesh(layerTops = null) {
         if (!this.mesh) return null;
 
-        const bbox = this.getBoundingBox();
-        const numLayers = Math.ceil(bbox.size.z / this.layerHeight);
+        const tops = layerTops || this.getLayerTops();
+        const bottom = this.getBoundingBox().min.z;
+        const index = this.buildSliceIndex();
+        const active = [];
+        let next = 0;
         const layers = [];
 
-        console.log(`Slicing into ${numLayers} layers...`);
+        console.log(`Slicing into ${tops.length} layers...`);
+
+        for (let layerNum = 0; layerNum < tops.length; layerNum++) {
+            const z = tops[layerNum];
+
+            // Triangles starting at or below the plane join, those ending below it leave
+            const joined = next;
+            while (next < index.order.length && index.minZ[index.order[next]] <= z) {
+                active.push(index.order[next++]);
+            }
+            let kept = 0;
+            for (let i = 0; i < active.length; i++) {
+                if (index.maxZ[active[i]] >= z) active[kept++] = active[i];
+            }
+            active.length = kept;
+            // Mesh order gives the same segments as scanning every triangle
+            if (next > joined) active.sort((a, b) => a - b);
 
-        for (let layerNum = 0; layerNum < numLayers; layerNum++) {
-            const z = bbox.min.z + (layerNum + 1) * this.layerHeight;
-            const segments = this.sliceAtZ(z);
+            const segments = this.sliceAtZ(z, active);
+            this.reportProgress('Slicing', layerNum + 1, tops.length);
 
             if (segments.length > 0) {
                 layers.push({
                     layerNum: layerNum,
                     z: z,
+                    height: z - (layerNum > 0 ? tops[layerNum - 1] : bottom),
                     segments: segments
                 });
             }
@@ -174,52 +281,304 @@ class STLSlicer {
     }
 
     /**
-     * Slice mesh at specific Z height
+     * Z-interval index of the mesh: each triangle's Z range, and the triangles sorted by their lowest Z
+     * @returns {Object} { minZ: Float64Array, maxZ: Float64Array, order: Uint32Array }
      */
-    sliceAtZ(z) {
-        const segments = [];
+    buildSliceIndex() {
+        const count = this.mesh.length;
+        const minZ = new Float64Array(count);
+        const maxZ = new Float64Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const tri = this.mesh[i];
+            minZ[i] = Math.min(tri.v1.z, tri.v2.z, tri.v3.z);
+            maxZ[i] = Math.max(tri.v1.z, tri.v2.z, tri.v3.z);
+        }
 
-        for (const tri of this.mesh) {
-            const v1 = tri.v1;
-            const v2 = tri.v2;
-            const v3 = tri.v3;
+        const order = new Uint32Array(count);
+        for (let i = 0; i < count; i++) order[i] = i;
+        order.sort((a, b) => minZ[a] - minZ[b]);
 
-            // Check if triangle intersects plane
-            const intersections = [];
-
-            // Check each edge
-            const edges = [
-                [v1, v2],
-                [v2, v3],
-                [v3, v1]
-            ];
-
-            for (const [va, vb] of edges) {
-                // Check if edge crosses the z plane
-                if ((va.z <= z && vb.z >= z) || (va.z >= z && vb.z <= z)) {
-                    if (Math.abs(va.z - vb.z) > 0.0001) { // Avoid division by zero
-                        const t = (z - va.z) / (vb.z - va.z);
-                        const intersection = {
-                            x: va.x + t * (vb.x - va.x),
-                            y: va.y + t * (vb.y - va.y)
-                        };
-                        intersections.push(intersection);
+        return { minZ, maxZ, order };
+    }
+
+    /**
+     * Slice several models together into one G-code file
+     * Each model is also sliced on its own so its top and bottom layers are found
+     * per model, then printed as part of the combined mesh's layers.
+     * @param {Array} models - [{ name, mesh }] in machine coordinates
+     * @returns {Object} { gcode, layers }
+     */
+    sliceModels(models, infillPattern, infillDensity) {
+        this.mesh = models.flatMap(model => model.mesh);
+        console.log(`Combined mesh has ${this.mesh.length} triangles`);
+
+        // Layer heights come from the combined mesh (adaptive layers depend on every
+        // model's slopes), and each model is sliced at the same Z so its layers line up
+        const layerTops = this.getLayerTops();
+        const modelSlices = models.map(model => {
+            const modelSlicer = new STLSlicer();
+            modelSlicer.mesh = model.mesh;
+            modelSlicer.layerHeight = this.layerHeight;
+            modelSlicer.topBottomLayers = this.topBottomLayers;
+            modelSlicer.nozzleDiameter = this.nozzleDiameter;
+            modelSlicer.onProgress = (stage, done, total) => this.reportProgress(`Slicing ${model.name}`, done, total);
+
+            const layers = modelSlicer.sliceMesh(layerTops);
+            const modelHeight = layers.length > 0 ? layers[layers.length - 1].z : 0;
+            console.log(`  Model ${model.name}: ${layers.length} layers, height ${modelHeight.toFixed(2)}mm`);
+            return { name: model.name, layers, sequences: modelSlicer.analyzeLayerSequences(layers) };
+        });
+
+        // Slice combined mesh
+        console.log('Slicing combined mesh...');
+        const layers = this.sliceMesh(layerTops);
+
+        if (!layers || layers.length === 0) {
+            throw new Error('Failed to slice mesh - no layers generated');
+        }
+
+        // Build custom sequences by merging individual model sequences
+        console.log('\n=== Building per-model top/bottom sequences ===');
+        const mergedSequences = new Array(layers.length).fill(null).map(() => ({
+            isBottom: false,
+            isTop: false
+        }));
+
+        for (const modelSlice of modelSlices) {
+            console.log(`Model ${modelSlice.name}: ${modelSlice.layers.length} layers`);
+
+            // Map this model's sequences to the combined layer array
+            for (let i = 0; i < modelSlice.sequences.length; i++) {
+                const layerZ = modelSlice.layers[i].z;
+
+                // Find corresponding layer in combined array
+                for (let j = 0; j < layers.length; j++) {
+                    if (Math.abs(layers[j].z - layerZ) < 0.001) {
+                        // This is the same layer - merge the sequences
+                        if (modelSlice.sequences[i].isBottom) {
+                            mergedSequences[j].isBottom = true;
+                        }
+                        if (modelSlice.sequences[i].isTop) {
+                            mergedSequences[j].isTop = true;
+                            console.log(`  Layer ${j} (Z=${layerZ.toFixed(2)}): Marked as TOP for ${modelSlice.name}`);
+                        }
+                        break;
                     }
                 }
             }
+        }
 
-            // If we have exactly 2 intersections, we have a line segment
-            if (intersections.length === 2) {
-                segments.push({
-                    start: intersections[0],
-                    end: intersections[1]
-                });
+        console.log('=== Per-model sequences complete ===\n');
+
+        // Generate G-code with custom sequences
+        console.log('Generating G-code with per-model top/bottom layers...');
+        const gcode = this.generateGCodeWithSequences(layers, infillPattern, infillDensity, mergedSequences);
+        return { gcode, layers };
+    }
+
+    /**
+     * Z of the top of every layer, from the bottom of the mesh to its top
+     * Uniform layers use layerHeight. A painted profile, or adaptive layers, vary
+     * the height between minLayerHeight and maxLayerHeight.
+     */
+    getLayerTops() {
+        const bbox = this.getBoundingBox();
+        if (!bbox) return [];
+        const tops = [];
+
+        if (!this.layerHeightProfile && !this.adaptiveLayers) {
+            const numLayers = Math.ceil(bbox.size.z / this.layerHeight);
+            for (let layerNum = 0; layerNum < numLayers; layerNum++) {
+                tops.push(bbox.min.z + (layerNum + 1) * this.layerHeight);
             }
+            return tops;
+        }
+
+        const facets = this.layerHeightProfile ? null : this.getSlopedFacets();
+        let z = bbox.min.z;
+        while (z < bbox.max.z - 1e-6) {
+            let height = this.layerHeightProfile
+                ? this.getProfileLayerHeight(z - bbox.min.z)
+                : this.getAdaptiveLayerHeight(z, facets);
+
+            // Don't leave a sliver at the top - stretch the last layer instead
+            if (bbox.max.z - (z + height) < this.minLayerHeight / 2) height = bbox.max.z - z;
+            z += height;
+            tops.push(z);
+        }
+        return tops;
+    }
+
+    /**
+     * Z-sorted index of the facets that limit adaptive layers: neither flat (no stair
+     * steps) nor vertical (no cusp). Like buildSliceIndex(), facets are ordered by their
+     * lowest Z; getAdaptiveLayerHeight() sweeps it upward, keeping the facets that
+     * reach into the current band active.
+     * @returns {Object} { minZ, maxZ, nz: |normal Z| (Float64Arrays by triangle), order, next, active, z }
+     */
+    getSlopedFacets() {
+        const count = this.mesh.length;
+        const minZ = new Float64Array(count);
+        const maxZ = new Float64Array(count);
+        const nzs = new Float64Array(count);
+        const sloped = [];
+
+        for (let i = 0; i < count; i++) {
+            const tri = this.mesh[i];
+            const e1 = { x: tri.v2.x - tri.v1.x, y: tri.v2.y - tri.v1.y, z: tri.v2.z - tri.v1.z };
+            const e2 = { x: tri.v3.x - tri.v1.x, y: tri.v3.y - tri.v1.y, z: tri.v3.z - tri.v1.z };
+            const nx = e1.y * e2.z - e1.z * e2.y;
+            const ny = e1.z * e2.x - e1.x * e2.z;
+            const nz = e1.x * e2.y - e1.y * e2.x;
+            const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+            if (length === 0 || nz === 0 || Math.abs(nz) / length > 0.999) continue;
+
+            minZ[i] = Math.min(tri.v1.z, tri.v2.z, tri.v3.z);
+            maxZ[i] = Math.max(tri.v1.z, tri.v2.z, tri.v3.z);
+            nzs[i] = Math.abs(nz) / length;
+            sloped.push(i);
+        }
+
+        const order = Uint32Array.from(sloped).sort((a, b) => minZ[a] - minZ[b]);
+        return { minZ, maxZ, nz: nzs, order, next: 0, active: [], z: -Infinity };
+    }
+
+    /**
+     * Height of an adaptive layer starting at z
+     * A layer of height h on a surface whose normal has Z component nz sticks out
+     * by about h·nz (the cusp). The allowed cusp shrinks geometrically from
+     * maxLayerHeight at quality 0 through minLayerHeight at quality 0.5 (where
+     * near-flat slopes get the thinnest layers) to minLayerHeight²/maxLayerHeight
+     * at quality 1, so walls get thick layers and gentle slopes thin ones.
+     * @param {Object} facets - From getSlopedFacets(); cheapest when z only goes up between calls
+     */
+    getAdaptiveLayerHeight(z, facets) {
+        const quality = Math.min(1, Math.max(0, this.adaptiveQuality));
+        const maxCusp = this.maxLayerHeight * Math.pow(this.minLayerHeight / this.maxLayerHeight, 2 * quality);
+        const { minZ, maxZ, nz, order, active } = facets;
+
+        // Going back down restarts the sweep
+        if (z < facets.z) {
+            facets.next = 0;
+            active.length = 0;
+        }
+        facets.z = z;
+
+        // Facets starting below the tallest possible layer join, those ending below z leave
+        while (facets.next < order.length && minZ[order[facets.next]] < z + this.maxLayerHeight) {
+            active.push(order[facets.next++]);
+        }
+        let kept = 0;
+        for (let i = 0; i < active.length; i++) {
+            if (maxZ[active[i]] > z) active[kept++] = active[i];
+        }
+        active.length = kept;
+
+        let height = this.maxLayerHeight;
+        for (const facet of active) {
+            if (minZ[facet] >= z + height) continue;
+            height = Math.min(height, Math.max(this.minLayerHeight, maxCusp / nz[facet]));
+        }
+        return height;
+    }
+
+    /**
+     * Layer height from the painted profile at a height above the bed of the mesh
+     * (linear between profile points, clamped to the height bounds)
+     */
+    getProfileLayerHeight(z) {
+        const profile = this.layerHeightProfile;
+        let height = profile[profile.length - 1].height;
+        if (z <= profile[0].z) {
+            height = profile[0].height;
+        } else {
+            for (let i = 1; i < profile.length; i++) {
+                if (z <= profile[i].z) {
+                    const t = (z - profile[i - 1].z) / (profile[i].z - profile[i - 1].z);
+                    height = profile[i - 1].height + (profile[i].height - profile[i - 1].height) * t;
+                    break;
+                }
+            }
+        }
+        return Math.min(this.maxLayerHeight, Math.max(this.minLayerHeight, height));
+    }
+
+    /**
+     * Sample the adaptive layer height along Z, to start a profile for painting
+     * @param {Number} samples - Number of profile points
+     * @returns {Array} [{ z, height }] with z measured from the bottom of the mesh
+     */
+    computeAdaptiveProfile(samples = 100) {
+        const bbox = this.getBoundingBox();
+        if (!bbox) return [];
+
+        const facets = this.getSlopedFacets();
+        const profile = [];
+        for (let i = 0; i < samples; i++) {
+            const z = bbox.size.z * i / (samples - 1);
+            profile.push({ z: z, height: this.getAdaptiveLayerHeight(bbox.min.z + z, facets) });
+        }
+        return profile;
+    }
+
+    /**
+     * Layer height for the G-code header
+     */
+    getLayerHeightDescription() {
+        if (this.layerHeightProfile) return `painted profile, ${this.minLayerHeight}-${this.maxLayerHeight}mm`;
+        if (this.adaptiveLayers) return `adaptive, ${this.minLayerHeight}-${this.maxLayerHeight}mm (quality ${Math.round(this.adaptiveQuality * 100)}%)`;
+        return `${this.layerHeight}mm`;
+    }
+
+    /**
+     * Slice mesh at specific Z height
+     * @param {Array} candidates - Indices of the triangles to test (defaults to the whole mesh)
+     */
+    sliceAtZ(z, candidates = null) {
+        const segments = [];
+        const count = candidates ? candidates.length : this.mesh.length;
+
+        for (let i = 0; i < count; i++) {
+            const tri = this.mesh[candidates ? candidates[i] : i];
+            const segment = this.intersectTriangle(tri, z);
+            if (segment) segments.push(segment);
         }
 
         return segments;
     }
 
+    /**
+     * Line segment where a triangle crosses the plane at Z
+     * @returns {Object|null} { start, end }, or null unless exactly two edges cross
+     */
+    intersectTriangle(tri, z) {
+        const a = this.intersectEdge(tri.v1, tri.v2, z);
+        const b = this.intersectEdge(tri.v2, tri.v3, z);
+        const c = this.intersectEdge(tri.v3, tri.v1, z);
+
+        // Exactly two crossing edges make a line segment
+        if (a && b) return c ? null : { start: a, end: b };
+        if (c && (a || b)) return { start: a || b, end: c };
+        return null;
+    }
+
+    /**
+     * Point where an edge crosses the plane at Z, or null
+     */
+    intersectEdge(va, vb, z) {
+        if ((va.z <= z && vb.z >= z) || (va.z >= z && vb.z <= z)) {
+            if (Math.abs(va.z - vb.z) > 0.0001) { // Avoid division by zero
+                const t = (z - va.z) / (vb.z - va.z);
+                return {
+                    x: va.x + t * (vb.x - va.x),
+                    y: va.y + t * (vb.y - va.y)
+                };
+            }
+        }
+        return null;
+    }
+
     /**
      * Detect horizontal surfaces from mesh triangles
      * Returns arrays of Z heights where top surfaces and bottom surfaces exist
@@ -471,27 +830,55 @@ class STLSlicer {
         const generator = new GCodeGenerator();
         generator.layerHeight = this.layerHeight;
         const gcode = [];
+        this.travel.reset();
+        this.infill.reset();
+        this.currentLayerHeight = this.layerHeight;
 
         // Header
         gcode.push('; Generated by 3D Printer Simulator - STL Slicer');
-        gcode.push(`; Layer Height: ${this.layerHeight}mm`);
+        gcode.push(`; Layer Height: ${this.getLayerHeightDescription()}`);
         gcode.push(`; Infill: ${infillPattern} at ${infillDensity}%`);
+        gcode.push(`; Infill Angles: ${this.infillAngles.join('/')}°, skin ${this.skinAngles.join('/')}°`);
         gcode.push(`; Top/Bottom Solid Layers: ${this.topBottomLayers}`);
+        gcode.push(`; Filament: ${this.filamentDiameter}mm, width ${this.getExtrusionWidth()}mm, flow ${Math.round(this.extrusionMultiplier * 100)}%`);
+        gcode.push(`; Support: ${this.support.style === 'none' ? 'none' : `${this.support.style}, ${this.support.overhangAngle}° overhang threshold`}`);
+        gcode.push(`; Adhesion: ${this.adhesionType}`);
+        gcode.push(`; Retraction: ${this.retractLength}mm at ${this.retractSpeed}mm/s${this.firmwareRetraction ? ' (firmware)' : ''}, Z-hop ${this.zHop}mm, wipe ${this.wipeDistance}mm`);
+        gcode.push(`; Seam: ${this.seamPosition}`);
         gcode.push('; Multi-model per-model top/bottom detection enabled');
         gcode.push('');
         gcode.push('G28 ; Home all axes');
         gcode.push(`M104 S${this.nozzleTemp} ; Set hotend temperature`);
         gcode.push(`M140 S${this.bedTemp} ; Set bed temperature`);
+        gcode.push(...this.extrusionModeCommands());
+        gcode.push(...this.retractionSetupCommands());
         gcode.push(`G1 Z${this.layerHeight} F5000`);
         gcode.push('');
 
-        let extrusionCounter = 0;
+        const supportLayers = new SupportGenerator(this, this.support).generate(layers);
+        if (infillPattern === 'lightning') {
+            this.infill.prepareLightning(layers, sequences.map(seq => seq.isBottom || seq.isTop), infillDensity);
+        }
+
+        // Raft layers come first and lift the whole model
+        gcode.push(...this.generateRaft(layers));
+        const raftLayerCount = this.getRaftLayers().length;
+        const zOffset = this.getRaftOffset();
 
         // Process each layer using provided sequences
         for (let i = 0; i < layers.length; i++) {
             const layer = layers[i];
-            gcode.push(`; Layer ${layer.layerNum + 1} (Z=${layer.z.toFixed(3)})`);
-            gcode.push(`G1 Z${layer.z.toFixed(3)} F5000`);
+            this.reportProgress('Generating G-code', i + 1, layers.length);
+            const z = layer.z + zOffset;
+            gcode.push(`; Layer ${layer.layerNum + raftLayerCount + 1} (Z=${z.toFixed(3)})`);
+            gcode.push(`;Z:${z.toFixed(3)}`);
+            gcode.push(`;HEIGHT:${layer.height.toFixed(3)}`);
+            gcode.push(`G1 Z${z.toFixed(3)} F5000`);
+            this.currentLayerHeight = layer.height;
+            this.travel.nextLayer(); // Skirt and support travels are not combed
+            this.infill.setLayer(i, layer.z);
+            if (i === 0) gcode.push(...this.generateSkirtBrim(layers));
+            gcode.push(...this.supportToGCode(supportLayers[i]));
 
             // Generate perimeters from segments
             const paths = this.segmentsToPerimeter(layer.segments);
@@ -502,64 +889,39 @@ class STLSlicer {
                 const isTopLayer = sequences[i].isTop;
                 const isSolidLayer = isBottomLayer || isTopLayer;
 
-                // Draw all perimeter paths
-                for (let pathIdx = 0; pathIdx < paths.length; pathIdx++) {
-                    const path = paths[pathIdx];
-
-                    if (pathIdx > 0) {
-                        gcode.push(`G0 X${path[0].x.toFixed(2)} Y${path[0].y.toFixed(2)} ; Travel to next shape`);
-                    }
-
-                    for (let i = 0; i < path.length; i++) {
-                        const point = path[i];
-                        if (i === 0 && pathIdx === 0) {
-                            gcode.push(`G1 X${point.x.toFixed(2)} Y${point.y.toFixed(2)} E${extrusionCounter++}`);
-                        } else if (i === 0) {
-                            gcode.push(`G1 X${point.x.toFixed(2)} Y${point.y.toFixed(2)} E${extrusionCounter++}`);
-                        } else {
-                            gcode.push(`G1 X${point.x.toFixed(2)} Y${point.y.toFixed(2)} E${extrusionCounter += 3} F1500`);
-                        }
-                    }
-                }
-
-                // Generate infill
-                const allPoints = paths.flat();
-                const bbox = this.getLayerBoundingBox(allPoints);
-
+                let infill = null;
                 if (isSolidLayer) {
                     // Solid infill
-                    gcode.push(`; Solid layer ${isBottomLayer ? '(bottom)' : '(top)'}`);
-                    const solidInfill1 = this.generateLayerInfill(bbox, 'lines', 100, paths, 0);
-                    for (const line of solidInfill1) {
-                        gcode.push(line.replace(/E\d+/g, match => `E${extrusionCounter += 3}`));
-                    }
-                    const solidInfill2 = this.generateLayerInfill(bbox, 'lines', 100, paths, 90);
-                    for (const line of solidInfill2) {
-                        gcode.push(line.replace(/E\d+/g, match => `E${extrusionCounter += 3}`));
-                    }
-                } else {
+                    infill = {
+                        comment: `; Solid layer ${isBottomLayer ? '(bottom)' : '(top)'}`,
+                        type: isBottomLayer ? 'Bottom surface' : 'Top surface',
+                        passes: [{ pattern: 'lines', density: 100, angle: this.getLayerAngle(this.skinAngles, i) }]
+                    };
+                } else if (infillDensity > 0) {
                     // Sparse infill
-                    if (infillDensity > 0) {
-                        gcode.push(`; Sparse infill (${infillDensity}%)`);
-                        const infillLines = this.generateLayerInfill(bbox, infillPattern, infillDensity, paths, 0);
-                        for (const line of infillLines) {
-                            gcode.push(line.replace(/E\d+/g, match => `E${extrusionCounter += 3}`));
-                        }
-                    }
+                    infill = {
+                        comment: `; Sparse infill (${infillDensity}%)`,
+                        type: 'Internal infill',
+                        passes: this.getSparseInfillPasses(infillPattern, infillDensity, i)
+                    };
                 }
+
+                // Walls and infill inside the innermost perimeter, island by island
+                gcode.push(...this.generateLayerModel(paths, infill));
             }
         }
 
         // Footer
         gcode.push('');
         gcode.push('; Print complete');
-        gcode.push('G1 Z' + (layers[layers.length - 1].z + 10) + ' F5000');
+        gcode.push(this.travelSummaryComment());
+        gcode.push('G1 Z' + (layers[layers.length - 1].z + zOffset + 10).toFixed(3) + ' F5000');
         gcode.push('M104 S0 ; Turn off hotend');
         gcode.push('M140 S0 ; Turn off bed');
         gcode.push('G28 X0 Y0 ; Home X and Y');
         gcode.push('M84 ; Disable motors');
 
-        return gcode.join('\n');
+        return this.applyRetraction(gcode).join('\n');
     }
 
     /**
@@ -569,30 +931,57 @@ class STLSlicer {
         const generator = new GCodeGenerator();
         generator.layerHeight = this.layerHeight;
         const gcode = [];
+        this.travel.reset();
+        this.infill.reset();
+        this.currentLayerHeight = this.layerHeight;
 
         // Header
         gcode.push('; Generated by 3D Printer Simulator - STL Slicer');
-        gcode.push(`; Layer Height: ${this.layerHeight}mm`);
+        gcode.push(`; Layer Height: ${this.getLayerHeightDescription()}`);
         gcode.push(`; Infill: ${infillPattern} at ${infillDensity}%`);
+        gcode.push(`; Infill Angles: ${this.infillAngles.join('/')}°, skin ${this.skinAngles.join('/')}°`);
         gcode.push(`; Top/Bottom Solid Layers: ${this.topBottomLayers}`);
+        gcode.push(`; Filament: ${this.filamentDiameter}mm, width ${this.getExtrusionWidth()}mm, flow ${Math.round(this.extrusionMultiplier * 100)}%`);
+        gcode.push(`; Support: ${this.support.style === 'none' ? 'none' : `${this.support.style}, ${this.support.overhangAngle}° overhang threshold`}`);
+        gcode.push(`; Adhesion: ${this.adhesionType}`);
+        gcode.push(`; Retraction: ${this.retractLength}mm at ${this.retractSpeed}mm/s${this.firmwareRetraction ? ' (firmware)' : ''}, Z-hop ${this.zHop}mm, wipe ${this.wipeDistance}mm`);
+        gcode.push(`; Seam: ${this.seamPosition}`);
         gcode.push('');
         gcode.push('G28 ; Home all axes');
         gcode.push(`M104 S${this.nozzleTemp} ; Set hotend temperature`);
         gcode.push(`M140 S${this.bedTemp} ; Set bed temperature`);
+        gcode.push(...this.extrusionModeCommands());
+        gcode.push(...this.retractionSetupCommands());
         gcode.push(`G1 Z${this.layerHeight} F5000`);
         gcode.push('');
 
-        let extrusionCounter = 0;
-
         // OPTIMIZATION: Pre-analyze layers to find continuous sequences
         // This handles multiple models with different heights correctly
         const layerSequences = this.analyzeLayerSequences(layers);
+        const supportLayers = new SupportGenerator(this, this.support).generate(layers);
+        if (infillPattern === 'lightning') {
+            this.infill.prepareLightning(layers, layerSequences.map(seq => seq.isBottom || seq.isTop), infillDensity);
+        }
+
+        // Raft layers come first and lift the whole model
+        gcode.push(...this.generateRaft(layers));
+        const raftLayerCount = this.getRaftLayers().length;
+        const zOffset = this.getRaftOffset();
 
         // Process each layer
         for (let i = 0; i < layers.length; i++) {
             const layer = layers[i];
-            gcode.push(`; Layer ${layer.layerNum + 1} (Z=${layer.z.toFixed(3)})`);
-            gcode.push(`G1 Z${layer.z.toFixed(3)} F5000`);
+            this.reportProgress('Generating G-code', i + 1, layers.length);
+            const z = layer.z + zOffset;
+            gcode.push(`; Layer ${layer.layerNum + raftLayerCount + 1} (Z=${z.toFixed(3)})`);
+            gcode.push(`;Z:${z.toFixed(3)}`);
+            gcode.push(`;HEIGHT:${layer.height.toFixed(3)}`);
+            gcode.push(`G1 Z${z.toFixed(3)} F5000`);
+            this.currentLayerHeight = layer.height;
+            this.travel.nextLayer(); // Skirt and support travels are not combed
+            this.infill.setLayer(i, layer.z);
+            if (i === 0) gcode.push(...this.generateSkirtBrim(layers));
+            gcode.push(...this.supportToGCode(supportLayers[i]));
 
             // Generate perimeters from segments (returns array of paths)
             const paths = this.segmentsToPerimeter(layer.segments);
@@ -604,87 +993,26 @@ class STLSlicer {
                 const isTopLayer = layerSequences[i].isTop;
                 const isSolidLayer = isBottomLayer || isTopLayer;
 
-                // Draw all perimeter paths (separate shapes like letters A, B, C)
-                for (let pathIdx = 0; pathIdx < paths.length; pathIdx++) {
-                    const path = paths[pathIdx];
-
-                    if (pathIdx > 0) {
-                        // Travel move to start of next path (non-extruding)
-                        gcode.push(`G0 X${path[0].x.toFixed(2)} Y${path[0].y.toFixed(2)} ; Travel to next shape`);
-                    }
-
-                    // Draw this closed loop
-                    for (let i = 0; i < path.length; i++) {
-                        const point = path[i];
-                        if (i === 0 && pathIdx === 0) {
-                            // First point of first path
-                            gcode.push(`G1 X${point.x.toFixed(2)} Y${point.y.toFixed(2)} E${extrusionCounter++}`);
-                        } else if (i === 0) {
-                            // First point of subsequent paths (already traveled to)
-                            gcode.push(`G1 X${point.x.toFixed(2)} Y${point.y.toFixed(2)} E${extrusionCounter++}`);
-                        } else {
-                            // All other points
-                            gcode.push(`G1 X${point.x.toFixed(2)} Y${point.y.toFixed(2)} E${extrusionCounter += 3} F1500`);
-                        }
-                    }
-                }
-
-                // Generate infill
-                // Flatten all paths into single array for bbox calculation
-                const allPoints = paths.flat();
-                const bbox = this.getLayerBoundingBox(allPoints);
-
+                let infill = null;
                 if (isSolidLayer) {
                     // Solid infill for top/bottom layers (100% density)
-                    // Use alternating angles (0° and 90°) to catch all geometry including curves
-                    gcode.push(`; Solid layer ${isBottomLayer ? '(bottom)' : '(top)'}`);
-
-                    // First direction: horizontal lines (0°)
-                    const solidInfill1 = this.generateLayerInfill(bbox, 'lines', 100, paths, 0);
-                    for (const line of solidInfill1) {
-                        gcode.push(line.replace(/E\d+/g, match => {
-                            return `E${extrusionCounter += 3}`;
-                        }));
-                    }
-
-                    // Second direction: vertical lines (90°) to fill gaps in curves
-                    const solidInfill2 = this.generateLayerInfill(bbox, 'lines', 100, paths, 90);
-                    for (const line of solidInfill2) {
-                        gcode.push(line.replace(/E\d+/g, match => {
-                            return `E${extrusionCounter += 3}`;
-                        }));
-                    }
-                } else {
+                    // One direction per layer, alternating between layers like real slicers
+                    infill = {
+                        comment: `; Solid layer ${isBottomLayer ? '(bottom)' : '(top)'}`,
+                        type: isBottomLayer ? 'Bottom surface' : 'Top surface',
+                        passes: [{ pattern: 'lines', density: 100, angle: this.getLayerAngle(this.skinAngles, i) }]
+                    };
+                } else if (infillDensity > 0) {
                     // Sparse infill for middle layers
-                    if (infillDensity > 0) {
-                        gcode.push(`; Sparse infill (${infillDensity}%)`);
-
-                        if (infillPattern === 'grid') {
-                            // Grid pattern: lines in both directions (0° and 90°)
-                            const infill1 = this.generateLayerInfill(bbox, 'lines', infillDensity, paths, 0);
-                            for (const line of infill1) {
-                                gcode.push(line.replace(/E\d+/g, match => {
-                                    return `E${extrusionCounter += 3}`;
-                                }));
-                            }
-
-                            const infill2 = this.generateLayerInfill(bbox, 'lines', infillDensity, paths, 90);
-                            for (const line of infill2) {
-                                gcode.push(line.replace(/E\d+/g, match => {
-                                    return `E${extrusionCounter += 3}`;
-                                }));
-                            }
-                        } else {
-                            // Other patterns: single direction
-                            const infill = this.generateLayerInfill(bbox, infillPattern, infillDensity, paths, 0);
-                            for (const line of infill) {
-                                gcode.push(line.replace(/E\d+/g, match => {
-                                    return `E${extrusionCounter += 3}`;
-                                }));
-                            }
-                        }
-                    }
+                    infill = {
+                        comment: `; Sparse infill (${infillDensity}%)`,
+                        type: 'Internal infill',
+                        passes: this.getSparseInfillPasses(infillPattern, infillDensity, i)
+                    };
                 }
+
+                // Walls and infill clipped to the innermost perimeter, island by island
+                gcode.push(...this.generateLayerModel(paths, infill));
             }
 
             gcode.push('');
@@ -692,13 +1020,231 @@ class STLSlicer {
 
         // Footer
         gcode.push('; Finish');
-        gcode.push('G1 Z' + (layers[layers.length - 1].z + 10) + ' F5000');
+        gcode.push(this.travelSummaryComment());
+        gcode.push('G1 Z' + (layers[layers.length - 1].z + zOffset + 10).toFixed(3) + ' F5000');
         gcode.push('M104 S0 ; Turn off hotend');
         gcode.push('M140 S0 ; Turn off bed');
         gcode.push('G28 X Y ; Home X and Y');
         gcode.push('M84 ; Disable steppers');
 
-        return gcode.join('\n');
+        return this.applyRetraction(gcode).join('\n');
+    }
+
+    /**
+     * Line width used for perimeters and infill
+     */
+    getExtrusionWidth() {
+        return this.extrusionWidth || this.nozzleDiameter;
+    }
+
+    /**
+     * Select the extrusion mode and zero the extruder at the start of a print
+     */
+    extrusionModeCommands() {
+        this.extrusionPosition = 0;
+        return [
+            this.relativeExtrusion ? 'M83 ; Relative extrusion' : 'M82 ; Absolute extrusion',
+            'G92 E0 ; Reset extruder'
+        ];
+    }
+
+    /**
+     * Firmware retraction settings (M207) when G10/G11 are used
+     */
+    retractionSetupCommands() {
+        if (!this.firmwareRetraction) return [];
+        return [`M207 S${this.retractLength} F${Math.round(this.retractSpeed * 60)} ; Firmware retraction`];
+    }
+
+    /**
+     * Add retraction around travel moves of finished G-code
+     * Travels of at least retractMinTravel retract first (wiping back over the last
+     * line if set), lift by zHop, travel, drop back and unretract. In absolute mode
+     * the unretract returns E to where it was, so later E values stay valid.
+     * @param {Array} gcode - G-code lines
+     * @returns {Array} G-code lines with retractions
+     */
+    applyRetraction(gcode) {
+        if (this.retractLength <= 0) return gcode;
+
+        const result = [];
+        const pos = { x: 0, y: 0, z: 0 };
+        let e = 0; // Absolute E position
+        let path = []; // Points of the current extrusion run, for wiping
+        let hasExtruded = false;
+
+        for (let i = 0; i < gcode.length; i++) {
+            const line = gcode[i];
+            const words = this.parseMoveWords(line);
+            if (!words) {
+                const reset = line.match(/^G92\b.*\bE(-?[\d.]+)/);
+                if (reset) e = parseFloat(reset[1]);
+                result.push(line);
+                continue;
+            }
+
+            const target = this.moveTarget(pos, words);
+            const isTravel = words.E === undefined;
+            const distance = Math.hypot(target.x - pos.x, target.y - pos.y);
+
+            if (isTravel && hasExtruded && target.z === pos.z) {
+                // A combed travel is several moves in a row - retract once for all of them
+                const travel = [line];
+                let length = distance;
+                let end = target;
+                while (i + 1 < gcode.length) {
+                    const next = this.parseMoveWords(gcode[i + 1]);
+                    if (!next || next.E !== undefined) break;
+                    const nextTarget = this.moveTarget(end, next);
+                    if (nextTarget.z !== pos.z) break;
+                    length += Math.hypot(nextTarget.x - end.x, nextTarget.y - end.y);
+                    end = nextTarget;
+                    travel.push(gcode[++i]);
+                }
+
+                if (length >= this.retractMinTravel) {
+                    // The retract leaves its own feedrate in effect, so travel sets it back
+                    const travelFeedrate = `F${Math.round(this.travelSpeed * 60)}`;
+                    result.push(...this.retractionMoves(pos, path, e));
+                    if (this.zHop > 0) result.push(`G1 Z${(pos.z + this.zHop).toFixed(3)} ${travelFeedrate}`);
+                    result.push(travel[0].replace(/^([^;]*?)\s*(;.*)?$/, (match, move, comment) =>
+                        `${move} ${travelFeedrate}${comment ? ' ' + comment : ''}`), ...travel.slice(1));
+                    if (this.zHop > 0) result.push(`G1 Z${pos.z.toFixed(3)} ${travelFeedrate}`);
+                    result.push(this.firmwareRetraction ? 'G11 ; Unretract'
+                        : `G1 E${this.relativeExtrusion ? this.retractLength.toFixed(5) : e.toFixed(5)} F${Math.round(this.retractSpeed * 60)} ; Unretract`);
+                } else {
+                    result.push(...travel);
+                }
+                path = [];
+                pos.x = end.x;
+                pos.y = end.y;
+                continue;
+            }
+
+            if (isTravel) {
+                result.push(line);
+                path = [];
+            } else {
+                const amount = this.relativeExtrusion ? words.E : words.E - e;
+                if (!this.relativeExtrusion) e = words.E;
+                if (amount > 0 && distance > 0) {
+                    if (path.length === 0) path.push({ x: pos.x, y: pos.y });
+                    path.push({ x: target.x, y: target.y });
+                    hasExtruded = true;
+                }
+                result.push(line);
+            }
+
+            pos.x = target.x;
+            pos.y = target.y;
+            pos.z = target.z;
+        }
+
+        return result;
+    }
+
+    /**
+     * X/Y/Z/E words of a G0/G1 line (null for other lines)
+     */
+    parseMoveWords(line) {
+        if (!/^G[01]\s/.test(line)) return null;
+
+        const words = {};
+        for (const match of line.split(';')[0].matchAll(/([XYZE])(-?[\d.]+)/g)) {
+            words[match[1]] = parseFloat(match[2]);
+        }
+        return words;
+    }
+
+    /**
+     * Position after a move, keeping axes the move leaves out
+     */
+    moveTarget(pos, words) {
+        return {
+            x: words.X !== undefined ? words.X : pos.x,
+            y: words.Y !== undefined ? words.Y : pos.y,
+            z: words.Z !== undefined ? words.Z : pos.z
+        };
+    }
+
+    /**
+     * Retract at a point, wiping back along the path just printed while the filament pulls back
+     * @param {Object} pos - Nozzle position, moved to the end of the wipe
+     * @param {Array} path - Points of the last extrusion run (ending at pos)
+     * @param {Number} e - Absolute E position before retracting
+     */
+    retractionMoves(pos, path, e) {
+        const moves = [];
+        const feedrate = Math.round(this.retractSpeed * 60);
+        const wipe = [];
+
+        // Walk back along the path for the wipe distance
+        let remaining = this.wipeDistance;
+        for (let i = path.length - 1; i > 0 && remaining > 0; i--) {
+            const from = path[i];
+            const to = path[i - 1];
+            const length = Math.hypot(to.x - from.x, to.y - from.y);
+            if (length === 0) continue;
+
+            const t = Math.min(1, remaining / length);
+            wipe.push({ x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t, length: length * t });
+            remaining -= length * t;
+        }
+
+        if (this.firmwareRetraction) {
+            for (const point of wipe) {
+                moves.push(`G1 X${point.x.toFixed(2)} Y${point.y.toFixed(2)} ; Wipe`);
+            }
+            moves.push('G10 ; Retract');
+        } else {
+            // Spread the retraction over the wipe, retracting whatever is left in place
+            const wipeLength = this.wipeDistance - remaining;
+            let retracted = 0;
+            for (const point of wipe) {
+                const amount = this.retractLength * point.length / wipeLength;
+                retracted += amount;
+                const eWord = this.relativeExtrusion ? -amount : e - retracted;
+                moves.push(`G1 X${point.x.toFixed(2)} Y${point.y.toFixed(2)} E${eWord.toFixed(5)} F${feedrate} ; Wipe`);
+            }
+            const left = this.retractLength - retracted;
+            if (left > 1e-6) {
+                const eWord = this.relativeExtrusion ? -left : e - this.retractLength;
+                moves.push(`G1 E${eWord.toFixed(5)} F${feedrate} ; Retract`);
+            }
+        }
+
+        if (wipe.length > 0) {
+            pos.x = wipe[wipe.length - 1].x;
+            pos.y = wipe[wipe.length - 1].y;
+        }
+        return moves;
+    }
+
+    /**
+     * Filament length (mm) needed to lay down a line
+     * The line cross-section is a rectangle with semicircular sides, like Slic3r's flow model,
+     * so solid skin and infill lines getLineSpacing() apart come out without gaps or overlap.
+     * @param {Number} length - Line length in mm
+     * @param {Number} width - Line width in mm
+     * @param {Number} height - Layer height in mm
+     */
+    calculateExtrusion(length, width = this.getExtrusionWidth(), height = this.currentLayerHeight) {
+        const h = Math.min(height, width);
+        const lineArea = (width - h) * h + Math.PI * (h / 2) * (h / 2);
+        const filamentArea = Math.PI * (this.filamentDiameter / 2) * (this.filamentDiameter / 2);
+        return length * lineArea / filamentArea * this.extrusionMultiplier;
+    }
+
+    /**
+     * E parameter for an extruding move between two points (absolute or relative)
+     */
+    extrusionParam(from, to, width, height) {
+        const amount = this.calculateExtrusion(Math.hypot(to.x - from.x, to.y - from.y), width, height);
+        if (this.relativeExtrusion) {
+            return `E${amount.toFixed(5)}`;
+        }
+        this.extrusionPosition += amount;
+        return `E${this.extrusionPosition.toFixed(5)}`;
     }
 
     /**
@@ -710,55 +1256,741 @@ class STLSlicer {
 
         // Build connected paths from segments
         const paths = [];
-        const unusedSegments = [...segments];
+        const used = new Uint8Array(segments.length);
         const tolerance = 0.01; // Distance tolerance for connecting points
+        const grid = this.buildEndpointGrid(segments, tolerance);
+        let first = 0;
 
-        while (unusedSegments.length > 0) {
+        while (first < segments.length) {
             const currentPath = [];
-            const firstSeg = unusedSegments.shift();
+            const firstSeg = segments[first];
+            used[first] = 1;
 
             currentPath.push({ x: firstSeg.start.x, y: firstSeg.start.y });
             currentPath.push({ x: firstSeg.end.x, y: firstSeg.end.y });
 
             let lastPoint = firstSeg.end;
-            let foundConnection = true;
+            let next = this.findConnectingSegment(grid, segments, used, lastPoint, tolerance);
 
             // Keep connecting segments until we close the loop or can't find more
-            while (foundConnection && unusedSegments.length > 0) {
-                foundConnection = false;
-
-                for (let i = 0; i < unusedSegments.length; i++) {
-                    const seg = unusedSegments[i];
-                    const distToStart = Math.hypot(lastPoint.x - seg.start.x, lastPoint.y - seg.start.y);
-                    const distToEnd = Math.hypot(lastPoint.x - seg.end.x, lastPoint.y - seg.end.y);
-
-                    if (distToStart < tolerance) {
-                        // Connect to start of this segment
-                        currentPath.push({ x: seg.end.x, y: seg.end.y });
-                        lastPoint = seg.end;
-                        unusedSegments.splice(i, 1);
-                        foundConnection = true;
-                        break;
-                    } else if (distToEnd < tolerance) {
-                        // Connect to end of this segment (reversed)
-                        currentPath.push({ x: seg.start.x, y: seg.start.y });
-                        lastPoint = seg.start;
-                        unusedSegments.splice(i, 1);
-                        foundConnection = true;
-                        break;
-                    }
-                }
+            while (next) {
+                const seg = segments[next.index];
+                used[next.index] = 1;
+                // Joining at a segment's end walks it reversed
+                lastPoint = next.atStart ? seg.end : seg.start;
+                currentPath.push({ x: lastPoint.x, y: lastPoint.y });
+                next = this.findConnectingSegment(grid, segments, used, lastPoint, tolerance);
             }
 
             // Only add paths with at least 3 points
             if (currentPath.length >= 3) {
                 paths.push(currentPath);
             }
+
+            while (first < segments.length && used[first]) first++;
         }
 
         return paths;
     }
 
+    /**
+     * Hash segment endpoints into grid cells one tolerance wide
+     * @returns {Map} endpointCellKey → segment indices with an endpoint in that cell
+     */
+    buildEndpointGrid(segments, tolerance) {
+        const grid = new Map();
+        const add = (point, index) => {
+            const key = this.endpointCellKey(Math.floor(point.x / tolerance), Math.floor(point.y / tolerance));
+            const cell = grid.get(key);
+            if (!cell) grid.set(key, [index]);
+            else if (cell[cell.length - 1] !== index) cell.push(index);
+        };
+
+        segments.forEach((seg, i) => {
+            add(seg.start, i);
+            add(seg.end, i);
+        });
+        return grid;
+    }
+
+    /**
+     * Numeric key of an endpoint grid cell (exact for cells within ±2^25 of the origin)
+     */
+    endpointCellKey(cx, cy) {
+        return (cx + 0x2000000) * 0x4000000 + (cy + 0x2000000);
+    }
+
+    /**
+     * Unused segment with an endpoint within tolerance of a point
+     * Searches the point's cell and its neighbours, preferring the lowest index and a
+     * match at the segment's start, as a scan of the segment list would.
+     * @returns {Object|null} { index, atStart }
+     */
+    findConnectingSegment(grid, segments, used, point, tolerance) {
+        const cx = Math.floor(point.x / tolerance);
+        const cy = Math.floor(point.y / tolerance);
+        let best = null;
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const cell = grid.get(this.endpointCellKey(cx + dx, cy + dy));
+                if (!cell) continue;
+
+                for (const i of cell) {
+                    if (used[i] || (best && i >= best.index)) continue;
+                    const seg = segments[i];
+                    if (Math.hypot(point.x - seg.start.x, point.y - seg.start.y) < tolerance) {
+                        best = { index: i, atStart: true };
+                    } else if (Math.hypot(point.x - seg.end.x, point.y - seg.end.y) < tolerance) {
+                        best = { index: i, atStart: false };
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Build wall perimeters for a layer by offsetting its outline
+     * Perimeter count is wall thickness ÷ line width. The external perimeter's
+     * centerline sits half a line inside the outline, the rest one line spacing apart.
+     * @returns {Object} { perimeters: [loops] from outermost to innermost, infillBoundary: loops, outline: oriented loops }
+     */
+    generatePerimeters(paths) {
+        const width = this.getExtrusionWidth();
+        const spacing = this.getLineSpacing(width);
+        const count = Math.max(1, Math.round(this.wallThickness / width));
+        const outline = this.orientPaths(paths);
+
+        const perimeters = [];
+        let distance = width / 2;
+        for (let i = 0; i < count; i++) {
+            perimeters.push(this.offsetPolygons(outline, distance));
+            distance += spacing;
+        }
+
+        // Infill lines end one spacing inside the innermost perimeter, overlapping it slightly
+        const infillBoundary = this.offsetPolygons(outline, distance);
+
+        return { perimeters: perimeters, infillBoundary: infillBoundary, outline: outline };
+    }
+
+    /**
+     * Split a layer outline into islands: each outer contour with the holes directly inside it
+     * @returns {Array} Islands: { outline: outer loop, loops: outer loop and its holes }
+     */
+    splitIslands(paths) {
+        const outline = this.orientPaths(paths);
+        const islands = outline
+            .filter(loop => this.getSignedArea(loop) > 0)
+            .map(loop => ({ outline: loop, loops: [loop], area: this.getSignedArea(loop) }));
+
+        // A hole belongs to the smallest outer contour around it
+        for (const hole of outline.filter(loop => this.getSignedArea(loop) < 0)) {
+            let owner = null;
+            for (const island of islands) {
+                if (this.isPointInPolygon(hole[0], island.outline) && (!owner || island.area < owner.area)) {
+                    owner = island;
+                }
+            }
+            if (owner) owner.loops.push(hole);
+        }
+        return islands;
+    }
+
+    /**
+     * Infill passes for sparse layers
+     * Lines take the layer's angle from infillAngles and grid adds the crossing
+     * direction. The other patterns keep the first angle on every layer so their
+     * walls stack up.
+     * @returns {Array} [{ pattern, density, angle }]
+     */
+    getSparseInfillPasses(pattern, density, layerIndex) {
+        if (pattern === 'grid') {
+            const angle = this.getLayerAngle(this.infillAngles, layerIndex);
+            return [{ pattern: 'lines', density: density, angle: angle }, { pattern: 'lines', density: density, angle: angle + 90 }];
+        }
+        if (pattern === 'lines') {
+            return [{ pattern: pattern, density: density, angle: this.getLayerAngle(this.infillAngles, layerIndex) }];
+        }
+        return [{ pattern: pattern, density: density, angle: this.getLayerAngle(this.infillAngles, 0) }];
+    }
+
+    /**
+     * Angle for a layer from a set that cycles layer by layer (0 for an empty set)
+     */
+    getLayerAngle(angles, layerIndex) {
+        return angles && angles.length > 0 ? angles[layerIndex % angles.length] : 0;
+    }
+
+    /**
+     * G-code for the model part of a layer, one island at a time in travel order:
+     * inner perimeters, the external perimeter, then infill
+     * @param {Array} paths - Closed outline paths of the layer
+     * @param {Object} infill - { comment, type, passes: [{ pattern, density, angle }] } or null for none
+     */
+    generateLayerModel(paths, infill) {
+        const gcode = [];
+        const width = this.getExtrusionWidth();
+        const islands = this.splitIslands(paths).map(island => {
+            const { perimeters, infillBoundary, outline } = this.generatePerimeters(island.loops);
+            return {
+                outline: island.outline,
+                perimeters: perimeters,
+                infillBoundary: infillBoundary,
+                // Travels comb a quarter line inside the outline, under the external perimeter
+                combBoundary: this.travel.combing ? this.offsetPolygons(outline, width / 4) : []
+            };
+        });
+        this.travel.combBoundary = islands.flatMap(island => island.combBoundary);
+
+        for (const island of this.travel.orderIslands(islands)) {
+            // Walls: inner perimeters first, then the external perimeter against them
+            const perimeters = island.perimeters;
+            for (let p = perimeters.length - 1; p >= 0; p--) {
+                if (perimeters[p].length === 0) continue;
+                gcode.push(p === 0 ? ';TYPE:External perimeter' : ';TYPE:Perimeter');
+                gcode.push(...this.loopsToGCode(perimeters[p], width, this.currentLayerHeight, this.seamPosition));
+            }
+
+            if (!infill || island.infillBoundary.length === 0) continue;
+            const bbox = this.getLayerBoundingBox(island.infillBoundary.flat());
+            gcode.push(infill.comment);
+            gcode.push(`;TYPE:${infill.type}`);
+            for (const pass of infill.passes) {
+                gcode.push(...this.generateLayerInfill(bbox, pass.pattern, pass.density, island.infillBoundary, pass.angle));
+            }
+        }
+        return gcode;
+    }
+
+    /**
+     * Center-to-center distance of neighbouring lines that touch without gaps
+     * (rounded line sides let them sit closer than one line width)
+     */
+    getLineSpacing(width = this.getExtrusionWidth()) {
+        return width - this.currentLayerHeight * (1 - Math.PI / 4);
+    }
+
+    /**
+     * G-code for closed loops: travel to each loop's start, then extrude all the way round
+     * Loops are printed in travel order, each starting at its point nearest the nozzle
+     * or, for perimeters, at the seam position.
+     * @param {Number} width - Line width (defaults to the extrusion width)
+     * @param {Number} height - Layer height (defaults to the height of the current layer)
+     * @param {String} seam - Seam strategy for perimeter loops (see TravelOptimizer.getSeamIndex)
+     */
+    loopsToGCode(loops, width, height, seam = null) {
+        const gcode = [];
+        for (const loop of this.travel.orderLoops(loops, seam)) {
+            gcode.push(...this.travelToGCode(loop[0]));
+            for (let i = 1; i <= loop.length; i++) {
+                const point = loop[i % loop.length];
+                gcode.push(`G1 X${point.x.toFixed(2)} Y${point.y.toFixed(2)} ${this.extrusionParam(loop[i - 1], point, width, height)} F1500`);
+            }
+        }
+        return gcode;
+    }
+
+    /**
+     * G-code for open polylines: travel to each start, then extrude along it
+     * Polylines are printed in travel order, from whichever end is nearer.
+     */
+    polylinesToGCode(polylines, width, height) {
+        const gcode = [];
+        for (const polyline of this.travel.orderPolylines(polylines)) {
+            gcode.push(...this.travelToGCode(polyline[0]));
+            for (let i = 1; i < polyline.length; i++) {
+                const point = polyline[i];
+                gcode.push(`G1 X${point.x.toFixed(2)} Y${point.y.toFixed(2)} ${this.extrusionParam(polyline[i - 1], point, width, height)} F1500`);
+            }
+            this.travel.position = polyline[polyline.length - 1];
+        }
+        return gcode;
+    }
+
+    /**
+     * Travel moves to a point, combed around holes when enabled
+     */
+    travelToGCode(point) {
+        return this.travel.travelTo(point).map(p => `G0 X${p.x.toFixed(2)} Y${p.y.toFixed(2)}`);
+    }
+
+    /**
+     * Footer comment comparing the optimized travel with the unoptimized order
+     */
+    travelSummaryComment() {
+        return `; Travel distance: ${this.travel.travelDistance.toFixed(1)}mm (${this.travel.unoptimizedDistance.toFixed(1)}mm unoptimized)`;
+    }
+
+    /**
+     * G-code for one layer of support from SupportGenerator (body first, then interface)
+     */
+    supportToGCode(layerSupport) {
+        const gcode = [];
+        if (!layerSupport) return gcode;
+
+        if (layerSupport.body.length > 0) {
+            gcode.push(';TYPE:Support material');
+            gcode.push(...this.polylinesToGCode(layerSupport.body));
+        }
+        if (layerSupport.interface.length > 0) {
+            gcode.push(';TYPE:Support material interface');
+            gcode.push(...this.polylinesToGCode(layerSupport.interface));
+        }
+        return gcode;
+    }
+
+    /**
+     * Outer contours of the first layer of all models combined (holes dropped),
+     * which skirt, brim and raft are built around
+     */
+    getFirstLayerOutline(layers) {
+        if (layers.length === 0) return [];
+        const paths = this.segmentsToPerimeter(layers[0].segments);
+        return this.orientPaths(paths).filter(loop => this.getSignedArea(loop) > 0);
+    }
+
+    /**
+     * Outer contours grown outward by distance mm (touching parts merge)
+     */
+    growOutline(outline, distance) {
+        return this.offsetPolygons(outline, -distance).filter(loop => this.getSignedArea(loop) > 0);
+    }
+
+    /**
+     * Skirt or brim G-code for the first layer (empty for other adhesion types)
+     */
+    generateSkirtBrim(layers) {
+        const gcode = [];
+        if (this.adhesionType !== 'skirt' && this.adhesionType !== 'brim') return gcode;
+
+        const outline = this.getFirstLayerOutline(layers);
+        if (outline.length === 0) return gcode;
+
+        const spacing = this.getLineSpacing();
+        const rings = [];
+        if (this.adhesionType === 'skirt') {
+            for (let k = 0; k < this.skirtLoops; k++) {
+                rings.push(this.growOutline(outline, this.skirtDistance + k * spacing));
+            }
+        } else {
+            // Brim lines touch the external perimeter and each other
+            const loops = Math.max(1, Math.round(this.brimWidth / spacing));
+            for (let k = 0; k < loops; k++) {
+                rings.push(this.growOutline(outline, spacing / 2 + k * spacing));
+            }
+        }
+
+        // Outermost ring first, finishing next to the model
+        gcode.push(`;TYPE:${this.adhesionType === 'skirt' ? 'Skirt' : 'Brim'}`);
+        for (let k = rings.length - 1; k >= 0; k--) {
+            gcode.push(...this.loopsToGCode(rings[k]));
+        }
+        return gcode;
+    }
+
+    /**
+     * Raft layer stack: thick sparse base, interface and solid surface layers
+     * @returns {Array} Layers: { height, width, spacing, angle }
+     */
+    getRaftLayers() {
+        if (this.adhesionType !== 'raft') return [];
+
+        const width = this.getExtrusionWidth();
+        const layers = [];
+        for (let k = 0; k < this.raftBaseLayers; k++) {
+            layers.push({ height: Math.min(this.layerHeight * 1.5, this.nozzleDiameter * 0.75), width: width * 2, spacing: width * 4, angle: 0 });
+        }
+        for (let k = 0; k < this.raftInterfaceLayers; k++) {
+            layers.push({ height: this.layerHeight, width: width * 1.5, spacing: width * 2.5, angle: 90 });
+        }
+        for (let k = 0; k < this.raftSurfaceLayers; k++) {
+            layers.push({ height: this.layerHeight, width: width, spacing: this.getLineSpacing(width), angle: k % 2 === 0 ? 0 : 90 });
+        }
+        return layers;
+    }
+
+    /**
+     * How far the model is lifted by the raft (raft layers plus the air gap)
+     */
+    getRaftOffset() {
+        const raftLayers = this.getRaftLayers();
+        if (raftLayers.length === 0) return 0;
+        return raftLayers.reduce((sum, layer) => sum + layer.height, 0) + this.raftAirGap;
+    }
+
+    /**
+     * Raft G-code printed before the model's first layer
+     */
+    generateRaft(layers) {
+        const gcode = [];
+        const raftLayers = this.getRaftLayers();
+        if (raftLayers.length === 0) return gcode;
+
+        const region = this.growOutline(this.getFirstLayerOutline(layers), this.raftMargin);
+        if (region.length === 0) return gcode;
+
+        let z = 0;
+        raftLayers.forEach((raftLayer, index) => {
+            z += raftLayer.height;
+            gcode.push(`; Layer ${index + 1} (Z=${z.toFixed(3)})`);
+            gcode.push(`;Z:${z.toFixed(3)}`);
+            gcode.push(`;HEIGHT:${raftLayer.height.toFixed(3)}`);
+            gcode.push(`G1 Z${z.toFixed(3)} F5000`);
+            gcode.push(';TYPE:Raft');
+
+            // Outline the base so its sparse lines have something to hold on to
+            if (index < this.raftBaseLayers) {
+                const edge = this.offsetPolygons(region, raftLayer.width / 2);
+                gcode.push(...this.loopsToGCode(edge, raftLayer.width, raftLayer.height));
+            }
+
+            const bbox = this.getLayerBoundingBox(region.flat());
+            const lines = this.generateInfillLines(bbox, 'lines', 100, region, raftLayer.angle, raftLayer.spacing, raftLayer.width / 2);
+            gcode.push(...this.polylinesToGCode(lines, raftLayer.width, raftLayer.height));
+            gcode.push('');
+        });
+
+        return gcode;
+    }
+
+    /**
+     * Orient closed loops for offsetting: outer contours counter-clockwise, holes
+     * clockwise (a loop is a hole when it sits inside an odd number of other loops).
+     * Duplicate points, including the repeated closing point, are dropped.
+     */
+    orientPaths(paths) {
+        const loops = paths.map(path => this.cleanLoop(path)).filter(loop => loop.length >= 3);
+
+        return loops.map((loop, i) => {
+            let depth = 0;
+            for (let j = 0; j < loops.length; j++) {
+                if (j !== i && this.isPointInPolygon(loop[0], loops[j])) depth++;
+            }
+            const isHole = depth % 2 === 1;
+            const isCounterClockwise = this.getSignedArea(loop) > 0;
+            return isHole === isCounterClockwise ? loop.slice().reverse() : loop;
+        });
+    }
+
+    /**
+     * Remove repeated points from a closed loop
+     */
+    cleanLoop(path) {
+        const tolerance = 1e-4;
+        const loop = [];
+        for (const point of path) {
+            const last = loop[loop.length - 1];
+            if (!last || Math.hypot(point.x - last.x, point.y - last.y) > tolerance) {
+                loop.push({ x: point.x, y: point.y });
+            }
+        }
+        while (loop.length > 1 && Math.hypot(loop[0].x - loop[loop.length - 1].x, loop[0].y - loop[loop.length - 1].y) <= tolerance) {
+            loop.pop();
+        }
+        return loop;
+    }
+
+    /**
+     * Signed area of a closed loop (positive = counter-clockwise)
+     */
+    getSignedArea(loop) {
+        let area = 0;
+        for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+            area += (loop[j].x * loop[i].y) - (loop[i].x * loop[j].y);
+        }
+        return area / 2;
+    }
+
+    /**
+     * Offset oriented loops to the left of their direction by distance mm
+     * (inward for counter-clockwise outer contours, outward for clockwise holes).
+     * Raw offset curves are split wherever they cross themselves or each other. Only
+     * pieces that bound solid area and stay the full distance away from the outline
+     * are kept, so narrow regions collapse instead of leaving inverted loops.
+     */
+    offsetPolygons(loops, distance) {
+        const raw = loops.map(loop => this.offsetLoopRaw(this.removeCollinearPoints(loop), distance)).filter(loop => loop.length >= 3);
+        if (raw.length === 0) return [];
+
+        const minArea = 1e-3; // mm², drops slivers left at crossings
+
+        return this.resolveCrossings(raw).filter(loop => {
+            if (loop.length < 3 || Math.abs(this.getSignedArea(loop)) < minArea) return false;
+            if (!this.isSolidBoundary(loop, raw)) return false;
+            return this.getMinDistanceToLoops(loop, loops) > Math.abs(distance) * 0.98;
+        });
+    }
+
+    /**
+     * Drop points that lie (almost) on the line between their neighbours
+     * Slicing leaves such points where triangle diagonals cross the plane, often right
+     * next to a corner; offsetting the short edge they make would fold it backwards.
+     */
+    removeCollinearPoints(loop) {
+        const toleranceSq = 0.005 * 0.005; // mm
+        const result = [];
+        for (const point of loop) {
+            while (result.length >= 2 &&
+                this.getPointSegmentDistanceSq(result[result.length - 1], result[result.length - 2], point) < toleranceSq) {
+                result.pop();
+            }
+            result.push(point);
+        }
+
+        // The same test across the start of the loop
+        let changed = true;
+        while (changed && result.length > 3) {
+            changed = false;
+            const n = result.length;
+            if (this.getPointSegmentDistanceSq(result[n - 1], result[n - 2], result[0]) < toleranceSq) {
+                result.pop();
+                changed = true;
+            } else if (this.getPointSegmentDistanceSq(result[0], result[n - 1], result[1]) < toleranceSq) {
+                result.shift();
+                changed = true;
+            }
+        }
+        return result.length >= 3 ? result : loop;
+    }
+
+    /**
+     * Offset every edge of a loop to its left and join neighbours with a miter,
+     * or a bevel for sharp corners. The result may cross itself.
+     */
+    offsetLoopRaw(loop, distance) {
+        const miterLimit = 2; // Miters longer than 2 × distance are beveled
+        const minMiterScale = 2 / (miterLimit * miterLimit);
+        const result = [];
+
+        for (let i = 0; i < loop.length; i++) {
+            const prev = loop[(i - 1 + loop.length) % loop.length];
+            const curr = loop[i];
+            const next = loop[(i + 1) % loop.length];
+            const n1 = this.getLeftNormal(prev, curr);
+            const n2 = this.getLeftNormal(curr, next);
+
+            // Miter point is (n1 + n2) / (1 + cos) × distance from the corner
+            const scale = 1 + n1.x * n2.x + n1.y * n2.y;
+            if (scale > minMiterScale) {
+                result.push({
+                    x: curr.x + (n1.x + n2.x) * distance / scale,
+                    y: curr.y + (n1.y + n2.y) * distance / scale
+                });
+            } else {
+                result.push({ x: curr.x + n1.x * distance, y: curr.y + n1.y * distance });
+                result.push({ x: curr.x + n2.x * distance, y: curr.y + n2.y * distance });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Unit normal pointing to the left of the direction from a to b
+     */
+    getLeftNormal(a, b) {
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        return { x: -(b.y - a.y) / length, y: (b.x - a.x) / length };
+    }
+
+    /**
+     * Split crossing loops into loops that only touch
+     * Every crossing point is inserted into both edges; swapping the two
+     * successors there reconnects the curves without the crossing.
+     */
+    resolveCrossings(loops) {
+        // Edges sorted by min X for a sweep
+        const edges = [];
+        loops.forEach((loop, loopIdx) => {
+            for (let i = 0; i < loop.length; i++) {
+                const a = loop[i];
+                const b = loop[(i + 1) % loop.length];
+                edges.push({
+                    loop: loopIdx, index: i, a: a, b: b, hits: [],
+                    minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x),
+                    minY: Math.min(a.y, b.y), maxY: Math.max(a.y, b.y)
+                });
+            }
+        });
+        const sorted = edges.slice().sort((e1, e2) => e1.minX - e2.minX);
+
+        let crossingCount = 0;
+        let active = [];
+        for (const edge of sorted) {
+            active = active.filter(other => other.maxX >= edge.minX);
+
+            for (const other of active) {
+                if (other.maxY < edge.minY || other.minY > edge.maxY) continue;
+                if (other.loop === edge.loop) {
+                    // Neighbouring edges share a corner, not a crossing
+                    const count = loops[edge.loop].length;
+                    const gap = Math.abs(other.index - edge.index);
+                    if (gap <= 1 || gap === count - 1) continue;
+                }
+
+                const hit = this.getSegmentIntersection(edge.a, edge.b, other.a, other.b);
+                if (hit) {
+                    const point = { x: hit.x, y: hit.y };
+                    edge.hits.push({ t: hit.t, id: crossingCount, point: point });
+                    other.hits.push({ t: hit.u, id: crossingCount, point: point });
+                    crossingCount++;
+                }
+            }
+
+            active.push(edge);
+        }
+
+        if (crossingCount === 0) return loops;
+
+        // Linked nodes around every loop, crossing points included
+        const nodes = [];
+        const crossingNodes = [];
+        let edgeIdx = 0;
+        for (const loop of loops) {
+            const first = nodes.length;
+            for (let i = 0; i < loop.length; i++) {
+                const edge = edges[edgeIdx++];
+                nodes.push({ x: edge.a.x, y: edge.a.y, next: null });
+                edge.hits.sort((h1, h2) => h1.t - h2.t);
+                for (const hit of edge.hits) {
+                    const node = { x: hit.point.x, y: hit.point.y, next: null };
+                    nodes.push(node);
+                    (crossingNodes[hit.id] = crossingNodes[hit.id] || []).push(node);
+                }
+            }
+            for (let i = first; i < nodes.length; i++) {
+                nodes[i].next = nodes[i + 1 < nodes.length ? i + 1 : first];
+            }
+        }
+
+        for (const [nodeA, nodeB] of crossingNodes) {
+            const next = nodeA.next;
+            nodeA.next = nodeB.next;
+            nodeB.next = next;
+        }
+
+        // Walk the reconnected loops
+        const result = [];
+        const visited = new Set();
+        for (const start of nodes) {
+            if (visited.has(start)) continue;
+            const loop = [];
+            let node = start;
+            while (node && !visited.has(node)) {
+                visited.add(node);
+                loop.push({ x: node.x, y: node.y });
+                node = node.next;
+            }
+            result.push(this.cleanLoop(loop));
+        }
+
+        return result;
+    }
+
+    /**
+     * Crossing or touching point of segments a-b and c-d
+     * Ranges are half-open so a point on a shared vertex is reported once, by the
+     * edges starting there; touches split loops just as harmlessly as crossings.
+     * @returns {Object|null} { x, y, t (along a-b), u (along c-d) }
+     */
+    getSegmentIntersection(a, b, c, d) {
+        const rx = b.x - a.x, ry = b.y - a.y;
+        const sx = d.x - c.x, sy = d.y - c.y;
+        const denom = rx * sy - ry * sx;
+        if (Math.abs(denom) < 1e-12) return null; // Parallel
+
+        const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denom;
+        const u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denom;
+        const eps = 1e-9;
+        if (t < -eps || t >= 1 - eps || u < -eps || u >= 1 - eps) return null;
+
+        return { x: a.x + t * rx, y: a.y + t * ry, t: t, u: u };
+    }
+
+    /**
+     * Does a resolved loop separate solid (left) from empty (right)?
+     * Winding numbers are taken against the raw offset curves.
+     */
+    isSolidBoundary(loop, rawLoops) {
+        // Probe either side of the longest edge
+        let best = 0;
+        let bestLength = 0;
+        for (let i = 0; i < loop.length; i++) {
+            const next = loop[(i + 1) % loop.length];
+            const length = Math.hypot(next.x - loop[i].x, next.y - loop[i].y);
+            if (length > bestLength) {
+                bestLength = length;
+                best = i;
+            }
+        }
+
+        const a = loop[best];
+        const b = loop[(best + 1) % loop.length];
+        const normal = this.getLeftNormal(a, b);
+        const eps = Math.min(1e-3, bestLength / 4);
+        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+        const left = this.getWindingNumber({ x: mid.x + normal.x * eps, y: mid.y + normal.y * eps }, rawLoops);
+        const right = this.getWindingNumber({ x: mid.x - normal.x * eps, y: mid.y - normal.y * eps }, rawLoops);
+        return left > 0 && right <= 0;
+    }
+
+    /**
+     * Winding number of a point against closed loops
+     */
+    getWindingNumber(point, loops) {
+        let winding = 0;
+        for (const loop of loops) {
+            for (let i = 0; i < loop.length; i++) {
+                const a = loop[i];
+                const b = loop[(i + 1) % loop.length];
+                const side = (b.x - a.x) * (point.y - a.y) - (point.x - a.x) * (b.y - a.y);
+                if (a.y <= point.y) {
+                    if (b.y > point.y && side > 0) winding++;
+                } else if (b.y <= point.y && side < 0) {
+                    winding--;
+                }
+            }
+        }
+        return winding;
+    }
+
+    /**
+     * Smallest distance from (a sample of) a loop's points to the edges of other loops
+     */
+    getMinDistanceToLoops(loop, loops) {
+        const maxSamples = 64;
+        const step = Math.max(1, Math.floor(loop.length / maxSamples));
+        let minDistanceSq = Infinity;
+
+        for (let i = 0; i < loop.length; i += step) {
+            const p = loop[i];
+            for (const other of loops) {
+                for (let j = 0; j < other.length; j++) {
+                    const distanceSq = this.getPointSegmentDistanceSq(p, other[j], other[(j + 1) % other.length]);
+                    if (distanceSq < minDistanceSq) minDistanceSq = distanceSq;
+                }
+            }
+        }
+
+        return Math.sqrt(minDistanceSq);
+    }
+
+    /**
+     * Squared distance from a point to segment a-b
+     */
+    getPointSegmentDistanceSq(p, a, b) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+        const ex = p.x - (a.x + t * dx);
+        const ey = p.y - (a.y + t * dy);
+        return ex * ex + ey * ey;
+    }
+
     /**
      * Get bounding box of layer
      */
@@ -778,6 +2010,16 @@ class STLSlicer {
         return { minX, minY, maxX, maxY };
     }
 
+    /**
+     * Rotate a point about the origin by degrees (counter-clockwise)
+     */
+    rotatePoint(point, degrees) {
+        if (degrees === 0) return point;
+        const a = degrees * Math.PI / 180;
+        const cos = Math.cos(a), sin = Math.sin(a);
+        return { x: point.x * cos - point.y * sin, y: point.x * sin + point.y * cos };
+    }
+
     /**
      * Check if a point is inside a polygon using ray casting algorithm
      */
@@ -849,121 +2091,71 @@ class STLSlicer {
     }
 
     /**
-     * Find vertical line-polygon intersections for infill clipping
+     * Generate infill for a layer (clipped to perimeter paths)
+     * Straight lines are drawn here; the other patterns come from InfillGenerator.
+     * @returns {Array} G-code lines, printed in travel order
      */
-    findVerticalLinePolygonIntersections(x, polygon) {
-        const intersections = [];
-
-        for (let i = 0; i < polygon.length; i++) {
-            const p1 = polygon[i];
-            const p2 = polygon[(i + 1) % polygon.length];
-
-            // Check if the edge crosses the vertical line at x
-            // Use < and >= to avoid counting vertices twice (classic scanline problem)
-            // This ensures each vertex is only counted once
-            if ((p1.x < x && p2.x >= x) || (p1.x >= x && p2.x < x)) {
-                if (Math.abs(p2.x - p1.x) > 0.0001) { // Avoid division by zero
-                    const t = (x - p1.x) / (p2.x - p1.x);
-                    const y = p1.y + t * (p2.y - p1.y);
-                    intersections.push(y);
-                }
-            }
+    generateLayerInfill(bbox, pattern, density, paths = null, angle = 0) {
+        if (paths && InfillGenerator.isPattern(pattern)) {
+            return this.polylinesToGCode(this.infill.generate(pattern, density, paths, angle));
         }
+        return this.polylinesToGCode(this.generateInfillLines(bbox, pattern, density, paths, angle));
+    }
 
-        return intersections;
+    /**
+     * Distance between infill lines at a density
+     */
+    getInfillSpacing(density) {
+        // For 100% density (solid layers), lines sit side by side with no gaps
+        // For sparse infill, use density-based spacing with gaps
+        // NOTE: Nozzle sizes typically 0.2-1.0mm (default 0.4mm)
+        if (density >= 100) {
+            // Solid layers: neighbouring lines just touch, matching the flow calculateExtrusion() gives them
+            return this.getLineSpacing();
+        }
+        // Sparse infill: significant gaps between lines
+        const minSpacing = 2.0; // Minimum spacing for sparse infill (still has gaps)
+        const maxSpacing = 20;
+        return minSpacing + ((100 - density) / 100) * (maxSpacing - minSpacing);
     }
 
     /**
-     * Generate infill for a layer (clipped to perimeter paths)
+     * Infill lines for a layer (clipped to perimeter paths), alternating direction
+     * Lines at other angles are drawn horizontally against the paths rotated by
+     * -angle, then rotated back.
      * @param {Object} bbox - Bounding box
      * @param {String} pattern - Infill pattern
      * @param {Number} density - Infill density percentage
      * @param {Array} paths - Perimeter paths
-     * @param {Number} angle - Infill angle in degrees (0 = horizontal, 90 = vertical)
+     * @param {Number} angle - Infill angle in degrees (0 = horizontal, 90 = vertical, any angle between)
+     * @param {Number} spacing - Distance between lines (defaults to the spacing for the density)
+     * @param {Number} endInset - Keep line ends this far inside the paths
+     * @returns {Array} Two-point polylines
      */
-    generateLayerInfill(bbox, pattern, density, paths = null, angle = 0) {
+    generateInfillLines(bbox, pattern, density, paths = null, angle = 0, spacing = this.getInfillSpacing(density), endInset = 0) {
         if (!bbox || density === 0) return [];
 
-        const gcode = [];
-
-        // For 100% density (solid layers), use tight spacing with overlap
-        // For sparse infill, use density-based spacing with gaps
-        // NOTE: Nozzle sizes typically 0.2-1.0mm (default 0.4mm)
-        let spacing;
-        if (density >= 100) {
-            // Solid layers: lines overlap significantly for complete coverage
-            // Calculate based on actual nozzle diameter (87.5% for good overlap)
-            // This ensures no gaps regardless of nozzle size
-            spacing = this.nozzleDiameter * 0.875;
-        } else {
-            // Sparse infill: significant gaps between lines
-            const minSpacing = 2.0; // Minimum spacing for sparse infill (still has gaps)
-            const maxSpacing = 20;
-            spacing = minSpacing + ((100 - density) / 100) * (maxSpacing - minSpacing);
+        if (angle % 180 !== 0 && paths) {
+            const rotatedPaths = paths.map(path => path.map(point => this.rotatePoint(point, -angle)));
+            const rotatedBox = this.getLayerBoundingBox(rotatedPaths.flat());
+            return this.generateInfillLines(rotatedBox, pattern, density, rotatedPaths, 0, spacing, endInset)
+                .map(line => line.map(point => this.rotatePoint(point, angle)));
         }
 
+        const lines = [];
+
         // Inset the bounding box slightly (smaller inset for better coverage)
         const inset = 0.2;
 
-        // Generate lines based on angle
-        if (angle === 90) {
-            // Vertical lines (90 degrees)
-            const minX = bbox.minX + inset;
-            const maxX = bbox.maxX - inset;
-            const fillWidth = maxX - minX;
-            const numLines = Math.ceil(fillWidth / spacing); // Use ceil to include last line
-
-            for (let i = 0; i <= numLines; i++) {
-                const x = minX + (i * spacing);
-                if (x > maxX + 0.01) break; // Small tolerance for floating point
-
-                // Find all intersection points with all perimeter paths for this vertical line
-                const allIntersections = [];
-
-                if (paths) {
-                    for (const path of paths) {
-                        const intersections = this.findVerticalLinePolygonIntersections(x, path);
-                        allIntersections.push(...intersections);
-                    }
-                }
+        // Horizontal lines (0 degrees)
+        const minY = bbox.minY + inset;
+        const maxY = bbox.maxY - inset;
+        const fillHeight = maxY - minY;
+        const numLines = Math.ceil(fillHeight / spacing); // Use ceil to include last line
 
-                // Sort intersections from bottom to top
-                allIntersections.sort((a, b) => a - b);
-
-                // Pair intersections to create fill segments
-                // Check each segment to ensure it's actually in solid geometry (not in holes)
-                for (let j = 0; j < allIntersections.length; j += 2) {
-                    if (j + 1 < allIntersections.length) {
-                        const startY = allIntersections[j];
-                        const endY = allIntersections[j + 1];
-
-                        // Check midpoint of segment to ensure it's in solid geometry
-                        const midY = (startY + endY) / 2;
-                        const midpoint = { x: x, y: midY };
-
-                        // Only generate line if segment is long enough AND midpoint is in solid geometry
-                        if (Math.abs(endY - startY) > 0.1 && this.isPointInSolidGeometry(midpoint, paths)) {
-                            if (i % 2 === 0) {
-                                gcode.push(`G0 X${x.toFixed(3)} Y${startY.toFixed(3)}`);
-                                gcode.push(`G1 X${x.toFixed(3)} Y${endY.toFixed(3)} E0 F1500`);
-                            } else {
-                                gcode.push(`G0 X${x.toFixed(3)} Y${endY.toFixed(3)}`);
-                                gcode.push(`G1 X${x.toFixed(3)} Y${startY.toFixed(3)} E0 F1500`);
-                            }
-                        }
-                    }
-                }
-            }
-        } else {
-            // Horizontal lines (0 degrees)
-            const minY = bbox.minY + inset;
-            const maxY = bbox.maxY - inset;
-            const fillHeight = maxY - minY;
-            const numLines = Math.ceil(fillHeight / spacing); // Use ceil to include last line
-
-            for (let i = 0; i <= numLines; i++) {
-                const y = minY + (i * spacing);
-                if (y > maxY + 0.01) break; // Small tolerance for floating point
+        for (let i = 0; i <= numLines; i++) {
+            const y = minY + (i * spacing);
+            if (y > maxY + 0.01) break; // Small tolerance for floating point
 
             // Find all intersection points with all perimeter paths
             const allIntersections = [];
@@ -982,28 +2174,25 @@ class STLSlicer {
             // Check each segment to ensure it's actually in solid geometry (not in holes)
             for (let j = 0; j < allIntersections.length; j += 2) {
                 if (j + 1 < allIntersections.length) {
-                    const startX = allIntersections[j];
-                    const endX = allIntersections[j + 1];
+                    const startX = allIntersections[j] + endInset;
+                    const endX = allIntersections[j + 1] - endInset;
 
                     // Check midpoint of segment to ensure it's in solid geometry
                     const midX = (startX + endX) / 2;
                     const midpoint = { x: midX, y: y };
 
                     // Only generate line if segment is long enough AND midpoint is in solid geometry
-                    if (Math.abs(endX - startX) > 0.1 && this.isPointInSolidGeometry(midpoint, paths)) {
+                    if (endX - startX > 0.1 && this.isPointInSolidGeometry(midpoint, paths)) {
                         if (i % 2 === 0) {
-                            gcode.push(`G0 X${startX.toFixed(3)} Y${y.toFixed(3)}`);
-                            gcode.push(`G1 X${endX.toFixed(3)} Y${y.toFixed(3)} E0 F1500`);
+                            lines.push([{ x: startX, y: y }, { x: endX, y: y }]);
                         } else {
-                            gcode.push(`G0 X${endX.toFixed(3)} Y${y.toFixed(3)}`);
-                            gcode.push(`G1 X${startX.toFixed(3)} Y${y.toFixed(3)} E0 F1500`);
+                            lines.push([{ x: endX, y: y }, { x: startX, y: y }]);
                         }
                     }
                 }
             }
-            }
         }
 
-        return gcode;
+        return lines;
     }
 }
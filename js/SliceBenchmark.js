@@ -0,0 +1,163 @@
+/**
+ * Slicing Benchmark
+ * Times STLSlicer's indexed slicing against the original approach (every triangle
+ * tested at every layer, segments chained by splicing a list) on large generated meshes.
+ * Open benchmark.html, or run `new SliceBenchmark().run()` from the console.
+ */
+class SliceBenchmark {
+    constructor() {
+        this.layerHeight = 0.1;
+        this.sizes = [50000, 200000, 500000]; // Triangle counts per sample mesh
+        this.legacySampleLayers = 20; // Layers the legacy slicer runs on per mesh
+    }
+
+    /**
+     * Benchmark every sample mesh at every size
+     * @param {Function} onResult - Called with each result as it finishes
+     * @returns {Array} [{ mesh, triangles, layers, legacyMs, indexedMs, speedup, loopsMatch }]
+     */
+    run(onResult = null) {
+        const results = [];
+
+        for (const size of this.sizes) {
+            for (const [name, build] of Object.entries(SliceBenchmark.MESHES)) {
+                const result = this.benchmarkMesh(name, build(size));
+                results.push(result);
+                console.log(`${name} ${result.triangles} triangles, ${result.layers} layers: ` +
+                    `${result.legacyMs.toFixed(0)}ms → ${result.indexedMs.toFixed(0)}ms (${result.speedup.toFixed(1)}×)`);
+                if (onResult) onResult(result);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Slice one mesh into perimeter loops both ways and compare
+     * The legacy time is measured on at most legacySampleLayers evenly spaced layers and
+     * scaled to the full layer count, as a full run takes minutes on large meshes.
+     */
+    benchmarkMesh(name, mesh) {
+        const slicer = new STLSlicer();
+        slicer.mesh = mesh;
+        slicer.layerHeight = this.layerHeight;
+        const tops = slicer.getLayerTops();
+
+        const step = Math.max(1, Math.ceil(tops.length / this.legacySampleLayers));
+        const sampled = tops.map((z, i) => i).filter(i => i % step === 0);
+        let start = performance.now();
+        const legacy = sampled.map(i => this.legacyChain(slicer.sliceAtZ(tops[i])));
+        const legacyMs = (performance.now() - start) * tops.length / sampled.length;
+
+        start = performance.now();
+        const indexed = new Map(slicer.sliceMesh(tops).map(layer =>
+            [layer.layerNum, slicer.segmentsToPerimeter(layer.segments)]));
+        const indexedMs = performance.now() - start;
+
+        const countPoints = paths => paths.reduce((n, path) => n + path.length, 0);
+
+        return {
+            mesh: name,
+            triangles: mesh.length,
+            layers: tops.length,
+            legacyMs,
+            indexedMs,
+            speedup: legacyMs / Math.max(indexedMs, 1e-3),
+            loopsMatch: sampled.every((layerNum, i) =>
+                countPoints(legacy[i]) === countPoints(indexed.get(layerNum) || []))
+        };
+    }
+
+    /**
+     * Original segment chaining: scan the remaining list for each connection and splice it out
+     */
+    legacyChain(segments) {
+        const paths = [];
+        const unusedSegments = [...segments];
+        const tolerance = 0.01;
+
+        while (unusedSegments.length > 0) {
+            const firstSeg = unusedSegments.shift();
+            const currentPath = [{ ...firstSeg.start }, { ...firstSeg.end }];
+            let lastPoint = firstSeg.end;
+            let foundConnection = true;
+
+            while (foundConnection && unusedSegments.length > 0) {
+                foundConnection = false;
+
+                for (let i = 0; i < unusedSegments.length; i++) {
+                    const seg = unusedSegments[i];
+                    if (Math.hypot(lastPoint.x - seg.start.x, lastPoint.y - seg.start.y) < tolerance) {
+                        lastPoint = seg.end;
+                    } else if (Math.hypot(lastPoint.x - seg.end.x, lastPoint.y - seg.end.y) < tolerance) {
+                        lastPoint = seg.start;
+                    } else {
+                        continue;
+                    }
+                    currentPath.push({ x: lastPoint.x, y: lastPoint.y });
+                    unusedSegments.splice(i, 1);
+                    foundConnection = true;
+                    break;
+                }
+            }
+
+            if (currentPath.length >= 3) paths.push(currentPath);
+        }
+
+        return paths;
+    }
+
+    /**
+     * UV sphere with about the given number of triangles
+     */
+    static sphere(triangles, radius = 20) {
+        const slices = Math.max(8, Math.round(Math.sqrt(triangles)));
+        const stacks = Math.max(4, Math.round(triangles / (2 * slices)));
+        const point = (i, j) => {
+            const theta = Math.PI * j / stacks;
+            const phi = 2 * Math.PI * i / slices;
+            return {
+                x: radius * Math.sin(theta) * Math.cos(phi),
+                y: radius * Math.sin(theta) * Math.sin(phi),
+                z: radius * (1 - Math.cos(theta))
+            };
+        };
+        return SliceBenchmark.grid(slices, stacks, point);
+    }
+
+    /**
+     * Torus lying on the bed with about the given number of triangles
+     */
+    static torus(triangles, major = 20, minor = 8) {
+        const around = Math.max(8, Math.round(Math.sqrt(triangles * 2)));
+        const tube = Math.max(4, Math.round(triangles / (2 * around)));
+        const point = (i, j) => {
+            const u = 2 * Math.PI * i / around;
+            const v = 2 * Math.PI * j / tube;
+            const r = major + minor * Math.cos(v);
+            return { x: r * Math.cos(u), y: r * Math.sin(u), z: minor + minor * Math.sin(v) };
+        };
+        return SliceBenchmark.grid(around, tube, point);
+    }
+
+    /**
+     * Triangulate a parametric surface wrapped around in its first parameter
+     */
+    static grid(columns, rows, point) {
+        const mesh = [];
+        for (let i = 0; i < columns; i++) {
+            for (let j = 0; j < rows; j++) {
+                const a = point(i, j), b = point(i + 1, j);
+                const c = point(i + 1, j + 1), d = point(i, j + 1);
+                mesh.push({ v1: a, v2: b, v3: c }, { v1: a, v2: c, v3: d });
+            }
+        }
+        return mesh;
+    }
+}
+
+// Sample meshes by name, each built from a target triangle count
+SliceBenchmark.MESHES = {
+    sphere: triangles => SliceBenchmark.sphere(triangles),
+    torus: triangles => SliceBenchmark.torus(triangles)
+};
@@ -0,0 +1,77 @@
+/**
+ * Slicing Checks
+ * Slices simple generated models and reports where the output breaks expectations the
+ * printed part depends on. Run `new SliceChecks().run()` from the console after slicer changes.
+ */
+class SliceChecks {
+    constructor() {
+        this.walls = [1, 2, 3]; // Wall counts to try
+        this.boxOrigins = [[0, 0], [80, 80], [100.3, 57.1]]; // Box corners on the bed, some off the grid
+        this.boxSize = 20;
+    }
+
+    /**
+     * Run every check
+     * @returns {Array} [{ check, passed, detail }]
+     */
+    run() {
+        const results = [];
+        for (const walls of this.walls) {
+            for (const [x, y] of this.boxOrigins) {
+                const result = this.checkBoxFirstLayer(x, y, walls);
+                results.push(result);
+                console.log(`${result.passed ? 'PASS' : 'FAIL'} ${result.check}: ${result.detail}`);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * An axis-aligned box keeps all its walls and its bottom skin from the first layer on
+     * Sliced box outlines carry extra points where the side triangles' diagonals cross the
+     * layer, right next to the corners on low layers; they must not cost the box its inner walls.
+     */
+    checkBoxFirstLayer(x, y, walls) {
+        const slicer = new STLSlicer();
+        slicer.mesh = SliceChecks.box(x, y, this.boxSize);
+        slicer.wallThickness = walls * slicer.getExtrusionWidth();
+
+        const layers = slicer.sliceMesh();
+        const first = slicer.generatePerimeters(slicer.segmentsToPerimeter(layers[0].segments));
+        const loops = first.perimeters.map(level => level.length);
+
+        const gcode = slicer.generateGCodeWithSequences(layers, 'grid', 20, slicer.analyzeLayerSequences(layers));
+        const extrusions = new GCodeParser().parse(gcode).filter(command => command.type === 'move' && command.extruding);
+        const firstZ = Math.min(...extrusions.map(command => command.to.z));
+        const features = new Set(extrusions
+            .filter(command => Math.abs(command.to.z - firstZ) < 1e-6)
+            .map(command => command.feature));
+
+        const passed = loops.length === walls && loops.every(count => count === 1) &&
+            first.infillBoundary.length === 1 && features.has('bottom-surface');
+        return {
+            check: `${walls}-wall box at ${x},${y}`,
+            passed,
+            detail: `wall loops ${loops.join('/')}, infill boundary ${first.infillBoundary.length}, ` +
+                `first layer ${[...features].join(', ')}`
+        };
+    }
+
+    /**
+     * Closed cube standing on the bed at the given corner
+     */
+    static box(x, y, size) {
+        const corners = [];
+        for (const z of [0, size]) {
+            corners.push({ x, y, z }, { x: x + size, y, z }, { x: x + size, y: y + size, z }, { x, y: y + size, z });
+        }
+        return SliceChecks.BOX_FACES.map(([a, b, c]) => ({ v1: corners[a], v2: corners[b], v3: corners[c] }));
+    }
+}
+
+// Cube triangles as corner indices, wound outward (bottom corners 0-3, top 4-7)
+SliceChecks.BOX_FACES = [
+    [0, 2, 1], [0, 3, 2], [4, 5, 6], [4, 6, 7],
+    [0, 1, 5], [0, 5, 4], [1, 2, 6], [1, 6, 5],
+    [2, 3, 7], [2, 7, 6], [3, 0, 4], [3, 4, 7]
+];
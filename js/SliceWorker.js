@@ -0,0 +1,37 @@
+/**
+ * Slicing Web Worker
+ * Runs the STLSlicer pipeline off the UI thread. The page posts each model's
+ * triangles as a transferred Float64Array (see STLSlicer.packTriangles) along with
+ * the slicer settings, and gets back progress messages and then the G-code.
+ */
+importScripts('GCodeGenerator.js', 'SupportGenerator.js', 'TravelOptimizer.js', 'InfillGenerator.js', 'STLSlicer.js');
+
+self.onmessage = (event) => {
+    const { models, settings, infillPattern, infillDensity } = event.data;
+
+    try {
+        const slicer = new STLSlicer();
+        slicer.applySettings(settings);
+
+        slicer.onProgress = (stage, done, total) => {
+            self.postMessage({ type: 'progress', stage, done, total });
+        };
+
+        const result = slicer.sliceModels(
+            models.map(model => ({ name: model.name, mesh: STLSlicer.unpackTriangles(model.triangles) })),
+            infillPattern,
+            infillDensity
+        );
+
+        self.postMessage({
+            type: 'done',
+            gcode: result.gcode,
+            layerCount: result.layers.length,
+            travelDistance: slicer.travel.travelDistance,
+            unoptimizedDistance: slicer.travel.unoptimizedDistance
+        });
+    } catch (error) {
+        console.error('Slicing error:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,549 @@
+/**
+ * Support Generator for 3D Printer Simulator
+ * Finds overhanging triangles and builds support under them, either as a grid
+ * of straight columns or as tree branches that merge on the way down. Supports
+ * rest on the bed or on the model, keep a Z gap and XY distance from the model
+ * and end in dense interface layers right under the overhang.
+ */
+class SupportGenerator {
+    /**
+     * @param {STLSlicer} slicer - Slicer holding the mesh, layer height and line width
+     * @param {Object} settings - Overrides for SupportGenerator.DEFAULT_SETTINGS
+     */
+    constructor(slicer, settings = {}) {
+        this.slicer = slicer;
+        Object.assign(this, SupportGenerator.DEFAULT_SETTINGS, settings);
+        this.outlines = []; // Oriented model outlines per layer (cached)
+        this.keepOuts = []; // Model outlines grown by the XY distance per layer (cached)
+    }
+
+    /**
+     * Generate support for every layer
+     * @param {Array} layers - Layers from STLSlicer.sliceMesh()
+     * @returns {Array} Per layer: null or { body: [polylines], interface: [polylines] }
+     */
+    generate(layers) {
+        const result = layers.map(() => null);
+        if (this.style === 'none' || layers.length === 0) return result;
+
+        this.outlines = [];
+        this.keepOuts = [];
+
+        const columns = this.findSupportColumns();
+        console.log(`Support: ${columns.length} overhang columns (${this.style}, ${this.overhangAngle}° threshold)`);
+        if (columns.length === 0) return result;
+
+        for (let i = 0; i < layers.length; i++) {
+            const interfaceLines = this.generateInterface(columns, layers, i);
+            const body = this.style === 'grid' ? this.generateGridLayer(columns, layers, i) : [];
+            if (interfaceLines.length > 0 || body.length > 0) {
+                result[i] = { body: body, interface: interfaceLines };
+            }
+        }
+
+        if (this.style === 'tree') {
+            this.generateTrees(columns, layers, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Cast a vertical ray through the center of every grid cell that has an
+     * overhang above it. Each overhang hit becomes a column reaching down to
+     * the model surface below it, or to the bed.
+     * @returns {Array} Columns: { i, j, x, y, top, bottom, onModel }
+     */
+    findSupportColumns() {
+        const mesh = this.slicer.mesh;
+        const bbox = this.slicer.getBoundingBox();
+        const cellSize = this.spacing;
+        const minSin = Math.sin(this.overhangAngle * Math.PI / 180);
+        const bedZ = bbox.min.z;
+
+        const cols = Math.max(1, Math.ceil(bbox.size.x / cellSize));
+        const rows = Math.max(1, Math.ceil(bbox.size.y / cellSize));
+        const buckets = new Array(cols * rows);
+        const hasOverhang = new Uint8Array(cols * rows);
+
+        // Bucket triangles by the cell centers their XY footprint covers
+        for (const tri of mesh) {
+            const normal = this.getTriangleNormal(tri);
+            if (!normal) continue;
+
+            const minZ = Math.min(tri.v1.z, tri.v2.z, tri.v3.z);
+            // Overhang: facing down more steeply than the threshold, and not sitting on the bed
+            const overhang = -normal.z > minSin && minZ > bedZ + this.slicer.layerHeight / 2;
+            const record = { tri: tri, normal: normal, overhang: overhang };
+
+            const minX = Math.min(tri.v1.x, tri.v2.x, tri.v3.x);
+            const maxX = Math.max(tri.v1.x, tri.v2.x, tri.v3.x);
+            const minY = Math.min(tri.v1.y, tri.v2.y, tri.v3.y);
+            const maxY = Math.max(tri.v1.y, tri.v2.y, tri.v3.y);
+            const i0 = Math.max(0, Math.ceil((minX - bbox.min.x) / cellSize - 0.5));
+            const i1 = Math.min(cols - 1, Math.floor((maxX - bbox.min.x) / cellSize - 0.5));
+            const j0 = Math.max(0, Math.ceil((minY - bbox.min.y) / cellSize - 0.5));
+            const j1 = Math.min(rows - 1, Math.floor((maxY - bbox.min.y) / cellSize - 0.5));
+
+            for (let j = j0; j <= j1; j++) {
+                for (let i = i0; i <= i1; i++) {
+                    const cell = j * cols + i;
+                    (buckets[cell] = buckets[cell] || []).push(record);
+                    if (overhang) hasOverhang[cell] = 1;
+                }
+            }
+        }
+
+        const columns = [];
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const cell = j * cols + i;
+                if (!hasOverhang[cell]) continue;
+
+                const point = {
+                    x: bbox.min.x + (i + 0.5) * cellSize,
+                    y: bbox.min.y + (j + 0.5) * cellSize
+                };
+
+                // Every surface the vertical ray passes through, bottom to top
+                const hits = [];
+                for (const record of buckets[cell]) {
+                    const z = this.getTriangleZAt(record.tri, point);
+                    if (z === null) continue;
+                    const last = hits.find(hit => Math.abs(hit.z - z) < 1e-4);
+                    if (last) {
+                        // Ray through a shared edge hits both triangles
+                        last.overhang = last.overhang || record.overhang;
+                    } else {
+                        hits.push({ z: z, overhang: record.overhang, down: record.normal.z < 0 });
+                    }
+                }
+                hits.sort((a, b) => a.z - b.z);
+
+                // Walk up the ray counting how deep inside the model it is, so
+                // faces inside overlapping parts are neither overhangs nor rests
+                let depth = 0;
+                let rest = null; // Top of the model surface below, null = bed
+                for (const hit of hits) {
+                    if (!hit.down) {
+                        depth = Math.max(0, depth - 1);
+                        if (depth === 0) rest = hit.z;
+                        continue;
+                    }
+                    depth++;
+                    if (depth > 1 || !hit.overhang) continue;
+
+                    const top = hit.z - this.zGap;
+                    const bottom = rest === null ? bedZ : rest + this.zGap;
+                    if (top - bottom < this.slicer.layerHeight) continue;
+
+                    columns.push({ i: i, j: j, x: point.x, y: point.y, top: top, bottom: bottom, onModel: rest !== null });
+                }
+            }
+        }
+
+        this.grid = { originX: bbox.min.x, originY: bbox.min.y, cellSize: cellSize };
+        return columns;
+    }
+
+    /**
+     * Unit normal of a triangle (null for degenerate triangles)
+     */
+    getTriangleNormal(tri) {
+        const e1 = { x: tri.v2.x - tri.v1.x, y: tri.v2.y - tri.v1.y, z: tri.v2.z - tri.v1.z };
+        const e2 = { x: tri.v3.x - tri.v1.x, y: tri.v3.y - tri.v1.y, z: tri.v3.z - tri.v1.z };
+        const normal = {
+            x: e1.y * e2.z - e1.z * e2.y,
+            y: e1.z * e2.x - e1.x * e2.z,
+            z: e1.x * e2.y - e1.y * e2.x
+        };
+        const length = Math.sqrt(normal.x * normal.x + normal.y * normal.y + normal.z * normal.z);
+        if (length === 0) return null;
+        return { x: normal.x / length, y: normal.y / length, z: normal.z / length };
+    }
+
+    /**
+     * Z of a triangle directly above/below an XY point (null when the point is outside it)
+     */
+    getTriangleZAt(tri, p) {
+        const { v1, v2, v3 } = tri;
+        const det = (v2.y - v3.y) * (v1.x - v3.x) + (v3.x - v2.x) * (v1.y - v3.y);
+        if (Math.abs(det) < 1e-12) return null; // Vertical triangle
+
+        const a = ((v2.y - v3.y) * (p.x - v3.x) + (v3.x - v2.x) * (p.y - v3.y)) / det;
+        const b = ((v3.y - v1.y) * (p.x - v3.x) + (v1.x - v3.x) * (p.y - v3.y)) / det;
+        const c = 1 - a - b;
+        const eps = -1e-9;
+        if (a < eps || b < eps || c < eps) return null;
+
+        return a * v1.z + b * v2.z + c * v3.z;
+    }
+
+    /**
+     * State of a column at a layer: null (not printed), 'body' or 'interface'
+     * @param {Number} layerHeight - Height of the layer (layers can vary in height)
+     */
+    getColumnState(column, layerZ, layerHeight = this.slicer.layerHeight) {
+        if (layerZ > column.top + 1e-6 || layerZ - layerHeight < column.bottom - 1e-6) return null;
+        return layerZ > column.top - this.interfaceLayers * layerHeight + 1e-6 ? 'interface' : 'body';
+    }
+
+    /**
+     * Dense lines under the overhang for the top interface layers of every column
+     */
+    generateInterface(columns, layers, layerIdx) {
+        const cells = this.getActiveCells(columns, layers[layerIdx], 'interface');
+        if (cells.size === 0) return [];
+
+        const lineWidth = this.slicer.getExtrusionWidth();
+        const linesPerCell = Math.max(1, Math.round(this.grid.cellSize / Math.max(this.interfaceSpacing, lineWidth)));
+        const lines = [];
+
+        // Alternate direction every layer so interface lines cross the ones below
+        const alongX = layerIdx % 2 === 0;
+        for (const run of this.getCellRuns(cells, alongX)) {
+            for (let k = 0; k < linesPerCell; k++) {
+                const offset = (k + 0.5) / linesPerCell;
+                lines.push(this.runToLine(run, alongX, offset));
+            }
+        }
+
+        return this.clipPolylines(lines, this.getKeepOut(layers, layerIdx));
+    }
+
+    /**
+     * Grid support body: one line along X and one along Y through every cell
+     */
+    generateGridLayer(columns, layers, layerIdx) {
+        const cells = this.getActiveCells(columns, layers[layerIdx], 'body');
+        if (cells.size === 0) return [];
+
+        const lines = [];
+        for (const alongX of [true, false]) {
+            for (const run of this.getCellRuns(cells, alongX)) {
+                lines.push(this.runToLine(run, alongX, 0.5));
+            }
+        }
+
+        return this.clipPolylines(lines, this.getKeepOut(layers, layerIdx));
+    }
+
+    /**
+     * Cells ("i,j") whose column is in the given state at a layer
+     */
+    getActiveCells(columns, layer, state) {
+        const cells = new Map();
+        for (const column of columns) {
+            if (this.getColumnState(column, layer.z, layer.height) === state) {
+                cells.set(`${column.i},${column.j}`, { i: column.i, j: column.j });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Group cells into runs of neighbours along a row (X) or column (Y)
+     * @returns {Array} Runs: { row, start, end } in cell indices
+     */
+    getCellRuns(cells, alongX) {
+        const rows = new Map();
+        for (const cell of cells.values()) {
+            const row = alongX ? cell.j : cell.i;
+            const pos = alongX ? cell.i : cell.j;
+            if (!rows.has(row)) rows.set(row, []);
+            rows.get(row).push(pos);
+        }
+
+        const runs = [];
+        for (const [row, positions] of rows) {
+            positions.sort((a, b) => a - b);
+            let start = positions[0];
+            for (let k = 1; k <= positions.length; k++) {
+                if (k === positions.length || positions[k] !== positions[k - 1] + 1) {
+                    runs.push({ row: row, start: start, end: positions[k - 1] });
+                    start = positions[k];
+                }
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Line across a run of cells, offset (0-1) across the row
+     */
+    runToLine(run, alongX, offset) {
+        const { originX, originY, cellSize } = this.grid;
+        if (alongX) {
+            const y = originY + (run.row + offset) * cellSize;
+            return [{ x: originX + run.start * cellSize, y: y }, { x: originX + (run.end + 1) * cellSize, y: y }];
+        }
+        const x = originX + (run.row + offset) * cellSize;
+        return [{ x: x, y: originY + run.start * cellSize }, { x: x, y: originY + (run.end + 1) * cellSize }];
+    }
+
+    /**
+     * Columns to start tree branches from: sparser than the grid, so branches have
+     * room to merge, but every column's interface has a tip in or next to its cell
+     * at about the same height, so none is left floating
+     */
+    pickTreeTips(columns) {
+        const tipsByCell = new Map();
+        const tips = [];
+        const reach = this.interfaceLayers * this.slicer.layerHeight;
+        const ordered = [...columns].sort((a, b) => a.j - b.j || a.i - b.i);
+
+        for (const column of ordered) {
+            let covered = false;
+            for (let dj = -1; dj <= 1 && !covered; dj++) {
+                for (let di = -1; di <= 1 && !covered; di++) {
+                    const nearby = tipsByCell.get(`${column.i + di},${column.j + dj}`) || [];
+                    covered = nearby.some(tip => Math.abs(tip.top - column.top) <= reach);
+                }
+            }
+            if (covered) continue;
+
+            tips.push(column);
+            const key = `${column.i},${column.j}`;
+            if (!tipsByCell.has(key)) tipsByCell.set(key, []);
+            tipsByCell.get(key).push(column);
+        }
+
+        return tips;
+    }
+
+    /**
+     * Tree support: branches start under the interface of spaced-out columns, lean
+     * toward their neighbours as they go down and merge into thicker trunks.
+     * They stop at the bed or just above the model, and are pushed out of the
+     * XY distance around the model.
+     */
+    generateTrees(columns, layers, result) {
+        const lineWidth = this.slicer.getExtrusionWidth();
+        const slope = Math.tan(this.branchAngle * Math.PI / 180);
+        const mergeRange = this.spacing * 4;
+
+        const tips = this.pickTreeTips(columns);
+        const started = new Set();
+        let nodes = [];
+
+        for (let i = layers.length - 1; i >= 0; i--) {
+            const z = layers[i].z;
+            const layerHeight = layers[i].height || this.slicer.layerHeight;
+            const maxMove = layerHeight * slope;
+
+            // New tips right under each column's interface
+            tips.forEach((column, idx) => {
+                if (started.has(idx) || this.getColumnState(column, z, layerHeight) !== 'body') return;
+                started.add(idx);
+                nodes.push({ x: column.x, y: column.y, weight: 1, top: z });
+            });
+            if (nodes.length === 0) continue;
+
+            const keepOut = this.getKeepOut(layers, i);
+
+            // Lean toward the nearest branch and merge when close
+            for (const node of nodes) {
+                if (node.merged) continue;
+                let nearest = null;
+                let nearestDistance = mergeRange;
+                for (const other of nodes) {
+                    if (other === node || other.merged) continue;
+                    const distance = Math.hypot(other.x - node.x, other.y - node.y);
+                    if (distance < nearestDistance) {
+                        nearest = other;
+                        nearestDistance = distance;
+                    }
+                }
+                if (!nearest) continue;
+
+                if (nearestDistance <= maxMove * 2) {
+                    // Merge: the heavier branch keeps going
+                    const weight = node.weight + nearest.weight;
+                    nearest.x = (nearest.x * nearest.weight + node.x * node.weight) / weight;
+                    nearest.y = (nearest.y * nearest.weight + node.y * node.weight) / weight;
+                    nearest.weight = weight;
+                    nearest.top = Math.max(nearest.top, node.top);
+                    node.merged = true;
+                    continue;
+                }
+
+                const step = Math.min(maxMove, nearestDistance / 2) / nearestDistance;
+                const target = {
+                    x: node.x + (nearest.x - node.x) * step,
+                    y: node.y + (nearest.y - node.y) * step
+                };
+                if (this.slicer.getWindingNumber(target, keepOut) <= 0) {
+                    node.x = target.x;
+                    node.y = target.y;
+                }
+            }
+            nodes = nodes.filter(node => !node.merged);
+
+            // Branches reaching the model (Z gap below) stop; ones too close to a wall step out
+            let gapIndex = i - 1;
+            while (gapIndex >= 0 && z - layers[gapIndex].z < this.zGap - 1e-6) gapIndex--;
+            const below = gapIndex >= 0 ? this.getOutline(layers, gapIndex) : [];
+            nodes = nodes.filter(node => this.slicer.getWindingNumber(node, below) <= 0);
+            for (const node of nodes) {
+                if (this.slicer.getWindingNumber(node, keepOut) > 0) {
+                    this.pushOutside(node, keepOut);
+                }
+            }
+
+            // Draw each branch as rings
+            const rings = [];
+            for (const node of nodes) {
+                const radius = Math.min(this.maxBranchRadius,
+                    this.tipRadius * Math.sqrt(node.weight) + (node.top - z) * this.branchGrowth);
+                for (let r = radius - lineWidth / 2; r > 0; r -= lineWidth * 2) {
+                    rings.push(this.createRing(node, Math.max(r, lineWidth / 2)));
+                }
+            }
+
+            if (rings.length > 0) {
+                const body = this.clipPolylines(rings, keepOut);
+                if (body.length > 0) {
+                    result[i] = result[i] || { body: [], interface: [] };
+                    result[i].body.push(...body);
+                }
+            }
+        }
+    }
+
+    /**
+     * Closed polygon approximating a circle around a point
+     */
+    createRing(center, radius) {
+        const segments = Math.max(8, Math.ceil(2 * Math.PI * radius / 1.0));
+        const ring = [];
+        for (let k = 0; k <= segments; k++) {
+            const angle = (k / segments) * Math.PI * 2;
+            ring.push({ x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius });
+        }
+        return ring;
+    }
+
+    /**
+     * Move a point just outside the nearest keep-out edge
+     */
+    pushOutside(point, keepOut) {
+        let best = null;
+        let bestDistanceSq = Infinity;
+        for (const loop of keepOut) {
+            for (let k = 0; k < loop.length; k++) {
+                const a = loop[k];
+                const b = loop[(k + 1) % loop.length];
+                const distanceSq = this.slicer.getPointSegmentDistanceSq(point, a, b);
+                if (distanceSq < bestDistanceSq) {
+                    bestDistanceSq = distanceSq;
+                    best = { a: a, b: b };
+                }
+            }
+        }
+        if (!best) return;
+
+        // Nearest point on that edge, then a little further along its outward (right-hand) normal
+        const dx = best.b.x - best.a.x, dy = best.b.y - best.a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((point.x - best.a.x) * dx + (point.y - best.a.y) * dy) / lengthSq)) : 0;
+        const normal = this.slicer.getLeftNormal(best.a, best.b);
+        point.x = best.a.x + t * dx - normal.x * 0.1;
+        point.y = best.a.y + t * dy - normal.y * 0.1;
+    }
+
+    /**
+     * Oriented model outline at a layer
+     */
+    getOutline(layers, layerIdx) {
+        if (!this.outlines[layerIdx]) {
+            const paths = this.slicer.segmentsToPerimeter(layers[layerIdx].segments);
+            this.outlines[layerIdx] = this.slicer.orientPaths(paths);
+        }
+        return this.outlines[layerIdx];
+    }
+
+    /**
+     * Model outline at a layer grown by the XY distance; support stays outside it
+     */
+    getKeepOut(layers, layerIdx) {
+        if (!this.keepOuts[layerIdx]) {
+            const outline = this.getOutline(layers, layerIdx);
+            this.keepOuts[layerIdx] = outline.length > 0 ? this.slicer.offsetPolygons(outline, -this.xyDistance) : [];
+        }
+        return this.keepOuts[layerIdx];
+    }
+
+    /**
+     * Cut polylines where they enter the keep-out area; returns the pieces outside it
+     */
+    clipPolylines(polylines, keepOut) {
+        if (keepOut.length === 0) return polylines;
+
+        const minLength = this.slicer.getExtrusionWidth();
+        const result = [];
+
+        for (const polyline of polylines) {
+            let current = null;
+            for (let k = 1; k < polyline.length; k++) {
+                const a = polyline[k - 1];
+                const b = polyline[k];
+
+                // Split the edge wherever it crosses a keep-out edge
+                const ts = [0, 1];
+                for (const loop of keepOut) {
+                    for (let m = 0; m < loop.length; m++) {
+                        const hit = this.slicer.getSegmentIntersection(a, b, loop[m], loop[(m + 1) % loop.length]);
+                        if (hit) ts.push(hit.t);
+                    }
+                }
+                ts.sort((t1, t2) => t1 - t2);
+
+                for (let n = 1; n < ts.length; n++) {
+                    const t0 = ts[n - 1];
+                    const t1 = ts[n];
+                    if (t1 - t0 < 1e-9) continue;
+
+                    const mid = { x: a.x + (b.x - a.x) * (t0 + t1) / 2, y: a.y + (b.y - a.y) * (t0 + t1) / 2 };
+                    if (this.slicer.getWindingNumber(mid, keepOut) > 0) {
+                        current = null; // Inside: break the polyline
+                        continue;
+                    }
+
+                    const start = { x: a.x + (b.x - a.x) * t0, y: a.y + (b.y - a.y) * t0 };
+                    const end = { x: a.x + (b.x - a.x) * t1, y: a.y + (b.y - a.y) * t1 };
+                    if (!current) {
+                        current = [start];
+                        result.push(current);
+                    }
+                    current.push(end);
+                }
+            }
+        }
+
+        // Drop stubs too short to print
+        return result.filter(polyline => {
+            let length = 0;
+            for (let k = 1; k < polyline.length; k++) {
+                length += Math.hypot(polyline[k].x - polyline[k - 1].x, polyline[k].y - polyline[k - 1].y);
+            }
+            return length >= minLength;
+        });
+    }
+}
+
+/**
+ * Default support settings (also the shape of STLSlicer.support)
+ */
+SupportGenerator.DEFAULT_SETTINGS = {
+    style: 'none',          // 'none', 'grid' or 'tree'
+    overhangAngle: 45,      // Degrees from vertical; faces leaning further out need support
+    spacing: 2.5,           // Grid cell size / distance between support lines (mm)
+    zGap: 0.2,              // Gap between support and model above and below (mm)
+    xyDistance: 0.8,        // Gap between support and model walls (mm)
+    interfaceLayers: 2,     // Dense layers right under the overhang
+    interfaceSpacing: 0.5,  // Distance between interface lines (mm)
+    branchAngle: 40,        // Tree: max lean from vertical while merging (degrees)
+    tipRadius: 0.8,         // Tree: branch radius right under the interface (mm)
+    maxBranchRadius: 3,     // Tree: thickest trunk radius (mm)
+    branchGrowth: 0.02      // Tree: radius added per mm of branch length
+};
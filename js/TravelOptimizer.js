@@ -0,0 +1,414 @@
+/**
+ * Travel Optimizer for 3D Printer Simulator
+ * Keeps track of the nozzle while the slicer writes G-code and cuts down
+ * travel: islands, loops and lines are printed nearest-first (optionally
+ * improved with 2-opt), loops start at the point closest to the nozzle (or at
+ * the seam position for perimeters), and travels are combed along the inside
+ * of the part instead of crossing holes.
+ */
+class TravelOptimizer {
+    /**
+     * @param {STLSlicer} slicer - Slicer providing the geometry helpers
+     */
+    constructor(slicer) {
+        this.slicer = slicer;
+        this.method = 'nearest'; // 'none', 'nearest' or '2opt'
+        this.combing = true; // Route travels inside the part
+        this.twoOptBudget = 200000; // Pair checks per 2-opt run: long lists get fewer passes (at least one)
+        this.reset();
+    }
+
+    /**
+     * Forget the nozzle position and travel totals (start of a new print)
+     */
+    reset() {
+        this.position = null; // Nozzle XY, null before the first move
+        this.combBoundary = []; // Oriented loops travels may not leave (empty = no combing)
+        this.unoptimizedDistance = 0; // Travel the original order would have needed (mm)
+        this.travelDistance = 0; // Travel actually written (mm)
+        this.layerSeams = []; // Perimeter start points placed on this layer
+        this.previousSeams = []; // Perimeter start points of the last layer with perimeters
+    }
+
+    /**
+     * Start a new layer: travels are not combed until the layer sets a boundary,
+     * and aligned seams follow the seams just placed
+     */
+    nextLayer() {
+        this.combBoundary = [];
+        if (this.layerSeams.length > 0) {
+            this.previousSeams = this.layerSeams;
+            this.layerSeams = [];
+        }
+    }
+
+    /**
+     * Order islands nearest-first
+     * Travel totals are left to the loops and lines inside, which the nozzle actually travels to.
+     * @param {Array} islands - Objects with an outline (array of points)
+     */
+    orderIslands(islands) {
+        const items = islands.map(island => ({ value: island, points: island.outline }));
+        return this.orderItems(items, false, false).map(item => item.value);
+    }
+
+    /**
+     * Order closed loops nearest-first, each starting at its point closest to the nozzle
+     * @param {String} seam - Seam strategy for perimeters ('aligned', 'nearest', 'random',
+     *   'rear' or 'sharpest'); null for other loops, which always start nearest
+     */
+    orderLoops(loops, seam = null) {
+        const items = loops.map(loop => {
+            const item = { value: loop, points: loop };
+            if (seam && seam !== 'nearest') {
+                item.startIndex = this.getSeamIndex(loop, seam);
+                item.fixedStart = true;
+            }
+            return item;
+        });
+
+        return this.orderItems(items, false).map(item => {
+            if (seam) this.layerSeams.push(item.value[item.startIndex]);
+            return this.rotateLoop(item.value, item.startIndex);
+        });
+    }
+
+    /**
+     * Index of the vertex a perimeter loop should start at
+     * - aligned: next to the closest seam of the layer below
+     * - random: any vertex, scattering the seam over the surface
+     * - rear: the back-most vertex (largest Y), away from the viewer
+     * - sharpest: the sharpest corner, preferring concave ones where the seam hides
+     */
+    getSeamIndex(loop, seam) {
+        if (seam === 'random') return Math.floor(Math.random() * loop.length);
+        if (seam === 'rear') return this.rearmostIndex(loop, loop.map((point, i) => i));
+        if (seam === 'aligned') {
+            if (this.previousSeams.length > 0) {
+                let best = null;
+                let bestDistance = Infinity;
+                for (const reference of this.previousSeams) {
+                    const index = this.nearestPointIndex(loop, reference);
+                    const distance = this.distanceSq(loop[index], reference);
+                    if (distance < bestDistance) {
+                        best = index;
+                        bestDistance = distance;
+                    }
+                }
+                return best;
+            }
+        }
+        // Sharpest corner, also where aligned seams start on the first layer
+        return this.sharpestCornerIndex(loop);
+    }
+
+    /**
+     * Index of the sharpest corner. Loops have the solid on their left, so a right
+     * turn is a concave corner; those count double since the seam sinks into them.
+     * Near-ties (like the even corners of a circle) go to the rear-most one so the
+     * seam doesn't jump around between layers.
+     */
+    sharpestCornerIndex(loop) {
+        const n = loop.length;
+        const scores = loop.map((point, i) => {
+            const previous = loop[(i - 1 + n) % n];
+            const next = loop[(i + 1) % n];
+            const ax = point.x - previous.x, ay = point.y - previous.y;
+            const bx = next.x - point.x, by = next.y - point.y;
+            const turn = Math.atan2(ax * by - ay * bx, ax * bx + ay * by);
+            return turn < 0 ? -turn * 2 : turn;
+        });
+
+        const best = Math.max(...scores);
+        const candidates = [];
+        scores.forEach((score, i) => {
+            if (score >= best - 0.05) candidates.push(i);
+        });
+        return this.rearmostIndex(loop, candidates);
+    }
+
+    /**
+     * Candidate index with the largest Y (ties go to the smaller X)
+     */
+    rearmostIndex(loop, candidates) {
+        let best = candidates[0];
+        for (const i of candidates) {
+            const dy = loop[i].y - loop[best].y;
+            if (dy > 1e-6 || (Math.abs(dy) <= 1e-6 && loop[i].x < loop[best].x)) best = i;
+        }
+        return best;
+    }
+
+    /**
+     * Order open polylines nearest-first, reversing any that are closer end-first
+     */
+    orderPolylines(polylines) {
+        const items = polylines.map(polyline => ({
+            value: polyline,
+            start: polyline[0],
+            end: polyline[polyline.length - 1]
+        }));
+        return this.orderItems(items, true).map(item => item.reversed ? item.value.slice().reverse() : item.value);
+    }
+
+    /**
+     * Shared ordering for loops (any point can be the start unless it is fixed,
+     * ending where they start) and polylines (either end can be the start)
+     * @param {Boolean} measure - Add the travel the original order needs to unoptimizedDistance
+     */
+    orderItems(items, open, measure = true) {
+        if (items.length === 0) return items;
+
+        // What the original order costs, for the slice summary (combed like the travel written)
+        let cursor = this.position;
+        if (measure) {
+            for (const item of items) {
+                const start = open ? item.start : item.points[item.fixedStart ? item.startIndex : 0];
+                if (cursor) this.unoptimizedDistance += this.travelLength(cursor, start);
+                cursor = open ? item.end : start;
+            }
+        }
+
+        if (this.method === 'none') {
+            items.forEach(item => {
+                if (!item.fixedStart) item.startIndex = 0;
+            });
+            return items;
+        }
+
+        // Nearest neighbour from the current nozzle position
+        const remaining = items.slice();
+        const ordered = [];
+        cursor = this.position || (open ? items[0].start : items[0].points[items[0].startIndex || 0]);
+
+        while (remaining.length > 0) {
+            let best = 0;
+            let bestDistance = Infinity;
+            let bestStart = 0;
+            let bestReversed = false;
+
+            for (let i = 0; i < remaining.length; i++) {
+                const item = remaining[i];
+                if (open) {
+                    const toStart = this.distanceSq(cursor, item.start);
+                    const toEnd = this.distanceSq(cursor, item.end);
+                    if (toStart < bestDistance) {
+                        best = i;
+                        bestDistance = toStart;
+                        bestReversed = false;
+                    }
+                    if (toEnd < bestDistance) {
+                        best = i;
+                        bestDistance = toEnd;
+                        bestReversed = true;
+                    }
+                } else {
+                    const nearest = item.fixedStart ? item.startIndex : this.nearestPointIndex(item.points, cursor);
+                    const distance = this.distanceSq(cursor, item.points[nearest]);
+                    if (distance < bestDistance) {
+                        best = i;
+                        bestDistance = distance;
+                        bestStart = nearest;
+                    }
+                }
+            }
+
+            const item = remaining.splice(best, 1)[0];
+            if (open) {
+                item.reversed = bestReversed;
+                if (bestReversed) [item.start, item.end] = [item.end, item.start];
+            } else {
+                item.startIndex = bestStart;
+                item.start = item.points[bestStart];
+                item.end = item.start;
+            }
+            ordered.push(item);
+            cursor = item.end;
+        }
+
+        if (this.method === '2opt') {
+            this.improveTwoOpt(ordered, open);
+        }
+        return ordered;
+    }
+
+    /**
+     * 2-opt: reverse runs of the order while that shortens the travel between them.
+     * Reversing a run also flips each polyline in it; loops keep their start points.
+     */
+    improveTwoOpt(items, open) {
+        const n = items.length;
+        if (n < 3) return;
+
+        // Each pass checks every pair once
+        const maxPasses = Math.min(10, Math.max(1, Math.floor(this.twoOptBudget / (n * (n - 1) / 2))));
+        for (let pass = 0, improved = true; improved && pass < maxPasses; pass++) {
+            improved = false;
+            for (let i = 0; i < n - 1; i++) {
+                const previousEnd = i > 0 ? items[i - 1].end : this.position;
+                for (let j = i + 1; j < n; j++) {
+                    const nextStart = j + 1 < n ? items[j + 1].start : null;
+
+                    const before = (previousEnd ? this.distance(previousEnd, items[i].start) : 0) +
+                        (nextStart ? this.distance(items[j].end, nextStart) : 0);
+                    const after = (previousEnd ? this.distance(previousEnd, items[j].end) : 0) +
+                        (nextStart ? this.distance(items[i].start, nextStart) : 0);
+                    if (after >= before - 1e-6) continue;
+
+                    // Reverse items i..j
+                    const run = items.slice(i, j + 1).reverse();
+                    if (open) {
+                        for (const item of run) {
+                            item.reversed = !item.reversed;
+                            [item.start, item.end] = [item.end, item.start];
+                        }
+                    }
+                    items.splice(i, run.length, ...run);
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    /**
+     * Travel to a point, combing around holes when both ends are inside the part
+     * @returns {Array} Points to travel through, ending at the target
+     */
+    travelTo(point) {
+        const from = this.position;
+        this.position = { x: point.x, y: point.y };
+        if (!from) return [point];
+
+        const path = this.combing ? this.combPath(from, point) : [point];
+        this.travelDistance += this.pathLength(from, path.slice(0, -1), point);
+        return path;
+    }
+
+    /**
+     * Length of the travel travelTo() would write between two points
+     */
+    travelLength(from, to) {
+        const path = this.combing ? this.combPath(from, to) : [to];
+        return this.pathLength(from, path.slice(0, -1), to);
+    }
+
+    /**
+     * Route a travel inside the comb boundary. Wherever the straight line leaves
+     * the boundary through a loop (into a hole or around a notch), the travel
+     * follows that loop the shorter way round to where the line comes back in.
+     * Travels that start or end outside, or leave for good, stay straight.
+     */
+    combPath(a, b) {
+        const boundary = this.combBoundary;
+        if (boundary.length === 0) return [b];
+        if (this.slicer.getWindingNumber(a, boundary) <= 0 || this.slicer.getWindingNumber(b, boundary) <= 0) return [b];
+
+        const crossings = [];
+        boundary.forEach((loop, loopIndex) => {
+            for (let i = 0; i < loop.length; i++) {
+                const hit = this.slicer.getSegmentIntersection(a, b, loop[i], loop[(i + 1) % loop.length]);
+                if (hit) crossings.push({ t: hit.t, loop: loopIndex, edge: i, point: { x: hit.x, y: hit.y } });
+            }
+        });
+        if (crossings.length === 0) return [b];
+
+        // A loop crossed an odd number of times means the line really leaves the part
+        const counts = {};
+        crossings.forEach(crossing => { counts[crossing.loop] = (counts[crossing.loop] || 0) + 1; });
+        if (Object.values(counts).some(count => count % 2 === 1)) return [b];
+
+        crossings.sort((c1, c2) => c1.t - c2.t);
+
+        const path = [];
+        let k = 0;
+        while (k < crossings.length) {
+            const entry = crossings[k];
+            // Leave the loop at its last crossing along the line
+            let last = k;
+            for (let m = k + 1; m < crossings.length; m++) {
+                if (crossings[m].loop === entry.loop) last = m;
+            }
+            const exit = crossings[last];
+
+            path.push(entry.point);
+            path.push(...this.walkLoop(boundary[entry.loop], entry, exit));
+            path.push(exit.point);
+            k = last + 1;
+        }
+        path.push(b);
+        return path;
+    }
+
+    /**
+     * Loop vertices between two crossings, going whichever way round is shorter
+     */
+    walkLoop(loop, entry, exit) {
+        if (entry.edge === exit.edge) return [];
+
+        const n = loop.length;
+        const forward = [];
+        for (let i = (entry.edge + 1) % n; ; i = (i + 1) % n) {
+            forward.push(loop[i]);
+            if (i === exit.edge) break;
+        }
+        const backward = [];
+        for (let i = entry.edge; ; i = (i - 1 + n) % n) {
+            backward.push(loop[i]);
+            if (i === (exit.edge + 1) % n) break;
+        }
+
+        return this.pathLength(entry.point, forward, exit.point) <= this.pathLength(entry.point, backward, exit.point)
+            ? forward : backward;
+    }
+
+    /**
+     * Length of a path from start through points to end
+     */
+    pathLength(start, points, end) {
+        let length = 0;
+        let previous = start;
+        for (const point of points) {
+            length += this.distance(previous, point);
+            previous = point;
+        }
+        return length + this.distance(previous, end);
+    }
+
+    /**
+     * Index of the point closest to a position
+     */
+    nearestPointIndex(points, position) {
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < points.length; i++) {
+            const distance = this.distanceSq(points[i], position);
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Loop reordered to start at the given index
+     */
+    rotateLoop(loop, startIndex) {
+        return startIndex ? loop.slice(startIndex).concat(loop.slice(0, startIndex)) : loop;
+    }
+
+    /**
+     * Distance between two points
+     */
+    distance(a, b) {
+        return Math.hypot(b.x - a.x, b.y - a.y);
+    }
+
+    /**
+     * Squared distance between two points (for comparisons)
+     */
+    distanceSq(a, b) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        return dx * dx + dy * dy;
+    }
+}
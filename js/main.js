@@ -23,6 +23,12 @@ let currentProjectId = null;
 let hasUnsavedChanges = false;
 let isPrintComplete = false; // Track if print finished for save/restore
 
+// Layer height profile
+let layerHeightProfile = null; // Painted profile [{z, height}] (z above the bed), null = uniform or adaptive
+let layerProfileEditor = null; // {slicer, height, profile} while the profile editor is open
+let sliceJob = null; // {cancel} while a worker slice runs
+let lastSlice = null; // {gcode, settings, names} of the latest sliceSTL result, for Download G-code
+
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', () => {
     const canvas = document.getElementById('renderCanvas');
@@ -156,6 +162,14 @@ function setupEventListeners() {
     if (sliceBtn) {
         sliceBtn.addEventListener('click', sliceSTL);
     }
+    const cancelSliceBtn = document.getElementById('cancel-slice-btn');
+    if (cancelSliceBtn) {
+        cancelSliceBtn.addEventListener('click', cancelSlicing);
+    }
+    const downloadGcodeBtn = document.getElementById('download-gcode-btn');
+    if (downloadGcodeBtn) {
+        downloadGcodeBtn.addEventListener('click', downloadGCode);
+    }
     const generateGcodeBtn = document.getElementById('generate-gcode');
     if (generateGcodeBtn) {
         generateGcodeBtn.addEventListener('click', generateGCode);
@@ -194,6 +208,12 @@ function setupEventListeners() {
     document.getElementById('show-bed').addEventListener('change', (e) => {
         simulator.toggleBuildPlate(e.target.checked);
     });
+    document.getElementById('show-retractions')?.addEventListener('change', (e) => {
+        simulator.toggleRetractionMarkers(e.target.checked);
+    });
+    document.getElementById('show-seams')?.addEventListener('change', (e) => {
+        simulator.toggleSeamMarkers(e.target.checked);
+    });
     document.getElementById('use-cylinders').addEventListener('change', (e) => {
         simulator.useLineRendering = !e.target.checked;
         console.log(`Rendering mode: ${e.target.checked ? 'Cylinders (3D)' : 'Lines (Fast)'}`);
@@ -202,6 +222,43 @@ function setupEventListeners() {
         simulator.rainbowMode = e.target.checked;
         console.log(`Rainbow mode: ${e.target.checked ? 'On' : 'Off'}`);
     });
+    document.getElementById('color-scheme').addEventListener('change', (e) => {
+        simulator.setColorScheme(e.target.value);
+        updateColorLegend();
+        console.log(`Color scheme: ${e.target.value}`);
+    });
+
+    // Printer profile (build volume, frame, kinematics and motion limits)
+    const printerProfileEl = document.getElementById('dock-printer-profile');
+    if (printerProfileEl) {
+        for (const [id, profile] of Object.entries(PrinterSimulator.PRINTER_PROFILES)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = profile.name;
+            printerProfileEl.appendChild(option);
+        }
+        printerProfileEl.value = simulator.printerProfileId;
+        printerProfileEl.addEventListener('change', (e) => {
+            setPrinterProfile(e.target.value);
+            markDirty();
+        });
+    }
+    const relativeEEl = document.getElementById('dock-relative-e');
+    if (relativeEEl) relativeEEl.addEventListener('change', markDirty);
+    const supportEl = document.getElementById('dock-support');
+    if (supportEl) supportEl.addEventListener('change', markDirty);
+    const adhesionEl = document.getElementById('dock-adhesion');
+    if (adhesionEl) {
+        adhesionEl.addEventListener('change', () => {
+            updateAdhesionInputs();
+            markDirty();
+        });
+    }
+    ['dock-firmware-retract', 'dock-travel', 'dock-combing', 'dock-seam', 'dock-adaptive-layers',
+        'dock-infill-angles', 'dock-skin-angles'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', markDirty);
+    });
+    setupLayerProfileEditor();
 
     // Appearance controls (with null checks - some may be in dock only)
     const lineThicknessEl = document.getElementById('line-thickness');
@@ -422,6 +479,33 @@ function stepBack() {
     updateStepControls();
 }
 
+/**
+ * Switch printer profile (id or saved profile object)
+ * G-code is machine-specific, so the loaded file is replayed on the new printer as-is.
+ */
+function setPrinterProfile(profile) {
+    simulator.setPrinterProfile(profile);
+
+    // Learning shapes and sliced models are placed on the center of the new bed
+    generator.bedCenter = { ...simulator.originOffset };
+
+    const nozzleEl = document.getElementById('dock-line-thickness');
+    if (nozzleEl) nozzleEl.value = simulator.printerProfile.nozzleDiameter;
+
+    const printerProfileEl = document.getElementById('dock-printer-profile');
+    if (printerProfileEl && PrinterSimulator.PRINTER_PROFILES[simulator.printerProfileId]) {
+        printerProfileEl.value = simulator.printerProfileId;
+    }
+
+    if (currentGCode) {
+        loadGCode(currentGCode);
+    } else {
+        resetSimulation();
+    }
+
+    console.log(`Printer profile: ${simulator.printerProfile.name}`);
+}
+
 /**
  * Handle quality preset selection
  */
@@ -456,31 +540,116 @@ function handleQualityPreset() {
 }
 
 /**
- * Handle STL file upload - Add model to build plate
+ * Handle model file upload - Add its objects to the build plate
  */
 async function handleSTLUpload(event) {
     const file = event.target.files[0];
     if (!file) return;
 
     try {
-        // Parse STL to get mesh data
-        const tempSlicer = new STLSlicer();
-        await tempSlicer.parseSTL(file);
-        const bbox = tempSlicer.getBoundingBox();
-        const triangleCount = tempSlicer.mesh.length;
+        // A 3MF saved by Export 3MF Project restores the whole plate, settings included
+        if (file.name.toLowerCase().endsWith('.3mf')) {
+            const archive = await new ProjectArchive().read(await file.arrayBuffer());
+            if (archive) {
+                await restore3MFProject(archive, file);
+                event.target.value = '';
+                return;
+            }
+        }
+
+        const models = await addModelsFromFile(file);
+
+        // Update UI
+        updateModelList();
+        selectModel(models[0].id);
+
+        // Enable slice button
+        updateSliceButton(false, '🔪 Slice');
+        updateSliceStatus(`${loadedModels.length} model(s) ready to slice`);
+
+        console.log(`Model added: ${file.name} (${models.length} object(s))`);
+
+        // Mark as changed
+        markDirty();
+
+        // Clear file input so same file can be loaded again
+        event.target.value = '';
+    } catch (error) {
+        console.error('Error loading model:', error);
+        showToast(`Error loading model: ${error.message}`, 'error', 4000);
+    }
+}
+
+/**
+ * Parse a model file and add each object in it to loadedModels
+ * 3MF objects and the parts of multi-object files are centered on their own bounding
+ * boxes (so they move and rotate about themselves) and placed to keep the file's layout
+ * around the middle of the bed.
+ * @param {File} file - STL, 3MF or OBJ file
+ * @param {Object} source - { url, urlObject } for models that can be reloaded from a URL;
+ *   urlObject picks one object of a multi-object file
+ * @returns {Promise<Array>} The added models
+ */
+async function addModelsFromFile(file, source = {}) {
+    let objects = (await new ModelLoader().load(file)).map((object, index) => ({ ...object, index }));
+    const multiObject = objects.length > 1;
+    if (source.urlObject !== undefined && source.urlObject !== null) {
+        objects = objects.filter(object => object.index === source.urlObject);
+        if (objects.length === 0) throw new Error(`Object ${source.urlObject} not found in ${file.name}`);
+    }
+
+    const arrange = multiObject || objects[0].zUp;
+    const slicers = objects.map(object => {
+        const objectSlicer = new STLSlicer();
+        objectSlicer.mesh = object.mesh;
+        return objectSlicer;
+    });
+    const boxes = slicers.map(objectSlicer => objectSlicer.getBoundingBox());
+    const groupMin = {}, groupMax = {}, groupCenter = {};
+    for (const axis of ['x', 'y', 'z']) {
+        groupMin[axis] = Math.min(...boxes.map(b => b.min[axis]));
+        groupMax[axis] = Math.max(...boxes.map(b => b.max[axis]));
+        groupCenter[axis] = (groupMin[axis] + groupMax[axis]) / 2;
+    }
+
+    // Check if the models need to be laid flat (if taller in Y than Z, rotate them)
+    // Most STLs come oriented standing up and need to be rotated to lay flat for printing;
+    // 3MF is always Z-up. Objects from one file turn together so their layout holds.
+    const needsRotation = objects[0].zUp || groupMax.y - groupMin.y > groupMax.z - groupMin.z;
+
+    const models = [];
+    objects.forEach((object, i) => {
+        const objectSlicer = slicers[i];
+        const meshRepair = repairImportedMesh(objectSlicer, object.name);
+        let bbox = objectSlicer.getBoundingBox();
+
+        // Offset of this object's center from the group's, before it is centered on its own origin
+        let offset = null;
+        if (arrange) {
+            const center = {
+                x: (bbox.min.x + bbox.max.x) / 2,
+                y: (bbox.min.y + bbox.max.y) / 2,
+                z: (bbox.min.z + bbox.max.z) / 2
+            };
+            for (const tri of objectSlicer.mesh) {
+                for (const v of [tri.v1, tri.v2, tri.v3]) {
+                    v.x -= center.x;
+                    v.y -= center.y;
+                    v.z -= center.z;
+                }
+            }
+            offset = { x: center.x - groupCenter.x, y: center.y - groupCenter.y, z: center.z - groupCenter.z };
+            bbox = objectSlicer.getBoundingBox();
+        }
 
         // Create model object
         const modelId = ++modelIdCounter;
 
-        // Check if model needs to be laid flat (if it's taller in Y than Z, rotate it)
-        // Most STLs come oriented standing up and need to be rotated to lay flat for printing
-        const needsRotation = bbox.size.y > bbox.size.z;
-
         const model = {
             id: modelId,
-            name: file.name,
+            name: object.name,
             file: file,
-            mesh: tempSlicer.mesh,
+            mesh: objectSlicer.mesh,
             previewMesh: null,
             // Position so bottom of model sits on build plate (Z=0)
             position: { x: 0, y: 0, z: 0 },
@@ -488,15 +657,32 @@ async function handleSTLUpload(event) {
             rotation: needsRotation ? { x: -90, y: 0, z: 0 } : { x: 0, y: 0, z: 0 },
             scale: { x: 1, y: 1, z: 1 },
             boundingBox: bbox,
-            triangleCount: triangleCount
+            triangleCount: objectSlicer.mesh.length,
+            meshRepair: meshRepair
         };
+        if (source.url) {
+            model.url = source.url; // Store URL so we can save/reload
+            if (multiObject) model.urlObject = object.index;
+        }
 
         // Add to loaded models
         loadedModels.push(model);
+        models.push(model);
 
         // Create ghost preview mesh
         createGhostPreview(model);
 
+        // Move the object to where it sat in the file, through the same rotation as its mesh
+        if (offset && model.previewMesh) {
+            model.previewMesh.computeWorldMatrix(true);
+            const world = BABYLON.Vector3.TransformCoordinates(
+                new BABYLON.Vector3(offset.x, offset.y, offset.z),
+                model.previewMesh.getWorldMatrix()
+            );
+            model.position = { x: world.x, y: world.z, z: 0 };
+            model.previewMesh.position = new BABYLON.Vector3(world.x, 0, world.z);
+        }
+
         // Automatically drop to build plate so model sits correctly
         // Wait a frame for the mesh to be fully created
         setTimeout(() => {
@@ -505,26 +691,93 @@ async function handleSTLUpload(event) {
             dropToBuildPlate();
             selectedModelId = tempSelectedId; // Restore previous selection
         }, 50);
+    });
 
-        // Update UI
-        updateModelList();
-        selectModel(modelId);
+    return models;
+}
 
-        // Enable slice button
-        updateSliceButton(false, '🔪 Slice');
-        updateSliceStatus(`${loadedModels.length} model(s) ready to slice`);
+/**
+ * Replace the build plate with a 3MF project: settings, printer, models at their
+ * saved transforms and, if the file has it, the sliced G-code
+ * @param {Object} archive - ProjectArchive.read() result
+ * @param {File} file - The 3MF file, kept as each model's source
+ */
+async function restore3MFProject({ project, models, gcode }, file) {
+    if (models.length === 0) throw new Error('No models found in 3MF project');
+    if (loadedModels.length > 0 && !confirm(`Replace the models on the build plate with the project in ${file.name}?`)) {
+        return;
+    }
 
-        console.log(`Model added: ${file.name} (${triangleCount} triangles)`);
+    [...loadedModels].forEach(model => removeModel(model.id));
 
-        // Mark as changed
-        markDirty();
+    // Settings, printer profile and a completed print; the models come from the 3MF instead
+    loadProjectData({ ...project, models: [], printState: { ...project.printState, gcode } });
 
-        // Clear file input so same file can be loaded again
-        event.target.value = '';
-    } catch (error) {
-        console.error('Error loading STL:', error);
-        showToast(`Error loading STL: ${error.message}`, 'error', 4000);
+    for (const { entry, mesh } of models) {
+        const modelSlicer = new STLSlicer();
+        modelSlicer.mesh = mesh;
+        const meshRepair = repairImportedMesh(modelSlicer, entry.name);
+
+        const model = {
+            id: ++modelIdCounter,
+            name: entry.name,
+            file: file,
+            mesh: modelSlicer.mesh,
+            previewMesh: null,
+            position: { ...entry.position },
+            rotation: { ...entry.rotation },
+            scale: { ...entry.scale },
+            boundingBox: modelSlicer.getBoundingBox(),
+            triangleCount: modelSlicer.mesh.length,
+            meshRepair: meshRepair
+        };
+        if (entry.url) {
+            model.url = entry.url;
+            if (entry.urlObject !== null && entry.urlObject !== undefined) model.urlObject = entry.urlObject;
+        }
+
+        loadedModels.push(model);
+        createGhostPreview(model);
     }
+
+    if (gcode) {
+        if (!isPrintComplete) loadGCode(gcode); // loadProjectData plays a completed print itself
+
+        lastSlice = {
+            gcode,
+            settings: project.settings,
+            names: models.map(({ entry }) => entry.name)
+        };
+        const downloadBtn = document.getElementById('download-gcode-btn');
+        if (downloadBtn) downloadBtn.disabled = false;
+    }
+
+    updateModelList();
+    selectModel(loadedModels[0].id);
+    updateSliceButton(false, '🔪 Slice');
+    updateSliceStatus(`${loadedModels.length} model(s) ready to slice`);
+    markDirty();
+
+    showToast(`Opened project ${file.name} (${models.length} model(s)${gcode ? ' with G-code' : ''})`, 'success', 3000);
+}
+
+/**
+ * Check a freshly parsed mesh for problems and repair what can be fixed
+ * @param {STLSlicer} slicer - Slicer holding the parsed mesh, which is replaced if repaired
+ * @returns {Object} MeshRepair result, shown in the model list
+ */
+function repairImportedMesh(slicer, name) {
+    const result = new MeshRepair(slicer).repair();
+    const problems = MeshRepair.describe(result.before, !result.after);
+
+    if (result.after) {
+        const remaining = MeshRepair.needsRepair(result.after) ? ' (some problems remain)' : '';
+        showToast(`Repaired ${name}: ${problems.join(', ')}${remaining}`, 'info', 5000);
+    } else if (problems.length > 0) {
+        console.log(`Mesh check for ${name}: ${problems.join(', ')}`);
+    }
+
+    return result;
 }
 
 /**
@@ -559,9 +812,10 @@ function checkURLParameters() {
 }
 
 /**
- * Core function to load STL from URL
+ * Core function to load a model file from URL
+ * @param {number} urlObject - Load only this object of a multi-object file (project restore)
  */
-async function loadSTLFromURLCore(url) {
+async function loadSTLFromURLCore(url, urlObject = null) {
     const loadBtn = document.getElementById('load-url-btn');
     const originalText = loadBtn.textContent;
 
@@ -569,9 +823,9 @@ async function loadSTLFromURLCore(url) {
         loadBtn.disabled = true;
         loadBtn.textContent = '⏳ Loading...';
 
-        console.log('Fetching STL from URL:', url);
+        console.log('Fetching model from URL:', url);
 
-        // Fetch the STL file
+        // Fetch the model file
         const response = await fetch(url);
         if (!response.ok) {
             throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
@@ -581,7 +835,7 @@ async function loadSTLFromURLCore(url) {
         let filename = 'model.stl';
         const contentDisposition = response.headers.get('Content-Disposition');
         if (contentDisposition) {
-            const filenameMatch = contentDisposition.match(/filename="?(.+)"?/);
+            const filenameMatch = contentDisposition.match(/filename="?([^";]+)"?/);
             if (filenameMatch) {
                 filename = filenameMatch[1];
             }
@@ -596,57 +850,19 @@ async function loadSTLFromURLCore(url) {
 
         // Convert response to blob then to File object
         const blob = await response.blob();
-        const file = new File([blob], filename, { type: 'model/stl' });
+        const file = new File([blob], filename);
 
-        // Parse STL to get mesh data
-        const tempSlicer = new STLSlicer();
-        await tempSlicer.parseSTL(file);
-        const bbox = tempSlicer.getBoundingBox();
-        const triangleCount = tempSlicer.mesh.length;
-
-        // Create model object
-        const modelId = ++modelIdCounter;
-
-        // Check if model needs to be laid flat (if it's taller in Y than Z, rotate it)
-        const needsRotation = bbox.size.y > bbox.size.z;
-
-        const model = {
-            id: modelId,
-            name: filename,
-            file: file,
-            mesh: tempSlicer.mesh,
-            previewMesh: null,
-            position: { x: 0, y: 0, z: 0 },
-            rotation: needsRotation ? { x: -90, y: 0, z: 0 } : { x: 0, y: 0, z: 0 },
-            scale: { x: 1, y: 1, z: 1 },
-            boundingBox: bbox,
-            triangleCount: triangleCount,
-            url: url  // Store URL so we can save/reload
-        };
-
-        // Add to loaded models
-        loadedModels.push(model);
-
-        // Create ghost preview mesh
-        createGhostPreview(model);
-
-        // Automatically drop to build plate
-        setTimeout(() => {
-            const tempSelectedId = selectedModelId;
-            selectedModelId = modelId;
-            dropToBuildPlate();
-            selectedModelId = tempSelectedId;
-        }, 50);
+        const models = await addModelsFromFile(file, { url, urlObject });
 
         // Update UI
         updateModelList();
-        selectModel(modelId);
+        selectModel(models[0].id);
 
         // Enable slice button
         updateSliceButton(false, '🔪 Slice');
         updateSliceStatus(`${loadedModels.length} model(s) ready to slice`);
 
-        console.log(`Model loaded from URL: ${filename} (${triangleCount} triangles)`);
+        console.log(`Model loaded from URL: ${filename} (${models.length} object(s))`);
 
         // Mark as changed
         markDirty();
@@ -655,8 +871,8 @@ async function loadSTLFromURLCore(url) {
         document.getElementById('stl-url').value = '';
 
     } catch (error) {
-        console.error('Error loading STL from URL:', error);
-        showToast(`Error loading STL from URL: ${error.message}`, 'error', 4000);
+        console.error('Error loading model from URL:', error);
+        showToast(`Error loading model from URL: ${error.message}`, 'error', 4000);
     } finally {
         loadBtn.disabled = false;
         loadBtn.textContent = originalText;
@@ -676,9 +892,6 @@ async function sliceSTL() {
     updateSliceStatus('Processing models...');
     showToast('Slicing models...', 'loading');
 
-    // Small delay to allow UI to update before heavy computation
-    await new Promise(resolve => setTimeout(resolve, 50));
-
     try {
         // Get settings from dock (fallback to any available element)
         const layerHeightEl = document.getElementById('dock-layer-height') || document.getElementById('layer-height');
@@ -692,10 +905,41 @@ async function sliceSTL() {
         const nozzleDiameter = nozzleEl ? parseFloat(nozzleEl.value) : 0.4;
         const infillPattern = infillPatternEl ? infillPatternEl.value : 'grid';
         const infillDensity = infillDensityEl ? parseInt(infillDensityEl.value) : 20;
+        const relativeEEl = document.getElementById('dock-relative-e');
+        const relativeExtrusion = relativeEEl ? relativeEEl.checked : false;
+        const wallThicknessEl = document.getElementById('dock-wall-thickness');
+        const wallThickness = wallThicknessEl ? parseFloat(wallThicknessEl.value) : 0.8;
+        const supportEl = document.getElementById('dock-support');
+        const supportStyle = supportEl ? supportEl.value : 'none';
+        const supportAngleEl = document.getElementById('dock-support-angle');
+        const overhangAngle = supportAngleEl ? parseInt(supportAngleEl.value) : 45;
+        const adhesionEl = document.getElementById('dock-adhesion');
+        const adhesionType = adhesionEl ? adhesionEl.value : 'none';
+        const adhesion = getAdhesionSettings();
+        const retractLengthEl = document.getElementById('dock-retract-length');
+        const retractLength = retractLengthEl ? parseFloat(retractLengthEl.value) : 0.8;
+        const retractSpeed = parseFloat(document.getElementById('dock-retract-speed')?.value ?? 35);
+        const retractMinTravel = parseFloat(document.getElementById('dock-retract-min-travel')?.value ?? 1.5);
+        const zHop = parseFloat(document.getElementById('dock-z-hop')?.value ?? 0);
+        const wipeDistance = parseFloat(document.getElementById('dock-wipe-distance')?.value ?? 0);
+        const firmwareRetraction = document.getElementById('dock-firmware-retract')?.checked || false;
+        const travelEl = document.getElementById('dock-travel');
+        const travelMethod = travelEl ? travelEl.value : 'nearest';
+        const combingEl = document.getElementById('dock-combing');
+        const combing = combingEl ? combingEl.checked : true;
+        const seamEl = document.getElementById('dock-seam');
+        const seamPosition = seamEl ? seamEl.value : 'aligned';
+        const adaptiveLayers = document.getElementById('dock-adaptive-layers')?.checked || false;
+        const layerProfileSettings = getLayerProfileSettings();
+        const infillAngles = parseAngleList(document.getElementById('dock-infill-angles')?.value, [45, -45]);
+        const skinAngles = parseAngleList(document.getElementById('dock-skin-angles')?.value, [45, -45]);
 
         console.log(`Slicing ${loadedModels.length} model(s)...`);
 
-        // NEW APPROACH: Slice each model separately first, then combine layers
+        // Scene XY is centered on the bed; G-code uses the printer's own origin
+        const origin = simulator.originOffset;
+
+        // NEW APPROACH: Slice each model separately as well as combined
         // This allows us to correctly identify top/bottom layers for each model
         const modelSlices = [];
 
@@ -708,74 +952,22 @@ async function sliceSTL() {
                 continue;
             }
 
-            model.previewMesh.computeWorldMatrix(true);
-            const positions = model.previewMesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
-            const indices = model.previewMesh.getIndices();
-            const worldMatrix = model.previewMesh.getWorldMatrix();
-
-            console.log(`  Using Babylon world space vertices (${indices.length/3} triangles)`);
-
-            // Convert Babylon mesh to our triangle format
-            const modelMesh = [];
-            for (let i = 0; i < indices.length; i += 3) {
-                const i1 = indices[i] * 3;
-                const i2 = indices[i + 1] * 3;
-                const i3 = indices[i + 2] * 3;
-
-                // Get vertices in local space
-                const v1Local = new BABYLON.Vector3(positions[i1], positions[i1+1], positions[i1+2]);
-                const v2Local = new BABYLON.Vector3(positions[i2], positions[i2+1], positions[i2+2]);
-                const v3Local = new BABYLON.Vector3(positions[i3], positions[i3+1], positions[i3+2]);
-
-                // Transform to world space
-                const v1World = BABYLON.Vector3.TransformCoordinates(v1Local, worldMatrix);
-                const v2World = BABYLON.Vector3.TransformCoordinates(v2Local, worldMatrix);
-                const v3World = BABYLON.Vector3.TransformCoordinates(v3Local, worldMatrix);
-
-                // Convert to slicer format: swap Y and Z (Babylon Y → slicer Z)
-                modelMesh.push({
-                    v1: { x: v1World.x, y: v1World.z, z: v1World.y },
-                    v2: { x: v2World.x, y: v2World.z, z: v2World.y },
-                    v3: { x: v3World.x, y: v3World.z, z: v3World.y }
-                });
-            }
-
-            // Slice this individual model
-            const modelSlicer = new STLSlicer();
-            modelSlicer.mesh = modelMesh;
-            modelSlicer.layerHeight = layerHeight;
-            modelSlicer.topBottomLayers = topBottomLayers;
-            modelSlicer.nozzleDiameter = nozzleDiameter;
-
-            const modelLayers = modelSlicer.sliceMesh();
-            const modelSequences = modelSlicer.analyzeLayerSequences(modelLayers);
-
-            console.log(`  Model ${model.name}: ${modelLayers.length} layers, height ${(modelLayers.length * layerHeight).toFixed(2)}mm`);
-
             modelSlices.push({
                 name: model.name,
-                mesh: modelMesh,
-                layers: modelLayers,
-                sequences: modelSequences
+                mesh: getModelTriangles(model, origin)
             });
         }
 
-        // Now combine all models' meshes for the actual slicing
-        const combinedMesh = [];
-        for (const modelSlice of modelSlices) {
-            combinedMesh.push(...modelSlice.mesh);
-        }
-
-        console.log(`Combined mesh has ${combinedMesh.length} triangles`);
-
         // Validate that all vertices are above or on the build plate (Z >= 0)
         let minZ = Infinity;
         let maxZ = -Infinity;
 
-        for (const triangle of combinedMesh) {
-            for (const vertex of [triangle.v1, triangle.v2, triangle.v3]) {
-                if (vertex.z < minZ) minZ = vertex.z;
-                if (vertex.z > maxZ) maxZ = vertex.z;
+        for (const modelSlice of modelSlices) {
+            for (const triangle of modelSlice.mesh) {
+                for (const vertex of [triangle.v1, triangle.v2, triangle.v3]) {
+                    if (vertex.z < minZ) minZ = vertex.z;
+                    if (vertex.z > maxZ) maxZ = vertex.z;
+                }
             }
         }
 
@@ -783,84 +975,75 @@ async function sliceSTL() {
 
         if (minZ < -0.1) { // Allow tiny tolerance for floating point
             showToast(`Model extends below build plate (${minZ.toFixed(2)}mm). Use "Drop to Build Plate" to fix.`, 'error', 4000);
-            sliceBtn.disabled = false;
-            sliceBtn.textContent = `🔪 Slice`;
+            updateSliceButton(false, '🔪 Slice');
             return;
         }
 
         if (minZ > 0.1) {
             const proceed = confirm(`Warning: Model is floating ${minZ.toFixed(2)}mm above build plate.\n\nThis will waste filament printing air. Continue anyway?`);
             if (!proceed) {
-                sliceBtn.disabled = false;
-                sliceBtn.textContent = `🔪 Slice`;
+                hideToast();
+                updateSliceButton(false, '🔪 Slice');
                 return;
             }
         }
 
-        // Create a temporary slicer with the combined mesh
-        const tempSlicer = new STLSlicer();
-        tempSlicer.mesh = combinedMesh;
-        tempSlicer.layerHeight = layerHeight;
-        tempSlicer.topBottomLayers = topBottomLayers;
-        tempSlicer.nozzleDiameter = nozzleDiameter;
-
-        // Slice combined mesh
-        console.log('Slicing combined mesh...');
-        const layers = tempSlicer.sliceMesh();
-
-        if (!layers || layers.length === 0) {
-            throw new Error('Failed to slice mesh - no layers generated');
-        }
-
-        // Build custom sequences by merging individual model sequences
-        console.log('\n=== Building per-model top/bottom sequences ===');
-        const mergedSequences = new Array(layers.length).fill(null).map(() => ({
-            isBottom: false,
-            isTop: false
-        }));
-
-        for (const modelSlice of modelSlices) {
-            console.log(`Model ${modelSlice.name}: ${modelSlice.layers.length} layers`);
-
-            // Map this model's sequences to the combined layer array
-            for (let i = 0; i < modelSlice.sequences.length; i++) {
-                const layerZ = modelSlice.layers[i].z;
-
-                // Find corresponding layer in combined array
-                for (let j = 0; j < layers.length; j++) {
-                    if (Math.abs(layers[j].z - layerZ) < 0.001) {
-                        // This is the same layer - merge the sequences
-                        if (modelSlice.sequences[i].isBottom) {
-                            mergedSequences[j].isBottom = true;
-                        }
-                        if (modelSlice.sequences[i].isTop) {
-                            mergedSequences[j].isTop = true;
-                            console.log(`  Layer ${j} (Z=${layerZ.toFixed(2)}): Marked as TOP for ${modelSlice.name}`);
-                        }
-                        break;
-                    }
-                }
-            }
-        }
-
-        console.log('=== Per-model sequences complete ===\n');
+        // Plain slicer settings, so a worker can set up its own slicer
+        const settings = {
+            layerHeight,
+            topBottomLayers,
+            nozzleDiameter,
+            filamentDiameter: simulator.filamentDiameter,
+            relativeExtrusion,
+            wallThickness,
+            support: { style: supportStyle, overhangAngle, zGap: layerHeight },
+            adhesionType,
+            skirtDistance: adhesion.skirtDistance,
+            skirtLoops: adhesion.skirtLoops,
+            brimWidth: adhesion.brimWidth,
+            raftSurfaceLayers: adhesion.raftLayers - 2, // Under them: one base and one interface layer
+            raftAirGap: adhesion.raftAirGap,
+            retractLength,
+            retractSpeed,
+            retractMinTravel,
+            zHop,
+            wipeDistance,
+            firmwareRetraction,
+            travel: { method: travelMethod, combing },
+            seamPosition,
+            adaptiveLayers,
+            minLayerHeight: layerProfileSettings.minHeight,
+            maxLayerHeight: layerProfileSettings.maxHeight,
+            adaptiveQuality: layerProfileSettings.quality,
+            layerHeightProfile,
+            infillAngles,
+            skinAngles
+        };
 
-        // Generate G-code with custom sequences
-        console.log('Generating G-code with per-model top/bottom layers...');
-        const gcodeText = tempSlicer.generateGCodeWithSequences(layers, infillPattern, infillDensity, mergedSequences);
+        const result = await runSliceJob(modelSlices, settings, infillPattern, infillDensity);
 
         // Load into simulator
-        loadGCode(gcodeText);
+        loadGCode(result.gcode);
+
+        // Keep it for Download G-code
+        lastSlice = {
+            gcode: result.gcode,
+            settings: { ...settings, infillPattern, infillDensity },
+            names: modelSlices.map(model => model.name)
+        };
+        const downloadBtn = document.getElementById('download-gcode-btn');
+        if (downloadBtn) downloadBtn.disabled = false;
 
         updateSliceButton(false, '✅ Sliced!');
-        updateSliceStatus(`Generated ${layers.length} layers`);
-        showToast(`✅ Slicing complete! ${layers.length} layers generated`, 'success', 3000);
+        const travelSummary = `travel ${Math.round(result.travelDistance)}mm (was ${Math.round(result.unoptimizedDistance)}mm)`;
+        updateSliceStatus(`Generated ${result.layerCount} layers, ${travelSummary}`);
+        showToast(`✅ Slicing complete! ${result.layerCount} layers generated, ${travelSummary}`, 'success', 3000);
         setTimeout(() => {
             updateSliceButton(false, '🔪 Slice');
             updateSliceStatus(`${loadedModels.length} model(s) ready to slice`);
         }, 2000);
 
-        console.log(`Slicing complete! Generated ${layers.length} layers from ${loadedModels.length} model(s)`);
+        console.log(`Slicing complete! Generated ${result.layerCount} layers from ${loadedModels.length} model(s)`);
 
         // Hide ghost previews and detach gizmos after slicing
         loadedModels.forEach(model => {
@@ -876,13 +1059,452 @@ async function sliceSTL() {
         }
 
     } catch (error) {
+        updateSliceButton(false, '🔪 Slice');
+        if (error.cancelled) {
+            showToast('Slicing cancelled', 'info', 2000);
+            updateSliceStatus(`${loadedModels.length} model(s) ready to slice`);
+            return;
+        }
         console.error('Slicing error:', error);
         showToast(`Slicing failed: ${error.message}`, 'error', 5000);
-        updateSliceButton(false, '🔪 Slice');
         updateSliceStatus('Slicing failed - check console');
     }
 }
 
+/**
+ * Slice models in a Web Worker, reporting progress to the slice status
+ * Triangles are transferred as typed arrays rather than copied. Falls back to
+ * slicing on the page where workers can't load (e.g. opened from file://).
+ * @param {Array} models - [{ name, mesh }] in machine coordinates
+ * @returns {Promise<Object>} { gcode, layerCount, travelDistance, unoptimizedDistance };
+ *   rejects with error.cancelled set if cancelSlicing() stops it
+ */
+function runSliceJob(models, settings, infillPattern, infillDensity) {
+    let worker;
+    try {
+        worker = new Worker('js/SliceWorker.js');
+    } catch (error) {
+        console.warn('Slicing worker unavailable, slicing on the page:', error.message);
+        return sliceOnPage(models, settings, infillPattern, infillDensity);
+    }
+
+    const packed = models.map(model => ({ name: model.name, triangles: STLSlicer.packTriangles(model.mesh) }));
+
+    return new Promise((resolve, reject) => {
+        let started = false;
+
+        const finish = () => {
+            worker.terminate();
+            sliceJob = null;
+            setCancelSliceVisible(false);
+        };
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            started = true;
+            if (message.type === 'progress') {
+                updateSliceStatus(`${message.stage}: layer ${message.done}/${message.total}`);
+            } else if (message.type === 'done') {
+                finish();
+                resolve(message);
+            } else if (message.type === 'error') {
+                finish();
+                reject(new Error(message.message));
+            }
+        };
+
+        worker.onerror = (event) => {
+            event.preventDefault();
+            finish();
+            if (started) {
+                reject(new Error(event.message || 'Slicing worker failed'));
+            } else {
+                // The worker script didn't load
+                console.warn('Slicing worker failed to start, slicing on the page:', event.message);
+                sliceOnPage(models, settings, infillPattern, infillDensity).then(resolve, reject);
+            }
+        };
+
+        sliceJob = {
+            cancel: () => {
+                finish();
+                const error = new Error('Slicing cancelled');
+                error.cancelled = true;
+                reject(error);
+            }
+        };
+        setCancelSliceVisible(true);
+
+        worker.postMessage(
+            { models: packed, settings, infillPattern, infillDensity },
+            packed.map(model => model.triangles.buffer)
+        );
+    });
+}
+
+/**
+ * Slice on the UI thread (no progress painting or cancel until it finishes)
+ */
+async function sliceOnPage(models, settings, infillPattern, infillDensity) {
+    // Small delay to allow UI to update before heavy computation
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const slicer = new STLSlicer();
+    slicer.applySettings(settings);
+    slicer.onProgress = (stage, done, total) => updateSliceStatus(`${stage}: layer ${done}/${total}`);
+    const result = slicer.sliceModels(models, infillPattern, infillDensity);
+
+    return {
+        gcode: result.gcode,
+        layerCount: result.layers.length,
+        travelDistance: slicer.travel.travelDistance,
+        unoptimizedDistance: slicer.travel.unoptimizedDistance
+    };
+}
+
+/**
+ * Stop the slice running in the worker
+ */
+function cancelSlicing() {
+    if (sliceJob) sliceJob.cancel();
+}
+
+/**
+ * Show the Cancel button while a worker slice runs
+ */
+function setCancelSliceVisible(visible) {
+    const cancelBtn = document.getElementById('cancel-slice-btn');
+    if (cancelBtn) cancelBtn.style.display = visible ? 'inline-flex' : 'none';
+}
+
+/**
+ * Parse a comma-separated list of angles in degrees ("45,-45")
+ */
+function parseAngleList(text, fallback) {
+    const angles = (text || '').split(',').map(a => parseFloat(a)).filter(a => !isNaN(a));
+    return angles.length > 0 ? angles : fallback;
+}
+
+/**
+ * Layer height bounds and adaptive quality from the profile editor
+ */
+function getLayerProfileSettings() {
+    const minHeight = parseFloat(document.getElementById('layer-profile-min')?.value) || 0.08;
+    const maxHeight = parseFloat(document.getElementById('layer-profile-max')?.value) || 0.32;
+    const quality = parseFloat(document.getElementById('layer-profile-quality')?.value);
+    return {
+        minHeight: Math.min(minHeight, maxHeight),
+        maxHeight: Math.max(minHeight, maxHeight),
+        quality: isNaN(quality) ? 0.5 : quality
+    };
+}
+
+/**
+ * Skirt, brim and raft settings from the dock
+ */
+function getAdhesionSettings() {
+    const value = (id, fallback) => {
+        const number = parseFloat(document.getElementById(id)?.value);
+        return isNaN(number) ? fallback : number;
+    };
+    return {
+        skirtDistance: value('dock-skirt-distance', 3),
+        skirtLoops: Math.max(1, Math.round(value('dock-skirt-loops', 2))),
+        brimWidth: value('dock-brim-width', 5),
+        raftLayers: Math.max(3, Math.round(value('dock-raft-layers', 4))),
+        raftAirGap: value('dock-raft-air-gap', 0.2)
+    };
+}
+
+/**
+ * Show only the dock inputs for the selected adhesion type
+ */
+function updateAdhesionInputs() {
+    const type = document.getElementById('dock-adhesion')?.value || 'none';
+    document.querySelectorAll('[data-adhesion]').forEach(el => {
+        el.style.display = el.dataset.adhesion === type ? '' : 'none';
+    });
+}
+
+/**
+ * Paint handlers and setting inputs of the layer height profile editor
+ */
+function setupLayerProfileEditor() {
+    const canvas = document.getElementById('layer-profile-canvas');
+    if (!canvas) return;
+
+    let painting = false;
+    const paint = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        paintLayerProfile((e.clientX - rect.left) / rect.width, 1 - (e.clientY - rect.top) / rect.height);
+    };
+    canvas.addEventListener('pointerdown', (e) => {
+        painting = true;
+        canvas.setPointerCapture(e.pointerId);
+        paint(e);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (painting) paint(e);
+    });
+    canvas.addEventListener('pointerup', () => { painting = false; });
+
+    document.getElementById('layer-profile-quality')?.addEventListener('input', (e) => {
+        const valueEl = document.getElementById('layer-profile-quality-value');
+        if (valueEl) valueEl.textContent = parseFloat(e.target.value).toFixed(1);
+        markDirty();
+    });
+    ['layer-profile-min', 'layer-profile-max'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => {
+            drawLayerProfile();
+            markDirty();
+        });
+    });
+
+    document.getElementById('layer-profile-modal')?.addEventListener('click', function(e) {
+        if (e.target === this) closeLayerProfileEditor();
+    });
+}
+
+/**
+ * Open the layer height profile editor for the models on the build plate
+ * Painting starts from the saved profile, or else from what the slicer would use now.
+ */
+function openLayerProfileEditor() {
+    const models = loadedModels.filter(model => model.previewMesh);
+    if (models.length === 0) {
+        showToast('Load a model to paint its layer heights', 'error', 3000);
+        return;
+    }
+
+    const editorSlicer = new STLSlicer();
+    editorSlicer.mesh = models.flatMap(model => getModelTriangles(model));
+    const bbox = editorSlicer.getBoundingBox();
+    layerProfileEditor = { slicer: editorSlicer, height: bbox.size.z, profile: null };
+
+    if (layerHeightProfile) {
+        layerProfileEditor.profile = layerHeightProfile.map(point => ({ ...point }));
+    } else if (document.getElementById('dock-adaptive-layers')?.checked) {
+        layerProfileEditor.profile = computeAdaptiveLayerProfile();
+    } else {
+        const layerHeight = parseFloat(document.getElementById('dock-layer-height')?.value) || 0.2;
+        layerProfileEditor.profile = Array.from({ length: 100 }, (_, i) => ({ z: bbox.size.z * i / 99, height: layerHeight }));
+    }
+
+    document.getElementById('layer-profile-modal').style.display = 'flex';
+    drawLayerProfile();
+}
+
+/**
+ * Close the layer height profile editor
+ */
+function closeLayerProfileEditor() {
+    document.getElementById('layer-profile-modal').style.display = 'none';
+    layerProfileEditor = null;
+}
+
+/**
+ * Adaptive layer heights of the editor's models as a profile
+ */
+function computeAdaptiveLayerProfile() {
+    const settings = getLayerProfileSettings();
+    const editorSlicer = layerProfileEditor.slicer;
+    editorSlicer.minLayerHeight = settings.minHeight;
+    editorSlicer.maxLayerHeight = settings.maxHeight;
+    editorSlicer.adaptiveQuality = settings.quality;
+    return editorSlicer.computeAdaptiveProfile(100);
+}
+
+/**
+ * Use the editor's profile for slicing
+ */
+function commitLayerProfile() {
+    layerHeightProfile = layerProfileEditor.profile.map(point => ({ ...point }));
+    updateLayerProfileButton();
+    drawLayerProfile();
+    markDirty();
+}
+
+/**
+ * Paint the profile at a canvas position (0-1 across, 0-1 up), with a soft brush
+ */
+function paintLayerProfile(u, v) {
+    if (!layerProfileEditor) return;
+
+    const settings = getLayerProfileSettings();
+    const height = settings.minHeight + Math.min(1, Math.max(0, v)) * (settings.maxHeight - settings.minHeight);
+    const z = Math.min(1, Math.max(0, u)) * layerProfileEditor.height;
+    const radius = layerProfileEditor.height * 0.05;
+
+    for (const point of layerProfileEditor.profile) {
+        const weight = 1 - Math.abs(point.z - z) / radius;
+        if (weight > 0) point.height += (height - point.height) * weight;
+    }
+    commitLayerProfile();
+}
+
+/**
+ * Replace the profile with adaptive layer heights
+ */
+function applyAdaptiveLayerProfile() {
+    if (!layerProfileEditor) return;
+    layerProfileEditor.profile = computeAdaptiveLayerProfile();
+    commitLayerProfile();
+}
+
+/**
+ * Average each profile point with its neighbours to even out sudden changes
+ */
+function smoothLayerProfile() {
+    if (!layerProfileEditor) return;
+    const profile = layerProfileEditor.profile;
+    layerProfileEditor.profile = profile.map((point, i) => {
+        const previous = profile[Math.max(0, i - 1)];
+        const next = profile[Math.min(profile.length - 1, i + 1)];
+        return { z: point.z, height: (previous.height + point.height * 2 + next.height) / 4 };
+    });
+    commitLayerProfile();
+}
+
+/**
+ * Forget the painted profile (slicing goes back to uniform or adaptive layers)
+ */
+function clearLayerProfile() {
+    layerHeightProfile = null;
+    updateLayerProfileButton();
+    markDirty();
+    closeLayerProfileEditor();
+}
+
+/**
+ * Show on the dock button whether a painted profile is in use
+ */
+function updateLayerProfileButton() {
+    const button = document.getElementById('layer-profile-btn');
+    if (button) button.innerHTML = layerHeightProfile ? '&#x1F4C8; Painted' : '&#x1F4C8; Layers';
+}
+
+/**
+ * Draw the profile: layer height (up) along Z (across), with a mark where each layer ends
+ */
+function drawLayerProfile() {
+    const canvas = document.getElementById('layer-profile-canvas');
+    if (!canvas || !layerProfileEditor) return;
+
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const settings = getLayerProfileSettings();
+    const modelHeight = layerProfileEditor.height;
+    const range = settings.maxHeight - settings.minHeight || 1;
+    const toX = (z) => z / modelHeight * width;
+    const toY = (layerHeight) => height - 14 - (layerHeight - settings.minHeight) / range * (height - 28);
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Profile curve, filled underneath
+    const profile = layerProfileEditor.profile;
+    ctx.beginPath();
+    ctx.moveTo(0, height - 14);
+    for (const point of profile) ctx.lineTo(toX(point.z), toY(point.height));
+    ctx.lineTo(width, height - 14);
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(187, 134, 252, 0.25)';
+    ctx.fill();
+    ctx.beginPath();
+    profile.forEach((point, i) => {
+        if (i === 0) ctx.moveTo(toX(point.z), toY(point.height));
+        else ctx.lineTo(toX(point.z), toY(point.height));
+    });
+    ctx.strokeStyle = '#bb86fc';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    // Layer boundaries this profile produces
+    const editorSlicer = layerProfileEditor.slicer;
+    editorSlicer.minLayerHeight = settings.minHeight;
+    editorSlicer.maxLayerHeight = settings.maxHeight;
+    editorSlicer.layerHeightProfile = profile;
+    const tops = editorSlicer.getLayerTops();
+    const bottom = editorSlicer.getBoundingBox().min.z;
+    ctx.strokeStyle = '#03dac6';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (const top of tops) {
+        const x = Math.round(toX(top - bottom)) + 0.5;
+        ctx.moveTo(x, height);
+        ctx.lineTo(x, height - 10);
+    }
+    ctx.stroke();
+
+    // Axis labels
+    ctx.fillStyle = '#aaa';
+    ctx.font = '11px sans-serif';
+    ctx.fillText(`${settings.maxHeight.toFixed(2)}mm`, 4, 12);
+    ctx.fillText(`${settings.minHeight.toFixed(2)}mm`, 4, height - 18);
+    const topLabel = `Z ${modelHeight.toFixed(1)}mm`;
+    ctx.fillText(topLabel, width - ctx.measureText(topLabel).width - 4, 12);
+
+    const status = document.getElementById('layer-profile-status');
+    if (status) status.textContent = `${tops.length} layers${layerHeightProfile ? ' (painted)' : ''}`;
+}
+
+/**
+ * Triangles of a model in slicer coordinates: world space with Babylon's Y up
+ * swapped to Z up, shifted into machine coordinates by the printer origin
+ */
+function getModelTriangles(model, origin = simulator.originOffset) {
+    model.previewMesh.computeWorldMatrix(true);
+    const positions = model.previewMesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+    const indices = model.previewMesh.getIndices();
+    const worldMatrix = model.previewMesh.getWorldMatrix();
+
+    console.log(`  Using Babylon world space vertices (${indices.length/3} triangles)`);
+
+    // Convert Babylon mesh to our triangle format
+    const modelMesh = [];
+    for (let i = 0; i < indices.length; i += 3) {
+        const i1 = indices[i] * 3;
+        const i2 = indices[i + 1] * 3;
+        const i3 = indices[i + 2] * 3;
+
+        // Get vertices in local space
+        const v1Local = new BABYLON.Vector3(positions[i1], positions[i1+1], positions[i1+2]);
+        const v2Local = new BABYLON.Vector3(positions[i2], positions[i2+1], positions[i2+2]);
+        const v3Local = new BABYLON.Vector3(positions[i3], positions[i3+1], positions[i3+2]);
+
+        // Transform to world space
+        const v1World = BABYLON.Vector3.TransformCoordinates(v1Local, worldMatrix);
+        const v2World = BABYLON.Vector3.TransformCoordinates(v2Local, worldMatrix);
+        const v3World = BABYLON.Vector3.TransformCoordinates(v3Local, worldMatrix);
+
+        // Convert to slicer format: swap Y and Z (Babylon Y → slicer Z)
+        // and shift into machine coordinates (corner-origin printers)
+        modelMesh.push({
+            v1: { x: v1World.x + origin.x, y: v1World.z + origin.y, z: v1World.y },
+            v2: { x: v2World.x + origin.x, y: v2World.z + origin.y, z: v2World.y },
+            v3: { x: v3World.x + origin.x, y: v3World.z + origin.y, z: v3World.y }
+        });
+    }
+
+    return modelMesh;
+}
+
+/**
+ * 3MF build transform of a model (12 values, row-vector convention like Babylon's):
+ * its world matrix with Y up swapped to Z up and shifted into machine coordinates,
+ * so a 3MF reader places the mesh where getModelTriangles puts it for slicing
+ */
+function getModelBuildTransform(model, origin = simulator.originOffset) {
+    model.previewMesh.computeWorldMatrix(true);
+    const m = model.previewMesh.getWorldMatrix().m;
+
+    const transform = [];
+    for (let row = 0; row < 3; row++) {
+        transform.push(m[row * 4], m[row * 4 + 2], m[row * 4 + 1]);
+    }
+    transform.push(m[12] + origin.x, m[14] + origin.y, m[13]);
+    return transform;
+}
+
 /**
  * Transform a vertex by model's scale, rotation, and position
  * Uses the EXACT same matrix as Babylon.js
@@ -1155,6 +1777,9 @@ function loadGCode(gcodeText) {
     simulator.totalLines = commands.length;
     simulator.totalLayers = parser.getLayerCount();
 
+    // Speed/flow/temperature ranges depend on the loaded G-code
+    updateColorLegend();
+
     // Update HUD with initial values
     updateHUD({
         layer: 0,
@@ -1165,6 +1790,8 @@ function loadGCode(gcodeText) {
         extruding: false,
         temp: simulator.currentHotendTemp || 0,
         bedTemp: simulator.currentBedTemp || 0,
+        elapsedTime: 0,
+        totalTime: simulator.totalPrintTime,
         percent: 0
     });
 
@@ -1198,7 +1825,7 @@ function displayGCode(gcodeText) {
 
         if (trimmed.startsWith(';')) {
             cssClass += ' gcode-comment';
-        } else if (trimmed.startsWith('G0') || trimmed.startsWith('G1')) {
+        } else if (trimmed.startsWith('G0') || trimmed.startsWith('G1') || /^G0?[23]\b/i.test(trimmed)) {
             cssClass += ' gcode-move';
         } else if (trimmed.startsWith('M104') || trimmed.startsWith('M109') || trimmed.startsWith('M140') || trimmed.startsWith('M190')) {
             cssClass += ' gcode-temp';
@@ -1248,7 +1875,7 @@ function updateGCodeHighlight(commandIndex) {
 
         if (trimmed.startsWith(';')) {
             cssClass += ' gcode-comment';
-        } else if (trimmed.startsWith('G0') || trimmed.startsWith('G1')) {
+        } else if (trimmed.startsWith('G0') || trimmed.startsWith('G1') || /^G0?[23]\b/i.test(trimmed)) {
             cssClass += ' gcode-move';
         } else if (trimmed.startsWith('M104') || trimmed.startsWith('M109') || trimmed.startsWith('M140') || trimmed.startsWith('M190')) {
             cssClass += ' gcode-temp';
@@ -1354,6 +1981,8 @@ function resetSimulation() {
         extruding: false,
         temp: simulator.currentHotendTemp || 0,
         bedTemp: simulator.currentBedTemp || 0,
+        elapsedTime: 0,
+        totalTime: simulator.totalPrintTime || 0,
         percent: 0
     });
 
@@ -1375,7 +2004,12 @@ function resetSimulation() {
  * Update progress display
  */
 function updateProgress(progress) {
-    const percent = progress.commandIndex / progress.totalCommands * 100;
+    // Progress follows simulated print time, so long moves count for more than short ones
+    const totalTime = simulator.totalPrintTime || 0;
+    const elapsedTime = progress.elapsedTime !== undefined ? progress.elapsedTime : simulator.getElapsedPrintTime();
+    const percent = totalTime > 0
+        ? elapsedTime / totalTime * 100
+        : progress.commandIndex / progress.totalCommands * 100;
 
     // Update HUD with progress
     updateHUD({
@@ -1388,8 +2022,11 @@ function updateProgress(progress) {
         z: progress.position.z,
         extruding: progress.extruding,
         retracting: progress.retracting,
+        feature: progress.feature,
         temp: simulator.currentHotendTemp || 0,
         bedTemp: simulator.currentBedTemp || 0,
+        elapsedTime: elapsedTime,
+        totalTime: totalTime,
         percent: percent
     });
 
@@ -1549,6 +2186,8 @@ function exportModel(format) {
             simulator.exportAsSTL();
         } else if (format === 'gltf') {
             simulator.exportAsGLTF();
+        } else if (format === '3mf') {
+            export3MFProject();
         }
     } catch (error) {
         console.error('Export failed:', error);
@@ -1556,6 +2195,96 @@ function exportModel(format) {
     }
 }
 
+/**
+ * Download the last sliced G-code for a real printer
+ * Adds a header with print time, filament use, layer count, settings and thumbnails.
+ */
+async function downloadGCode() {
+    if (!lastSlice || !simulator) {
+        showToast('Slice the models first to download G-code', 'error', 3000);
+        return;
+    }
+
+    try {
+        showToast('Preparing G-code...', 'loading');
+        const text = await new GCodeExporter(simulator).build(lastSlice.gcode, {
+            settings: lastSlice.settings,
+            filamentType: getElementValue('dock-filament-type', 'filament-type', 'pla'),
+            printerName: simulator.printerProfile.name
+        });
+
+        const baseName = lastSlice.names.length === 1
+            ? lastSlice.names[0].replace(/\.[^/.]+$/, '')
+            : 'build_plate';
+        const blob = new Blob([text], { type: 'text/x-gcode' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = baseName.replace(/[^a-zA-Z0-9_-]/g, '_') + '.gcode';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        showToast(`Downloaded ${link.download}`, 'success', 3000);
+    } catch (error) {
+        console.error('G-code download failed:', error);
+        showToast('Failed to download G-code: ' + error.message, 'error', 4000);
+    }
+}
+
+/**
+ * Download the build plate as a 3MF project
+ * Holds every model with its transform, the slicer settings and printer profile, and
+ * (if ticked in the export dialog) the last sliced G-code; opening it restores the plate.
+ */
+async function export3MFProject() {
+    if (loadedModels.length === 0) {
+        showToast('No models on build plate to export!', 'error', 3000);
+        return;
+    }
+
+    try {
+        showToast('Preparing 3MF project...', 'loading');
+        const includeGCode = document.getElementById('export-3mf-gcode')?.checked ?? true;
+
+        let thumbnail = null;
+        try {
+            thumbnail = await simulator.captureThumbnail(256, 256);
+        } catch (error) {
+            console.warn('Could not render 3MF thumbnail:', error.message);
+        }
+
+        const blob = await new ProjectArchive().write({
+            project: serializeProjectData(false),
+            models: loadedModels.map(model => ({
+                name: model.name,
+                mesh: model.mesh,
+                transform: getModelBuildTransform(model)
+            })),
+            gcode: includeGCode && lastSlice ? lastSlice.gcode : null,
+            thumbnail
+        });
+
+        const baseName = loadedModels.length === 1
+            ? loadedModels[0].name.replace(/\.[^/.]+$/, '')
+            : 'build_plate';
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = baseName.replace(/[^a-zA-Z0-9_-]/g, '_') + '.3mf';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        showToast(`Downloaded ${link.download}`, 'success', 3000);
+    } catch (error) {
+        console.error('3MF export failed:', error);
+        showToast('Failed to export 3MF project: ' + error.message, 'error', 4000);
+    }
+}
+
 /**
  * Export the model to MyTekOS assets (user's files)
  */
@@ -2040,6 +2769,7 @@ function updateModelList() {
             <div class="model-item ${isSelected ? 'selected' : ''}" onclick="selectModel(${model.id})">
                 <div class="model-name">${model.name}</div>
                 <div class="model-info">${(model.triangleCount / 1000).toFixed(1)}K triangles</div>
+                ${getMeshStatusHTML(model.meshRepair)}
                 <button class="btn-remove" onclick="event.stopPropagation(); removeModel(${model.id})">✕</button>
             </div>
         `;
@@ -2048,6 +2778,33 @@ function updateModelList() {
     container.innerHTML = html;
 }
 
+/**
+ * Model list line summarizing the import-time mesh check
+ */
+function getMeshStatusHTML(meshRepair) {
+    if (!meshRepair) return '';
+
+    const { before, after } = meshRepair;
+    const report = after || before;
+    let details = `Open edges: ${report.openEdges}, non-manifold edges: ${report.nonManifoldEdges}, ` +
+        `inverted facets: ${report.invertedFacets}, degenerate triangles: ${report.degenerateTriangles}, ` +
+        `shells: ${report.shells}`;
+
+    if (!after) {
+        const text = before.shells > 1 ? `✓ Watertight, ${before.shells} shells` : '✓ Watertight';
+        return `<div class="model-mesh-status ok" title="${details}">${text}</div>`;
+    }
+
+    details = `Before repair: ${MeshRepair.describe(before).join(', ')}. After: ${details}. ` +
+        `Removed ${meshRepair.removed} triangles, flipped ${meshRepair.flipped}, filled ${meshRepair.holesFilled} holes`;
+    const remaining = MeshRepair.describe(after, false);
+    const text = remaining.length > 0
+        ? `⚠ ${remaining.join(', ')} after repair`
+        : `🔧 Repaired ${MeshRepair.describe(before, false).join(', ')}`;
+
+    return `<div class="model-mesh-status ${remaining.length > 0 ? 'warning' : 'repaired'}" title="${details}">${text}</div>`;
+}
+
 /**
  * Select a model for transformation
  */
@@ -2541,8 +3298,9 @@ function getElementValue(id, fallbackId, defaultValue) {
 
 /**
  * Serialize current project state to JSON
+ * @param {boolean} includeSTL - Embed each model's mesh as STL text (3MF projects store meshes themselves)
  */
-function serializeProjectData() {
+function serializeProjectData(includeSTL = true) {
     const data = {
         version: '1.0',
         models: [],
@@ -2552,10 +3310,32 @@ function serializeProjectData() {
             infillPattern: getElementValue('dock-infill-pattern', 'learn-infill-pattern', 'grid'),
             infillDensity: parseInt(getElementValue('dock-infill-density', 'learn-infill-density', '20')),
             topBottomLayers: parseInt(getElementValue('dock-shell-layers', 'learn-shell-layers', '3')),
+            wallThickness: parseFloat(getElementValue('dock-wall-thickness', 'dock-wall-thickness', '0.8')),
             filamentType: getElementValue('filament-type', 'learn-filament-type', 'PLA'),
             filamentColor: getElementValue('filament-color', 'learn-filament-color', '#FF6600'),
+            colorScheme: getElementValue('color-scheme', 'color-scheme', 'filament'),
             lineThickness: 1.0, // Fixed value - not exposed in simple UI
-            qualityPreset: getElementValue('quality-preset', 'learn-quality-preset', 'normal')
+            qualityPreset: getElementValue('quality-preset', 'learn-quality-preset', 'normal'),
+            relativeExtrusion: document.getElementById('dock-relative-e')?.checked || false,
+            support: getElementValue('dock-support', 'dock-support', 'none'),
+            overhangAngle: parseInt(getElementValue('dock-support-angle', 'dock-support-angle', '45')),
+            adhesion: getElementValue('dock-adhesion', 'dock-adhesion', 'none'),
+            adhesionSettings: getAdhesionSettings(),
+            retractLength: parseFloat(getElementValue('dock-retract-length', 'dock-retract-length', '0.8')),
+            retractSpeed: parseFloat(getElementValue('dock-retract-speed', 'dock-retract-speed', '35')),
+            retractMinTravel: parseFloat(getElementValue('dock-retract-min-travel', 'dock-retract-min-travel', '1.5')),
+            zHop: parseFloat(getElementValue('dock-z-hop', 'dock-z-hop', '0')),
+            wipeDistance: parseFloat(getElementValue('dock-wipe-distance', 'dock-wipe-distance', '0')),
+            firmwareRetraction: document.getElementById('dock-firmware-retract')?.checked || false,
+            travel: getElementValue('dock-travel', 'dock-travel', 'nearest'),
+            combing: document.getElementById('dock-combing')?.checked ?? true,
+            seam: getElementValue('dock-seam', 'dock-seam', 'aligned'),
+            adaptiveLayers: document.getElementById('dock-adaptive-layers')?.checked || false,
+            infillAngles: getElementValue('dock-infill-angles', 'dock-infill-angles', '45,-45'),
+            skinAngles: getElementValue('dock-skin-angles', 'dock-skin-angles', '45,-45'),
+            layerProfile: getLayerProfileSettings(),
+            layerHeightProfile: layerHeightProfile,
+            printer: simulator ? simulator.getPrinterProfile() : null
         },
         // Save print state - allows restoring printed models without re-simulating
         printState: {
@@ -2572,12 +3352,13 @@ function serializeProjectData() {
             position: model.position,
             rotation: model.rotation,
             scale: model.scale,
-            url: model.url || null  // Save URL for reloading if available
+            url: model.url || null,  // Save URL for reloading if available
+            urlObject: model.urlObject ?? null  // Object within a multi-object file
         };
 
         // Generate STL text from mesh data for preview purposes
         // This allows the card preview to render the model without fetching external URLs
-        if (model.mesh && model.mesh.length > 0) {
+        if (includeSTL && model.mesh && model.mesh.length > 0) {
             modelData.stlData = generateSTLFromMesh(model.mesh, model.name);
         }
 
@@ -2646,6 +3427,10 @@ function loadProjectData(data) {
         setElementValue('line-thickness', settings.nozzleDiameter);
         setElementText('dock-line-thickness-value', settings.nozzleDiameter);
     }
+    if (settings.wallThickness) {
+        setElementValue('dock-wall-thickness', settings.wallThickness);
+        setElementText('dock-wall-thickness-value', settings.wallThickness);
+    }
     if (settings.infillPattern) {
         setElementValue('dock-infill-pattern', settings.infillPattern);
         setElementValue('infill-pattern', settings.infillPattern);
@@ -2670,10 +3455,93 @@ function loadProjectData(data) {
         setElementValue('filament-color', settings.filamentColor);
         if (simulator) simulator.setFilamentColor(settings.filamentColor);
     }
+    if (settings.colorScheme) {
+        setElementValue('color-scheme', settings.colorScheme);
+        if (simulator) simulator.setColorScheme(settings.colorScheme);
+        updateColorLegend();
+    }
     if (settings.qualityPreset) {
         setElementValue('dock-quality-preset', settings.qualityPreset);
         setElementValue('quality-preset', settings.qualityPreset);
     }
+    if (settings.relativeExtrusion !== undefined) {
+        const relativeEEl = document.getElementById('dock-relative-e');
+        if (relativeEEl) relativeEEl.checked = settings.relativeExtrusion;
+    }
+    if (settings.support) {
+        setElementValue('dock-support', settings.support);
+    }
+    if (settings.overhangAngle) {
+        setElementValue('dock-support-angle', settings.overhangAngle);
+        setElementText('dock-support-angle-value', settings.overhangAngle);
+    }
+    if (settings.adhesion) {
+        setElementValue('dock-adhesion', settings.adhesion);
+    }
+    if (settings.adhesionSettings) {
+        const adhesion = settings.adhesionSettings;
+        setElementValue('dock-skirt-distance', adhesion.skirtDistance);
+        setElementText('dock-skirt-distance-value', adhesion.skirtDistance?.toFixed(1));
+        setElementValue('dock-skirt-loops', adhesion.skirtLoops);
+        setElementText('dock-skirt-loops-value', adhesion.skirtLoops);
+        setElementValue('dock-brim-width', adhesion.brimWidth);
+        setElementText('dock-brim-width-value', adhesion.brimWidth);
+        setElementValue('dock-raft-layers', adhesion.raftLayers);
+        setElementText('dock-raft-layers-value', adhesion.raftLayers);
+        setElementValue('dock-raft-air-gap', adhesion.raftAirGap);
+        setElementText('dock-raft-air-gap-value', adhesion.raftAirGap?.toFixed(2));
+    }
+    updateAdhesionInputs();
+    if (settings.retractLength !== undefined) {
+        setElementValue('dock-retract-length', settings.retractLength);
+        setElementText('dock-retract-length-value', settings.retractLength);
+    }
+    // Older projects saved Z-hop and wipe as on/off, which meant 0.4mm and 1mm
+    const retraction = {
+        retractSpeed: settings.retractSpeed,
+        retractMinTravel: settings.retractMinTravel,
+        zHop: typeof settings.zHop === 'boolean' ? (settings.zHop ? 0.4 : 0) : settings.zHop,
+        wipeDistance: settings.wipeDistance ?? (settings.wipe === undefined ? undefined : (settings.wipe ? 1 : 0))
+    };
+    [['retractSpeed', 'dock-retract-speed', 0], ['retractMinTravel', 'dock-retract-min-travel', 1],
+        ['zHop', 'dock-z-hop', 1], ['wipeDistance', 'dock-wipe-distance', 1]].forEach(([key, id, decimals]) => {
+        if (retraction[key] === undefined) return;
+        setElementValue(id, retraction[key]);
+        setElementText(`${id}-value`, retraction[key].toFixed(decimals));
+    });
+    if (settings.travel) {
+        setElementValue('dock-travel', settings.travel);
+    }
+    if (settings.seam) {
+        setElementValue('dock-seam', settings.seam);
+    }
+    if (settings.infillAngles) {
+        setElementValue('dock-infill-angles', settings.infillAngles);
+    }
+    if (settings.skinAngles) {
+        setElementValue('dock-skin-angles', settings.skinAngles);
+    }
+    if (settings.adaptiveLayers !== undefined) {
+        const adaptiveEl = document.getElementById('dock-adaptive-layers');
+        if (adaptiveEl) adaptiveEl.checked = settings.adaptiveLayers;
+    }
+    if (settings.layerProfile) {
+        setElementValue('layer-profile-min', settings.layerProfile.minHeight);
+        setElementValue('layer-profile-max', settings.layerProfile.maxHeight);
+        setElementValue('layer-profile-quality', settings.layerProfile.quality);
+        setElementText('layer-profile-quality-value', settings.layerProfile.quality);
+    }
+    layerHeightProfile = settings.layerHeightProfile || null;
+    updateLayerProfileButton();
+    [['firmwareRetraction', 'dock-firmware-retract'], ['combing', 'dock-combing']].forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (el && settings[key] !== undefined) el.checked = settings[key];
+    });
+    if (settings.printer && simulator) {
+        // Built-in profiles restore by id; anything else is used as a custom profile
+        const builtIn = PrinterSimulator.PRINTER_PROFILES[settings.printer.id];
+        setPrinterProfile(builtIn ? settings.printer.id : settings.printer);
+    }
 
     // Restore models (only those loaded from URLs)
     if (data.models && data.models.length > 0) {
@@ -2685,7 +3553,7 @@ function loadProjectData(data) {
                 if (modelData.url) {
                     // Model was loaded from URL - reload it
                     console.log(`Reloading model from URL: ${modelData.url}`);
-                    loadSTLFromURLCore(modelData.url).then(() => {
+                    loadSTLFromURLCore(modelData.url, modelData.urlObject ?? null).then(() => {
                         // After loading, apply saved transform
                         const loadedModel = loadedModels[loadedModels.length - 1];
                         if (loadedModel) {
@@ -2834,12 +3702,18 @@ function updateHUD(data) {
     const totalLines = String(data.totalLines || 0).padStart(5, ' ');
     const x = (data.x || 0).toFixed(1).padStart(6, ' ');
     const y = (data.y || 0).toFixed(1).padStart(6, ' ');
-    const z = (data.z || 0).toFixed(1).padStart(5, ' ');
+    const z = (data.z || 0).toFixed(2).padStart(6, ' ');
     const temp = String(data.temp || 0).padStart(3, ' ');
     const bedTemp = String(data.bedTemp || 0).padStart(3, ' ');
     const percent = (data.percent || 0).toFixed(1).padStart(5, ' ');
 
     document.getElementById('hud-layer').textContent = `${layer}/${totalLayers}`;
+    const layerHeightEl = document.getElementById('hud-layer-height');
+    if (layerHeightEl) {
+        // Layers can differ in height (adaptive or painted layer heights)
+        const layerHeight = parser && data.layer ? parser.getLayerHeight(data.layer) : null;
+        layerHeightEl.textContent = layerHeight ? `${layerHeight.toFixed(2)}mm` : '-';
+    }
     document.getElementById('hud-line').textContent = `${line}/${totalLines}`;
     document.getElementById('hud-pos-x').textContent = x;
     document.getElementById('hud-pos-y').textContent = y;
@@ -2856,13 +3730,61 @@ function updateHUD(data) {
     }
     document.getElementById('hud-status').textContent = status;
 
+    // Feature type from slicer ;TYPE: comments (e.g. "Outer wall", "Infill")
+    const featureEl = document.getElementById('hud-feature');
+    if (featureEl) {
+        featureEl.textContent = data.feature ? (GCodeParser.FEATURE_TYPES[data.feature] || data.feature) : '-';
+    }
+
     document.getElementById('hud-temp').textContent = `${temp}°C`;
     document.getElementById('hud-bed-temp').textContent = `${bedTemp}°C`;
 
+    const timeEl = document.getElementById('hud-time');
+    if (timeEl) {
+        timeEl.textContent = `${formatPrintTime(data.elapsedTime)} / ${formatPrintTime(data.totalTime)}`;
+    }
+
     document.getElementById('hud-progress-fill').style.width = `${data.percent || 0}%`;
     document.getElementById('hud-percent').textContent = `${percent}%`;
 }
 
+/**
+ * Format seconds as h:mm:ss (or m:ss under an hour)
+ */
+function formatPrintTime(seconds) {
+    const total = Math.max(0, Math.round(seconds || 0));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Update the color scheme legend overlay from the simulator
+ */
+function updateColorLegend() {
+    const legendEl = document.getElementById('color-legend');
+    if (!legendEl || !simulator) return;
+
+    const legend = simulator.getColorLegend();
+    if (!legend) {
+        legendEl.classList.add('hidden');
+        return;
+    }
+
+    document.getElementById('color-legend-title').textContent = legend.unit ? `${legend.title} (${legend.unit})` : legend.title;
+
+    let html = '';
+    if (legend.entries.length === 0) {
+        html = '<div class="legend-empty">Load G-code to see values</div>';
+    }
+    for (const entry of legend.entries) {
+        html += `<div class="legend-entry"><span class="legend-swatch" style="background: ${entry.color}"></span>${entry.label}</div>`;
+    }
+    document.getElementById('color-legend-entries').innerHTML = html;
+    legendEl.classList.remove('hidden');
+}
+
 /**
  * Switch dock tab (Settings or G-code)
  */
@@ -2932,6 +3854,9 @@ function playLearningMode() {
         playBtn.textContent = '▶ Play';
     } else {
         playBtn.textContent = '⏸ Pause';
+        // Apply the selected playback multiplier (dock speed slider may have changed it)
+        const learnSpeed = document.getElementById('learn-speed');
+        if (learnSpeed) setLearnSpeed(learnSpeed.value);
         simulator.play();
     }
 }
@@ -2983,6 +3908,10 @@ function generateLearningShape() {
 const gcodeAnnotations = {
     'G0': 'Rapid move - Move quickly without extruding',
     'G1': 'Linear move - Move while potentially extruding filament',
+    'G2': 'Clockwise arc - Curve around a center point (I/J) or radius (R)',
+    'G3': 'Counter-clockwise arc - Curve around a center point (I/J) or radius (R)',
+    'G10': 'Firmware retract - Pull filament back before a travel move',
+    'G11': 'Firmware unretract - Push filament back before printing again',
     'G28': 'Home - Return print head to origin position',
     'G90': 'Absolute positioning mode',
     'G91': 'Relative positioning mode',
@@ -3020,12 +3949,23 @@ function updateGCodeAnnotations(showAnnotations) {
 
         if (trimmed.startsWith(';')) {
             cmdClass = 'gcode-comment';
+        } else if (/^G1[01]\b/i.test(trimmed)) {
+            cmdClass = 'gcode-move';
+            if (showAnnotations) annotation = gcodeAnnotations[trimmed.substring(0, 3).toUpperCase()];
         } else if (trimmed.startsWith('G0') || trimmed.startsWith('G1')) {
             cmdClass = 'gcode-move';
             if (showAnnotations) {
                 const hasE = trimmed.includes('E');
-                annotation = hasE ? 'Extruding filament while moving' : 'Travel move (no extrusion)';
+                const hasXYZ = /[XYZ]/i.test(trimmed.split(';')[0]);
+                if (hasE && !hasXYZ) {
+                    annotation = /E-/i.test(trimmed) ? 'Retract - Pull filament back to stop oozing' : 'Filament-only move - Retract, unretract or prime';
+                } else {
+                    annotation = hasE ? 'Extruding filament while moving' : 'Travel move (no extrusion)';
+                }
             }
+        } else if (/^G0?[23]\b/i.test(trimmed)) {
+            cmdClass = 'gcode-move';
+            if (showAnnotations) annotation = gcodeAnnotations[trimmed.match(/^G0?([23])/i)[1] === '2' ? 'G2' : 'G3'];
         } else if (trimmed.startsWith('G28')) {
             cmdClass = 'gcode-home';
             if (showAnnotations) annotation = gcodeAnnotations['G28'];
@@ -3176,6 +4116,29 @@ function syncDockSettings() {
         document.getElementById('dock-infill-density-value').textContent = e.target.value;
     });
 
+    document.getElementById('dock-wall-thickness')?.addEventListener('input', (e) => {
+        document.getElementById('dock-wall-thickness-value').textContent = parseFloat(e.target.value).toFixed(1);
+        markDirty();
+    });
+
+    document.getElementById('dock-retract-length')?.addEventListener('input', (e) => {
+        document.getElementById('dock-retract-length-value').textContent = parseFloat(e.target.value).toFixed(1);
+        markDirty();
+    });
+
+    document.getElementById('dock-support-angle')?.addEventListener('input', (e) => {
+        document.getElementById('dock-support-angle-value').textContent = e.target.value;
+        markDirty();
+    });
+
+    [['dock-skirt-distance', 1], ['dock-skirt-loops', 0], ['dock-brim-width', 0], ['dock-raft-layers', 0], ['dock-raft-air-gap', 2],
+        ['dock-retract-speed', 0], ['dock-retract-min-travel', 1], ['dock-z-hop', 1], ['dock-wipe-distance', 1]].forEach(([id, decimals]) => {
+        document.getElementById(id)?.addEventListener('input', (e) => {
+            document.getElementById(`${id}-value`).textContent = parseFloat(e.target.value).toFixed(decimals);
+            markDirty();
+        });
+    });
+
     document.getElementById('dock-shell-layers')?.addEventListener('input', (e) => {
         document.getElementById('dock-shell-layers-value').textContent = e.target.value;
     });